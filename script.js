@@ -1,3 +1,627 @@
+// Default CBC reference ranges used when a paste carries no range of its own.
+// Entries are checked in order; the first one matching the patient's sex and
+// age wins. Replace with the reporting laboratory's ranges as needed.
+const DEFAULT_CBC_REFERENCE_RANGES = [
+    {
+        label: 'Adult male',
+        sex: 'male',
+        minAge: 18,
+        ranges: {
+            wbc: [4.0, 10.0], rbc: [4.5, 5.9], hgb: [13.5, 17.5], hct: [41, 53],
+            mcv: [80, 100], mch: [26, 34], mchc: [31, 37], plt: [150, 400],
+            mpv: [7.5, 11.5], rdw: [11.5, 14.5]
+        }
+    },
+    {
+        label: 'Adult female',
+        sex: 'female',
+        minAge: 18,
+        ranges: {
+            wbc: [4.0, 10.0], rbc: [4.0, 5.2], hgb: [12.0, 16.0], hct: [36, 46],
+            mcv: [80, 100], mch: [26, 34], mchc: [31, 37], plt: [150, 400],
+            mpv: [7.5, 11.5], rdw: [11.5, 14.5]
+        }
+    },
+    {
+        label: 'Child (1-17 years)',
+        minAge: 1,
+        maxAge: 17,
+        ranges: {
+            wbc: [4.5, 13.5], rbc: [4.0, 5.2], hgb: [11.5, 15.5], hct: [35, 45],
+            mcv: [75, 95], mch: [25, 33], mchc: [31, 37], plt: [150, 450],
+            mpv: [7.5, 11.5], rdw: [11.5, 14.5]
+        }
+    },
+    {
+        label: 'Adult (sex not specified)',
+        ranges: {
+            wbc: [4.0, 10.0], rbc: [4.0, 5.9], hgb: [12.0, 17.5], hct: [36, 53],
+            mcv: [80, 100], mch: [26, 34], mchc: [31, 37], plt: [150, 400],
+            mpv: [7.5, 11.5], rdw: [11.5, 14.5]
+        }
+    }
+];
+
+// Keys stored alongside analyte values in a parsed CBC
+const CBC_META_KEYS = ['date', 'time', 'flags', 'ranges'];
+
+// Adult thresholds (K/μL) used to comment on absolute counts
+const ABSOLUTE_COUNT_THRESHOLDS = {
+    neutrophils: {
+        abbreviation: 'ANC',
+        severeLow: 0.5, severeLowTerm: 'severe neutropenia',
+        low: 1.5, lowTerm: 'neutropenia',
+        high: 8.0, highTerm: 'neutrophilia'
+    },
+    lymphocytes: {
+        abbreviation: 'ALC',
+        low: 1.0, lowTerm: 'lymphopenia',
+        high: 4.0, highTerm: 'lymphocytosis'
+    },
+    monocytes: {
+        abbreviation: 'AMC',
+        high: 1.0, highTerm: 'monocytosis'
+    }
+};
+
+// Relative difference tolerated between a pasted and a computed absolute count
+const ABSOLUTE_COUNT_TOLERANCE = 0.15;
+
+const DIFFERENTIAL_METHODS = {
+    auto: 'Automated',
+    manual: 'Manual'
+};
+
+// Populations analyzers do not report; unlabelled lines go to the manual set
+const MANUAL_ONLY_CELL_TYPES = ['bands', 'blasts', 'metamyelocytes', 'myelocytes', 'promyelocytes', 'plasma_cells', 'other'];
+
+// Percentage points by which manual and automated differentials may differ
+const DIFF_DISCREPANCY_THRESHOLD = 10;
+
+// Serum free kappa/lambda ratio reference range, used when the ratio is computed
+const FLC_RATIO_REFERENCE_RANGE = { low: 0.26, high: 1.65 };
+
+// Canonical differential cell types and the labels that map to them.
+// Aliases wrapped in slashes (e.g. "/^seg(mented)?\s*neut/") are
+// case-insensitive regular expressions; all others match exactly.
+const DEFAULT_CELL_TYPE_ALIASES = {
+    neutrophils: ['neutrophils', 'neutrophil', 'polys', 'poly', 'segs', 'seg neut', 'segmented neutrophils', 'pmn', 'pmns'],
+    bands: ['bands', 'band', 'band neutrophils'],
+    lymphocytes: ['lymphs', 'lymphocytes', 'lymph', 'lymphocyte'],
+    atypical_lymphocytes: ['atypical lymphs', 'reactive lymphs', 'variant lymphs', 'lymphs, atypical/reactive (auto)'],
+    monocytes: ['monos', 'monocytes', 'monocyte', 'mono'],
+    eosinophils: ['eos', 'eosinophils', 'eosinophil'],
+    basophils: ['basos', 'basophils', 'basophil', 'basos (auto)'],
+    blasts: ['blasts', 'blast'],
+    plasma_cells: ['plasma cells', 'plasma cell', 'plasmacytes'],
+    promyelocytes: ['promyelocytes', 'promyelocyte', 'promyelo'],
+    myelocytes: ['myelocytes', 'myelocyte', 'myelo'],
+    metamyelocytes: ['metamyelocytes', 'metamyelocyte', 'metamyelo', 'meta'],
+    immature_granulocytes: ['granulocytes, immature', 'granulocytes,immature', 'granulocytes, immature (%)', 'granulocytes,immature (%)', 'immature granulocytes'],
+    nrbc: ['nrbc% (auto)', 'nrbc%'],
+    other: ['other'],
+    unknown: ['unknown']
+};
+
+const CELL_TYPE_ALIAS_STORAGE_KEY = 'marrowCellTypeAliases';
+
+// LOINC codes accepted from HL7 v2 and FHIR results. The section decides
+// where a value goes: a CBC analyte, a differential percentage or absolute
+// count (with its method), or an ancillary lab keyed like labPatterns.
+const LOINC_RESULT_MAP = {
+    '6690-2': { section: 'cbc', key: 'wbc' },
+    '26464-8': { section: 'cbc', key: 'wbc' },
+    '789-8': { section: 'cbc', key: 'rbc' },
+    '26453-1': { section: 'cbc', key: 'rbc' },
+    '718-7': { section: 'cbc', key: 'hgb' },
+    '4544-3': { section: 'cbc', key: 'hct' },
+    '20570-8': { section: 'cbc', key: 'hct' },
+    '787-2': { section: 'cbc', key: 'mcv' },
+    '785-6': { section: 'cbc', key: 'mch' },
+    '786-4': { section: 'cbc', key: 'mchc' },
+    '777-3': { section: 'cbc', key: 'plt' },
+    '26515-7': { section: 'cbc', key: 'plt' },
+    '32623-1': { section: 'cbc', key: 'mpv' },
+    '788-0': { section: 'cbc', key: 'rdw' },
+
+    '770-8': { section: 'differential', method: 'auto', type: 'neutrophils' },
+    '736-9': { section: 'differential', method: 'auto', type: 'lymphocytes' },
+    '5905-5': { section: 'differential', method: 'auto', type: 'monocytes' },
+    '713-8': { section: 'differential', method: 'auto', type: 'eosinophils' },
+    '706-2': { section: 'differential', method: 'auto', type: 'basophils' },
+    '71695-1': { section: 'differential', method: 'auto', type: 'immature_granulocytes' },
+    '58413-6': { section: 'differential', method: 'auto', type: 'nrbc' },
+    '769-0': { section: 'differential', method: 'manual', type: 'neutrophils' },
+    '764-1': { section: 'differential', method: 'manual', type: 'bands' },
+    '737-7': { section: 'differential', method: 'manual', type: 'lymphocytes' },
+    '735-1': { section: 'differential', method: 'manual', type: 'atypical_lymphocytes' },
+    '744-3': { section: 'differential', method: 'manual', type: 'monocytes' },
+    '714-6': { section: 'differential', method: 'manual', type: 'eosinophils' },
+    '707-0': { section: 'differential', method: 'manual', type: 'basophils' },
+    '709-6': { section: 'differential', method: 'manual', type: 'blasts' },
+    '783-5': { section: 'differential', method: 'manual', type: 'promyelocytes' },
+    '749-2': { section: 'differential', method: 'manual', type: 'myelocytes' },
+    '740-1': { section: 'differential', method: 'manual', type: 'metamyelocytes' },
+
+    '751-8': { section: 'absolute', method: 'auto', type: 'neutrophils' },
+    '731-0': { section: 'absolute', method: 'auto', type: 'lymphocytes' },
+    '742-7': { section: 'absolute', method: 'auto', type: 'monocytes' },
+    '711-2': { section: 'absolute', method: 'auto', type: 'eosinophils' },
+    '704-7': { section: 'absolute', method: 'auto', type: 'basophils' },
+    '753-4': { section: 'absolute', method: 'manual', type: 'neutrophils' },
+    '732-8': { section: 'absolute', method: 'manual', type: 'lymphocytes' },
+    '743-5': { section: 'absolute', method: 'manual', type: 'monocytes' },
+
+    '2276-4': { section: 'labs', key: 'ferritin' },
+    '2498-4': { section: 'labs', key: 'iron' },
+    '2500-7': { section: 'labs', key: 'tibc' },
+    '2502-3': { section: 'labs', key: 'transferrinSaturation' },
+    '2132-9': { section: 'labs', key: 'b12' },
+    '2284-8': { section: 'labs', key: 'folate' },
+    '4679-7': { section: 'labs', key: 'retic' },
+    '17849-1': { section: 'labs', key: 'retic' },
+    '60474-4': { section: 'labs', key: 'reticAbsolute' },
+    '2532-0': { section: 'labs', key: 'ldh' },
+    '4542-7': { section: 'labs', key: 'haptoglobin' },
+    '36916-5': { section: 'labs', key: 'kappaFlc' },
+    '33944-0': { section: 'labs', key: 'lambdaFlc' },
+    '48378-4': { section: 'labs', key: 'flcRatio' },
+    '33358-3': { section: 'labs', key: 'mSpike' }
+};
+
+// Units accepted after a value, grouped by unit family, as factors that
+// convert to the internal US conventional unit. Keys are unit text after
+// EpicDataParser.normalizeUnitText (lower case, μ -> u, "x10^9" -> "10^9").
+const UNIT_FACTORS = {
+    count: { 'k/ul': 1, 'thou/ul': 1, '10^3/ul': 1, '10^9/l': 1, '/ul': 0.001, 'cells/ul': 0.001 },
+    rbcCount: { 'm/ul': 1, 'mil/ul': 1, '10^6/ul': 1, '10^12/l': 1 },
+    hemoglobin: { 'g/dl': 1, 'g/l': 0.1, 'mmol/l': 1.611 },
+    hemoglobinConcentration: { 'g/dl': 1, 'g/l': 0.1 },
+    hematocrit: { '%': 1, 'l/l': 100 },
+    percent: { '%': 1 },
+    volume: { 'fl': 1 },
+    mass: { 'pg': 1 },
+    ferritin: { 'ng/ml': 1, 'ug/l': 1 },
+    iron: { 'ug/dl': 1, 'umol/l': 5.585 },
+    b12: { 'pg/ml': 1, 'ng/l': 1, 'pmol/l': 1.355 },
+    folate: { 'ng/ml': 1, 'ug/l': 1, 'nmol/l': 0.441 },
+    enzyme: { 'u/l': 1, 'iu/l': 1 },
+    haptoglobin: { 'mg/dl': 1, 'g/l': 100 },
+    lightChain: { 'mg/l': 1, 'mg/dl': 10 },
+    protein: { 'g/dl': 1, 'g/l': 0.1 }
+};
+
+// Report units per analyte: the internal US conventional unit (usDecimals
+// rounds values converted into it), and the SI unit with the factor and
+// rounding that convert to it. "absolute" covers absolute differential counts.
+const ANALYTE_UNITS = {
+    wbc: { family: 'count', us: ' K/μL', si: ' ×10⁹/L', siFactor: 1 },
+    rbc: { family: 'rbcCount', us: ' M/μL', si: ' ×10¹²/L', siFactor: 1 },
+    hgb: { family: 'hemoglobin', us: ' g/dL', usDecimals: 1, si: ' g/L', siFactor: 10, siDecimals: 0 },
+    hct: { family: 'hematocrit', us: '%', usDecimals: 1, si: ' L/L', siFactor: 0.01, siDecimals: 3 },
+    mcv: { family: 'volume', us: ' fL', si: ' fL', siFactor: 1 },
+    mch: { family: 'mass', us: ' pg', si: ' pg', siFactor: 1 },
+    mchc: { family: 'hemoglobinConcentration', us: ' g/dL', usDecimals: 1, si: ' g/L', siFactor: 10, siDecimals: 0 },
+    plt: { family: 'count', us: ' K/μL', si: ' ×10⁹/L', siFactor: 1 },
+    mpv: { family: 'volume', us: ' fL', si: ' fL', siFactor: 1 },
+    rdw: { family: 'percent', us: '%', si: '%', siFactor: 1 },
+    absolute: { family: 'count', us: ' K/μL', si: ' ×10⁹/L', siFactor: 1 },
+    ferritin: { family: 'ferritin', us: ' ng/mL', si: ' μg/L', siFactor: 1 },
+    iron: { family: 'iron', us: ' μg/dL', usDecimals: 0, si: ' μmol/L', siFactor: 0.179, siDecimals: 1 },
+    tibc: { family: 'iron', us: ' μg/dL', usDecimals: 0, si: ' μmol/L', siFactor: 0.179, siDecimals: 1 },
+    transferrinSaturation: { family: 'percent', us: '%', si: '%', siFactor: 1 },
+    b12: { family: 'b12', us: ' pg/mL', usDecimals: 0, si: ' pmol/L', siFactor: 0.738, siDecimals: 0 },
+    folate: { family: 'folate', us: ' ng/mL', usDecimals: 1, si: ' nmol/L', siFactor: 2.266, siDecimals: 1 },
+    retic: { family: 'percent', us: '%', si: '%', siFactor: 1 },
+    reticAbsolute: { family: 'count', us: ' K/μL', si: ' ×10⁹/L', siFactor: 1 },
+    ldh: { family: 'enzyme', us: ' U/L', si: ' U/L', siFactor: 1 },
+    haptoglobin: { family: 'haptoglobin', us: ' mg/dL', usDecimals: 0, si: ' g/L', siFactor: 0.01, siDecimals: 2 },
+    kappaFlc: { family: 'lightChain', us: ' mg/L', si: ' mg/L', siFactor: 1 },
+    lambdaFlc: { family: 'lightChain', us: ' mg/L', si: ' mg/L', siFactor: 1 },
+    mSpike: { family: 'protein', us: ' g/dL', usDecimals: 2, si: ' g/L', siFactor: 10, siDecimals: 1 }
+};
+
+// Abnormal flags from HL7 OBX-8 / FHIR interpretation that carry meaning here
+const STRUCTURED_RESULT_FLAGS = ['H', 'L', 'HH', 'LL', 'A', 'AA', 'C'];
+
+// Line-by-line account of one parse: what each input line was mapped to,
+// and which lines were ignored or need review (ambiguous)
+class ParseDiagnostics {
+    constructor(text, format = null) {
+        // Input format when not Epic text, e.g. 'HL7 v2'
+        this.format = format;
+        this.lines = (text || '').split('\n').map((line, index) => ({
+            index,
+            text: line,
+            mappings: [],
+            issues: []
+        }));
+    }
+
+    record(index, mapping) {
+        if (this.lines[index]) this.lines[index].mappings.push(mapping);
+    }
+
+    flag(index, issue) {
+        if (this.lines[index]) this.lines[index].issues.push(issue);
+    }
+
+    getStatus(line) {
+        if (line.issues.length > 0) return 'ambiguous';
+        if (line.mappings.length > 0) return 'consumed';
+        if (!line.text.trim()) return 'blank';
+        return 'ignored';
+    }
+
+    getLines(status) {
+        return this.lines.filter(line => this.getStatus(line) === status);
+    }
+
+    getSummary() {
+        const summary = { consumed: 0, ignored: 0, ambiguous: 0, blank: 0 };
+        this.lines.forEach(line => {
+            summary[this.getStatus(line)]++;
+        });
+        return summary;
+    }
+}
+
+// Label -> canonical cell type lookup used by the differential parser.
+// Starts from DEFAULT_CELL_TYPE_ALIASES and keeps the user's edits in localStorage.
+class CellTypeAliasDictionary {
+    constructor() {
+        this.aliases = this.load();
+    }
+
+    // Saved aliases are merged over the defaults: aliases added to the defaults
+    // since the last save appear, while defaults the user removed stay removed
+    load() {
+        const aliases = this.getDefaults();
+        try {
+            const saved = JSON.parse(localStorage.getItem(CELL_TYPE_ALIAS_STORAGE_KEY) || 'null');
+            if (saved) {
+                // Older saves are the alias map itself, without knownDefaults
+                const savedAliases = this.validate(this.knownTypesOnly(saved.knownDefaults ? saved.aliases : saved));
+                const knownDefaults = saved.knownDefaults || {};
+                Object.keys(aliases).forEach(cellType => {
+                    const current = savedAliases[cellType] || [];
+                    const known = knownDefaults[cellType] || [];
+                    const added = aliases[cellType].filter(alias => !current.includes(alias) && !known.includes(alias));
+                    aliases[cellType] = current.concat(added);
+                });
+            }
+        } catch (err) {
+            console.warn('Could not load cell type aliases, using defaults:', err);
+            return this.getDefaults();
+        }
+        return aliases;
+    }
+
+    // Drop saved aliases for cell types that are no longer in the defaults
+    knownTypesOnly(aliases) {
+        if (!aliases || typeof aliases !== 'object' || Array.isArray(aliases)) return aliases;
+        return Object.fromEntries(Object.entries(aliases).filter(([cellType]) => DEFAULT_CELL_TYPE_ALIASES[cellType]));
+    }
+
+    save() {
+        try {
+            const saved = { aliases: this.aliases, knownDefaults: DEFAULT_CELL_TYPE_ALIASES };
+            localStorage.setItem(CELL_TYPE_ALIAS_STORAGE_KEY, JSON.stringify(saved));
+        } catch (err) {
+            console.warn('Could not save cell type aliases:', err);
+        }
+    }
+
+    getDefaults() {
+        return JSON.parse(JSON.stringify(DEFAULT_CELL_TYPE_ALIASES));
+    }
+
+    getCellTypes() {
+        return Object.keys(this.aliases);
+    }
+
+    isRegexAlias(alias) {
+        return alias.length > 2 && alias.startsWith('/') && alias.endsWith('/');
+    }
+
+    toRegex(alias) {
+        return new RegExp(alias.slice(1, -1), 'i');
+    }
+
+    resolve(label) {
+        const normalized = label.toLowerCase().trim();
+        // Retry without a trailing "%" or parenthetical qualifiers such as "(%)" or "(auto)"
+        const stripped = normalized.replace(/(\s*(\([^)]*\)|%))+$/, '').trim();
+
+        for (const candidate of [normalized, stripped]) {
+            const type = this.getCellTypes().find(cellType =>
+                this.aliases[cellType].some(alias => !this.isRegexAlias(alias) && alias === candidate));
+            if (type) return type;
+        }
+
+        return this.getCellTypes().find(cellType =>
+            this.aliases[cellType].some(alias => {
+                if (!this.isRegexAlias(alias)) return false;
+                try {
+                    return this.toRegex(alias).test(normalized);
+                } catch (err) {
+                    return false;
+                }
+            })) || null;
+    }
+
+    addAlias(cellType, alias) {
+        const value = alias.toLowerCase().trim();
+        if (!this.aliases[cellType]) {
+            throw new Error(`Unknown cell type: ${cellType}`);
+        }
+        if (!value) {
+            throw new Error('Alias cannot be empty');
+        }
+        if (this.isRegexAlias(value)) {
+            try {
+                this.toRegex(value);
+            } catch (err) {
+                throw new Error(`Invalid regular expression alias: ${value}`);
+            }
+        } else {
+            const existing = this.resolve(value);
+            if (existing && existing !== cellType) {
+                throw new Error(`"${value}" already maps to ${existing}`);
+            }
+        }
+        if (!this.aliases[cellType].includes(value)) {
+            this.aliases[cellType].push(value);
+            this.save();
+        }
+    }
+
+    removeAlias(cellType, alias) {
+        if (!this.aliases[cellType]) return;
+        this.aliases[cellType] = this.aliases[cellType].filter(existing => existing !== alias);
+        this.save();
+    }
+
+    resetToDefaults() {
+        this.aliases = this.getDefaults();
+        this.save();
+    }
+
+    exportJSON() {
+        return JSON.stringify({ type: 'cell-type-aliases', version: 1, aliases: this.aliases }, null, 2);
+    }
+
+    // Imported aliases are merged into the current dictionary so a shared
+    // team file does not wipe out local additions
+    importJSON(json) {
+        const data = JSON.parse(json);
+        const imported = this.validate(data.aliases || data);
+        Object.keys(imported).forEach(cellType => {
+            const current = this.aliases[cellType] || [];
+            this.aliases[cellType] = current.concat(imported[cellType].filter(alias => !current.includes(alias)));
+        });
+        this.save();
+        return Object.keys(imported).length;
+    }
+
+    validate(aliases) {
+        if (!aliases || typeof aliases !== 'object' || Array.isArray(aliases)) {
+            throw new Error('Alias file must map cell types to lists of aliases');
+        }
+        const result = {};
+        Object.keys(aliases).forEach(cellType => {
+            if (!DEFAULT_CELL_TYPE_ALIASES[cellType]) {
+                throw new Error(`Unknown cell type: ${cellType}`);
+            }
+            if (!Array.isArray(aliases[cellType])) {
+                throw new Error(`Aliases for ${cellType} must be a list`);
+            }
+            result[cellType] = aliases[cellType]
+                .filter(alias => typeof alias === 'string' && alias.trim())
+                .map(alias => alias.toLowerCase().trim());
+        });
+        return result;
+    }
+}
+
+// HL7 v2 ORU^R01 results. Each segment is one diagnostics line; OBX
+// segments become observations keyed by their LOINC code.
+class HL7ResultAdapter {
+    constructor() {
+        this.format = 'HL7 v2';
+    }
+
+    canParse(text) {
+        return /^\s*MSH\|/.test(text);
+    }
+
+    parse(text) {
+        const lines = text.trim().split(/\r\n|\r|\n/);
+        const fieldSeparator = lines[0].trim().charAt(3) || '|';
+        const componentSeparator = lines[0].trim().charAt(4) || '^';
+        const observations = [];
+        let requestTime = null;
+
+        lines.forEach((segment, lineIndex) => {
+            const fields = segment.trim().split(fieldSeparator);
+            const components = (index) => (fields[index] || '').split(componentSeparator).map(part => this.unescape(part));
+
+            if (fields[0] === 'OBR') {
+                requestTime = this.parseTimestamp(fields[7]);
+                return;
+            }
+            if (fields[0] !== 'OBX') return;
+
+            // OBX-3 is code^text^system, optionally followed by an alternate code triplet
+            const identifier = components(3);
+            const code = identifier[2] !== 'LN' && identifier[5] === 'LN' ? identifier[3] : identifier[0];
+            const label = identifier[2] !== 'LN' && identifier[5] === 'LN' ? identifier[4] : identifier[1];
+
+            const observation = {
+                code,
+                label: label || code,
+                value: null,
+                comparator: null,
+                text: null,
+                unit: components(6)[0] || '',
+                flag: (fields[8] || '').split('~')[0] || null,
+                rangeText: this.unescape(fields[7] || ''),
+                lineIndex,
+                ...(this.parseTimestamp(fields[14]) || requestTime || { date: null, time: null })
+            };
+
+            const valueType = fields[2];
+            const value = components(5);
+            if (valueType === 'NM') {
+                observation.value = parseFloat(value[0]);
+            } else if (valueType === 'SN') {
+                // Structured numeric: comparator^number
+                observation.comparator = value[0] || null;
+                observation.value = parseFloat(value[1]);
+            } else if (['CE', 'CWE', 'CNE'].includes(valueType)) {
+                observation.text = value[1] || value[0];
+            } else {
+                observation.text = value.join(' ').trim();
+            }
+            if (isNaN(observation.value)) observation.value = null;
+
+            observations.push(observation);
+        });
+
+        return { lines, observations };
+    }
+
+    unescape(value) {
+        return value
+            .replace(/\\F\\/g, '|')
+            .replace(/\\S\\/g, '^')
+            .replace(/\\T\\/g, '&')
+            .replace(/\\R\\/g, '~')
+            .replace(/\\E\\/g, '\\');
+    }
+
+    // HL7 timestamps are YYYYMMDD[HHMM[SS]][+ZZZZ]
+    parseTimestamp(value) {
+        const match = (value || '').match(/^(\d{4})(\d{2})(\d{2})(?:(\d{2})(\d{2}))?/);
+        if (!match) return null;
+        return {
+            date: `${match[2]}/${match[3]}/${match[1]}`,
+            time: match[4] ? `${match[4]}:${match[5]}` : null
+        };
+    }
+}
+
+// FHIR R4 Observation, DiagnosticReport or Bundle JSON. The JSON itself is
+// not line-oriented, so diagnostics list one summary line per resource.
+class FHIRResultAdapter {
+    constructor() {
+        this.format = 'FHIR R4';
+    }
+
+    canParse(text) {
+        return /^\s*\{/.test(text) && /"resourceType"/.test(text);
+    }
+
+    parse(text) {
+        const resources = this.collectResources(JSON.parse(text));
+        const reportTime = resources
+            .filter(resource => resource.resourceType === 'DiagnosticReport')
+            .map(resource => this.parseTimestamp(resource.effectiveDateTime || (resource.effectivePeriod || {}).start))
+            .find(Boolean);
+
+        const lines = [];
+        const observations = [];
+        resources.forEach(resource => {
+            if (resource.resourceType !== 'Observation') {
+                lines.push(`${resource.resourceType}${resource.id ? ` ${resource.id}` : ''}`);
+                return;
+            }
+
+            const time = this.parseTimestamp(resource.effectiveDateTime || (resource.effectivePeriod || {}).start || resource.issued) ||
+                reportTime || { date: null, time: null };
+            const entries = resource.component && resource.component.length > 0 && !this.hasValue(resource)
+                ? resource.component
+                : [resource];
+
+            entries.forEach(entry => {
+                const observation = this.toObservation(entry, time, lines.length);
+                lines.push(`Observation ${observation.label}${observation.code ? ` [LOINC ${observation.code}]` : ''}: ` +
+                    `${observation.comparator || ''}${observation.value !== null ? observation.value : (observation.text || 'no value')}` +
+                    `${observation.unit ? ` ${observation.unit}` : ''}${observation.flag ? ` (${observation.flag})` : ''}`);
+                observations.push(observation);
+            });
+        });
+
+        return { lines, observations };
+    }
+
+    collectResources(resource) {
+        if (!resource || typeof resource !== 'object') return [];
+        if (resource.resourceType === 'Bundle') {
+            return (resource.entry || []).reduce((all, entry) => all.concat(this.collectResources(entry.resource)), []);
+        }
+        return [resource].concat((resource.contained || []).reduce((all, contained) => all.concat(this.collectResources(contained)), []));
+    }
+
+    hasValue(entry) {
+        return Object.keys(entry).some(key => key.startsWith('value'));
+    }
+
+    toObservation(entry, time, lineIndex) {
+        const codings = (entry.code && entry.code.coding) || [];
+        const loinc = codings.find(coding => /loinc\.org/i.test(coding.system || '')) || codings[0] || {};
+        const interpretation = ((entry.interpretation || [])[0] || {});
+        const range = (entry.referenceRange || [])[0];
+
+        const observation = {
+            code: loinc.code || null,
+            label: (entry.code && entry.code.text) || loinc.display || loinc.code || 'Unknown',
+            value: null,
+            comparator: null,
+            text: null,
+            unit: '',
+            flag: ((interpretation.coding || [])[0] || {}).code || null,
+            rangeText: '',
+            lineIndex,
+            ...time
+        };
+
+        if (entry.valueQuantity) {
+            observation.value = typeof entry.valueQuantity.value === 'number' ? entry.valueQuantity.value : null;
+            observation.comparator = entry.valueQuantity.comparator || null;
+            observation.unit = entry.valueQuantity.unit || entry.valueQuantity.code || '';
+        } else if (entry.valueCodeableConcept) {
+            observation.text = entry.valueCodeableConcept.text ||
+                ((entry.valueCodeableConcept.coding || [])[0] || {}).display || null;
+        } else if (typeof entry.valueString === 'string') {
+            observation.text = entry.valueString;
+        }
+
+        if (range) {
+            if (range.low && range.high) {
+                observation.rangeText = `${range.low.value}-${range.high.value}`;
+            } else if (range.high) {
+                observation.rangeText = `<${range.high.value}`;
+            } else if (range.low) {
+                observation.rangeText = `>${range.low.value}`;
+            } else {
+                observation.rangeText = range.text || '';
+            }
+        }
+
+        return observation;
+    }
+
+    parseTimestamp(value) {
+        const match = (value || '').match(/^(\d{4})-(\d{2})-(\d{2})(?:T(\d{2}):(\d{2}))?/);
+        if (!match) return null;
+        return {
+            date: `${match[2]}/${match[3]}/${match[1]}`,
+            time: match[4] ? `${match[4]}:${match[5]}` : null
+        };
+    }
+}
+
 // Epic Data Parser - Enhanced version to handle complex Epic formats
 class EpicDataParser {
     constructor() {
@@ -5,7 +629,7 @@ class EpicDataParser {
         this.cbcPatterns = {
             date: /(\d{1,2}\/\d{1,2}\/\d{2,4}|\d{1,2}-\d{1,2}-\d{2,4})/,
             wbc: /WBC[:\s]*(\d+\.?\d*)/i,
-            rbc: /RBC[:\s]*(\d+\.?\d*)/i,
+            rbc: /\bRBC[:\s]*(\d+\.?\d*)/i,
             hgb: /H[GH]B[:\s]*(\d+\.?\d*)/i,
             hct: /HCT[:\s]*(\d+\.?\d*)/i,
             mcv: /MCV[:\s]*(\d+\.?\d*)/i,
@@ -16,1605 +640,6836 @@ class EpicDataParser {
             rdw: /RDW[:\s]*(\d+\.?\d*)/i
         };
 
+        // Epic result flags printed after a value: (H), L, HH, (C), !!, Critical...
+        this.flagPattern = /(?:^|\s|\()(HH|LL|H|L|C|A|High|Low|Critical|Crit|Abnormal|!{1,2})(?=\)|\s|$)/i;
+
+        // Reference ranges printed after a value: "13.5 - 17.5", "<5", ">=150"
+        this.rangePattern = /(\d+\.?\d*)\s*-\s*(\d+\.?\d*)|([<>]=?)\s*(\d+\.?\d*)/;
+
+        // Unit text printed after a value: K/uL, x10^9/L, 10*3/uL, g/dL, L/L, fL, %...
+        this.unitPattern = /(?:[x×]\s*)?10\s*[\^*eE]?\s*[\d⁰¹²³⁴⁵⁶⁷⁸⁹]{1,2}\s*\/\s*(?:[uμµ]L|L|mm3)\b|(?<![A-Za-z])(?:K|M|G|T|thou|mil|cells|mg|g|ug|μg|µg|mcg|ng|pg|mmol|umol|μmol|µmol|nmol|pmol|U|IU)\s*\/\s*(?:dL|mL|[uμµ]L|L|mm3)\b|\/\s*(?:[uμµ]L|mm3)\b|\bL\/L\b|\bfL\b|\bpg\b|%/i;
+
+        this.referenceRanges = DEFAULT_CBC_REFERENCE_RANGES;
+        this.patientContext = { sex: null, age: null };
+
+        // Set by parseAll for the duration of a parse
+        this.diagnostics = null;
+
+        this.cellTypeAliases = new CellTypeAliasDictionary();
+
+        // Structured result formats tried before the Epic text parser
+        this.resultAdapters = [new HL7ResultAdapter(), new FHIRResultAdapter()];
+
+        // Collection date with an optional time (07:45, 0745, 7:45 AM)
+        this.collectionPattern = /(\d{1,2}\/\d{1,2}\/\d{2,4}|\d{1,2}-\d{1,2}-\d{2,4})(?:\s+(\d{1,2}:\d{2}(?:\s*[AP]M)?|\d{4}(?!\d)))?/i;
+
+        // Ancillary laboratory patterns, checked in order against each line;
+        // the first match claims the line (so "Iron Saturation" is not read as
+        // iron and "Kappa/Lambda Ratio" is not read as kappa)
+        this.labPatterns = {
+            ife: { label: 'immunofixation', pattern: /\bImmunofixation\b|\bIFE\b/i, text: true },
+            flcRatio: { label: 'kappa/lambda ratio', pattern: /\b(?:Kappa\s*\/\s*Lambda|K\s*\/\s*L)\b[^:\n]*?Ratio|\bFLC\s+Ratio/i },
+            kappaFlc: { label: 'free kappa', pattern: /\bKappa\b(?:\s*,?\s*Free)?(?:\s+Light\s+Chains?)?(?:\s*,?\s*Free)?/i },
+            lambdaFlc: { label: 'free lambda', pattern: /\bLambda\b(?:\s*,?\s*Free)?(?:\s+Light\s+Chains?)?(?:\s*,?\s*Free)?/i },
+            transferrinSaturation: { label: 'transferrin saturation', pattern: /\b(?:Transferrin|Iron)\s+Sat(?:uration)?\b|%\s*Sat(?:uration)?\b|\bTSAT\b/i },
+            tibc: { label: 'TIBC', pattern: /\bTIBC\b|\b(?:Total\s+)?Iron\s+Binding\s+Capacity\b/i },
+            ferritin: { label: 'ferritin', pattern: /\bFerritin\b/i },
+            iron: { label: 'iron', pattern: /\b(?:Serum\s+)?Iron\b/i },
+            b12: { label: 'vitamin B12', pattern: /\b(?:Vitamin\s+)?B[-\s]?12\b/i },
+            folate: { label: 'folate', pattern: /\bFolate\b|\bFolic\s+Acid\b/i },
+            reticAbsolute: { label: 'absolute reticulocytes', pattern: /\bRetic\w*\b[^:\n]*?(?:#|\bAbs(?:olute)?\b)|\bAbs(?:olute)?\s+Retic\w*/i },
+            retic: { label: 'reticulocytes', pattern: /\bRetic\w*\b(?:\s+Count)?/i },
+            ldh: { label: 'LDH', pattern: /\bLDH?\b|\bLactate\s+Dehydrogenase\b/i },
+            haptoglobin: { label: 'haptoglobin', pattern: /\bHaptoglobin\b/i },
+            mSpike: { label: 'M-spike', pattern: /\bM[-\s]?Spike\b|\bM[-\s]?Protein\b|\bMonoclonal\s+(?:Protein|Peak)\b/i }
+        };
+
         // Morphology and special findings patterns
         this.morphologyPatterns = {
             toxicGranulation: /Toxic\s+Granulation[:\s]*([A-Z]+)/i,
             giantPlatelets: /PLTS,\s*giant[:\s]*([A-Z]+)/i,
             rbcMorph: /RBC\s+MORPH[:\s]*([A-Z\s]+)/i,
-            atypicalLymphs: /Lymphs,\s*atypical\/reactive[:\s]*(\d+\.?\d*)/i
+            atypicalLymphs: /Lymphs,\s*atypical\/reactive[:\s]*(\d+\.?\d*)/i,
+            // Peripheral smear findings, graded as 1+-4+, Few/Many or Present
+            anisocytosis: /Anisocytosis[:\s]*([A-Z0-9+]+)/i,
+            poikilocytosis: /Poikilocytosis[:\s]*([A-Z0-9+]+)/i,
+            dacrocytes: /(?:Dacrocytes|Tear\s*drop(?:\s+cells)?)[:\s]*([A-Z0-9+]+)/i,
+            schistocytes: /Schistocytes[:\s]*([A-Z0-9+]+)/i,
+            polychromasia: /Polychromasia[:\s]*([A-Z0-9+]+)/i,
+            rouleaux: /Rouleaux[:\s]*([A-Z0-9+]+)/i,
+            hypogranularNeutrophils: /Hypogranular\s+(?:Neutrophils|PMNs?)[:\s]*([A-Z0-9+]+)/i,
+            pelgerHuet: /Pelger[-\s]*Hu[eë]t[^:]*[:\s]*([A-Z0-9+]+)/i,
+            hypersegmentedNeutrophils: /Hypersegmented\s+(?:Neutrophils|PMNs?)[:\s]*([A-Z0-9+]+)/i,
+            dohleBodies: /D[oö]hle\s+Bodies[:\s]*([A-Z0-9+]+)/i,
+            largePlatelets: /(?:PLTS,\s*large|Large\s+Platelets)[:\s]*([A-Z0-9+]+)/i,
+            hypogranularPlatelets: /(?:PLTS,\s*hypogranular|Hypogranular\s+Platelets)[:\s]*([A-Z0-9+]+)/i
         };
     }
 
-    parseCBC(text) {
+    // lineIndexes maps each line of text back to its line in the original
+    // paste, for diagnostics; it is omitted when text is the whole paste
+    parseCBC(text, lineIndexes) {
         const results = {};
         if (!text) return results;
 
-        // Parse CBC values
-        Object.keys(this.cbcPatterns).forEach(key => {
-            const match = text.match(this.cbcPatterns[key]);
-            if (match) {
-                results[key] = key === 'date' ? match[1] : parseFloat(match[1]);
+        const dateMatch = text.match(this.cbcPatterns.date);
+        if (dateMatch) {
+            results.date = dateMatch[1];
+        }
+
+        // Parse CBC values line by line so the flag and range printed after
+        // each value stay attached to the right analyte
+        const flags = {};
+        const ranges = {};
+        const sourceLines = {};
+        text.split('\n').forEach((line, i) => {
+            const lineIndex = lineIndexes ? lineIndexes[i] : i;
+
+            const collectionMatch = line.match(this.collectionPattern);
+            if (collectionMatch) {
+                this.recordLine(lineIndex, `Collection ${collectionMatch[0].trim()}`);
             }
+
+            Object.keys(this.cbcPatterns).forEach(key => {
+                if (key === 'date') return;
+
+                const match = line.match(this.cbcPatterns[key]);
+                if (!match) return;
+
+                const value = parseFloat(match[1]);
+                if (results[key] !== undefined) {
+                    // Keep the first value; a conflicting repeat needs review
+                    const repeat = { value, range: null };
+                    this.normalizeUnits(key, repeat, this.parseResultDetails(line.slice(match.index + match[0].length)).unit);
+                    if (repeat.value === results[key]) {
+                        this.recordLine(lineIndex, `CBC ${key.toUpperCase()} ${value} (repeat)`);
+                    } else {
+                        this.flagLine(lineIndex, `Duplicate ${key.toUpperCase()} ${value}; kept ${results[key]} from line ${sourceLines[key] + 1}`);
+                    }
+                    return;
+                }
+
+                const details = this.parseResultDetails(line.slice(match.index + match[0].length));
+                const measurement = { value, range: details.range };
+                const unitNote = this.applyUnits(key, measurement, details.unit, lineIndex);
+
+                results[key] = measurement.value;
+                sourceLines[key] = lineIndex;
+                if (details.flag) flags[key] = details.flag;
+                if (measurement.range) ranges[key] = measurement.range;
+                this.recordLine(lineIndex, `CBC ${key.toUpperCase()} ${measurement.value}${details.flag ? ` (${details.flag})` : ''}${unitNote}`);
+            });
         });
 
+        results.flags = flags;
+        results.ranges = ranges;
+
+        const collectionMatch = text.match(this.collectionPattern);
+        if (collectionMatch && collectionMatch[2]) {
+            results.time = collectionMatch[2].trim();
+        }
+
         return results;
     }
 
-    parseDifferential(text) {
-        const results = {};
-        if (!text) return results;
+    // Read the flag and reference range Epic prints after a result value
+    parseResultDetails(remainder) {
+        const details = { flag: null, range: null, unit: null };
+        if (!remainder) return details;
 
-        // Check if differential was performed
-        const diffMethodMatch = text.match(/Diff Method[:\s]*(.+)/i);
-        const diffMethod = diffMethodMatch ? diffMethodMatch[1].trim() : null;
-        
-        if (diffMethod && diffMethod.includes('not performed')) {
-            results.diffMethod = diffMethod;
-            return results;
+        // Dates such as 04-15-2024 would otherwise read as a range
+        let text = remainder.replace(new RegExp(this.collectionPattern.source, 'gi'), ' ');
+
+        // Units such as x10^9/L would otherwise read as part of a range
+        const unitMatch = text.match(this.unitPattern);
+        if (unitMatch) {
+            details.unit = unitMatch[0].trim();
+            text = text.replace(unitMatch[0], ' ');
         }
 
-        results.diffMethod = diffMethod || 'Unknown';
+        const flagMatch = text.match(this.flagPattern);
+        if (flagMatch) {
+            details.flag = this.normalizeFlag(flagMatch[1]);
+        }
 
-        // Flexible differential parsing - looks for any percentage followed by cell type
-        // This handles both auto and manual differentials dynamically
-        const lines = text.split('\n');
-        
-        // First pass: collect all matches with priority info
-        const allMatches = [];
-        
-        for (const line of lines) {
-            // Skip absolute count lines (those with #)
-            if (line.includes('#')) continue;
-            
-            // Match percentage patterns: "CellType: XX.X" or "CellType (qualifier): XX.X" or "CellType (%): XX.X"
-            const percentMatch = line.match(/^([^:]+?)(?:\s*\([^)]*\))?\s*:\s*(\d+\.?\d*)/);
-            
-            if (percentMatch) {
-                const cellType = percentMatch[1].trim();
-                const percentage = parseFloat(percentMatch[2]);
-                
-                // Normalize cell type names
-                const normalizedType = this.normalizeCellType(cellType);
-                if (normalizedType && !isNaN(percentage)) {
-                    // Determine priority: percentage (%) > qualifiers > plain
-                    let priority = 0;
-                    if (cellType.includes('(%)') || cellType.includes('% (')) {
-                        priority = 3; // Highest priority for explicit percentage
-                    } else if (cellType.includes('(')) {
-                        priority = 2; // Medium priority for qualifiers like (auto)
-                    } else {
-                        priority = 1; // Lowest priority for plain entries
-                    }
-                    
-                    allMatches.push({
-                        normalizedType,
-                        percentage,
-                        priority,
-                        originalLine: line
-                    });
-                }
+        const rangeMatch = text.replace(this.flagPattern, ' ').match(this.rangePattern);
+        if (rangeMatch) {
+            if (rangeMatch[1] !== undefined) {
+                details.range = { low: parseFloat(rangeMatch[1]), high: parseFloat(rangeMatch[2]), source: 'pasted' };
+            } else if (rangeMatch[3].startsWith('<')) {
+                details.range = { low: null, high: parseFloat(rangeMatch[4]), source: 'pasted' };
+            } else {
+                details.range = { low: parseFloat(rangeMatch[4]), high: null, source: 'pasted' };
             }
         }
-        
-        // Second pass: select highest priority entry for each cell type
-        const typeGroups = {};
-        allMatches.forEach(match => {
-            if (!typeGroups[match.normalizedType] || 
-                typeGroups[match.normalizedType].priority < match.priority) {
-                typeGroups[match.normalizedType] = match;
-            }
-        });
-        
-        // Build final results
-        Object.values(typeGroups).forEach(match => {
-            results[match.normalizedType] = match.percentage;
-        });
 
-        return results;
+        return details;
     }
 
-    parseMorphology(text) {
-        const results = {};
-        if (!text) return results;
+    normalizeUnitText(unit) {
+        const superscripts = '⁰¹²³⁴⁵⁶⁷⁸⁹';
+        return unit.toLowerCase()
+            .replace(/[μµ]/g, 'u')
+            .replace(/mcg/g, 'ug')
+            .replace(/[⁰¹²³⁴⁵⁶⁷⁸⁹]/g, digit => superscripts.indexOf(digit))
+            .replace(/\s+/g, '')
+            .replace(/^[x×]/, '')
+            .replace(/^10[\^*e]?(\d+)/, '10^$1')
+            .replace(/\/mm3$/, '/ul');
+    }
 
-        // Parse morphology findings
-        Object.keys(this.morphologyPatterns).forEach(key => {
-            const match = text.match(this.morphologyPatterns[key]);
-            if (match) {
-                results[key] = match[1].trim();
+    // Convert measurement.value (and its range) from the given unit to the
+    // internal unit of the analyte. Returns false for a unit the analyte is
+    // not reported in, leaving the value unchanged.
+    normalizeUnits(key, measurement, unit) {
+        const units = ANALYTE_UNITS[key];
+        if (!units || !unit || measurement.value === null) return true;
+
+        const factor = (UNIT_FACTORS[units.family] || {})[this.normalizeUnitText(unit)];
+        if (factor === undefined) return false;
+
+        if (factor !== 1) {
+            const decimals = units.usDecimals !== undefined ? units.usDecimals : 2;
+            const convert = value => (value === null ? null : parseFloat((value * factor).toFixed(decimals)));
+            measurement.value = convert(measurement.value);
+            if (measurement.range) {
+                measurement.range = { ...measurement.range, low: convert(measurement.range.low), high: convert(measurement.range.high) };
             }
-        });
+            measurement.converted = unit;
+        }
+        return true;
+    }
 
-        // Parse NRBC separately as it's important
-        const nrbcMatch = text.match(/NRBC%[^:]*:\s*(\d+\.?\d*)/i);
-        if (nrbcMatch) {
-            results.nrbc = parseFloat(nrbcMatch[1]);
+    // normalizeUnits, noting an unrecognized unit in the diagnostics. Returns
+    // a note on the conversion for the line's mapping.
+    applyUnits(key, measurement, unit, lineIndex) {
+        if (!this.normalizeUnits(key, measurement, unit)) {
+            this.flagLine(lineIndex, `Unrecognized unit "${unit}" for ${key}; value kept as ${ANALYTE_UNITS[key].us.trim()}`);
+            return '';
         }
+        return measurement.converted ? ` (converted from ${measurement.converted})` : '';
+    }
 
-        return results;
+    recordLine(lineIndex, mapping) {
+        if (this.diagnostics) this.diagnostics.record(lineIndex, mapping);
     }
 
-    normalizeCellType(cellType) {
-        const normalized = cellType.toLowerCase().trim();
-        
-        // Map various cell type names to standard names
-        const typeMap = {
-            'neutrophils': 'neutrophils',
-            'neutrophil': 'neutrophils',
-            'polys': 'neutrophils',
-            'poly': 'neutrophils',
-            'lymphs': 'lymphocytes',
-            'lymphocytes': 'lymphocytes',
-            'lymph': 'lymphocytes',
-            'monos': 'monocytes',
-            'monocytes': 'monocytes',
-            'mono': 'monocytes',
-            'eos': 'eosinophils',
-            'eosinophils': 'eosinophils',
-            'eosinophil': 'eosinophils',
-            'basos': 'basophils',
-            'basophils': 'basophils',
-            'basophil': 'basophils',
-            'basos (auto)': 'basophils',
-            'bands': 'bands',
-            'band': 'bands',
-            'blasts': 'blasts',
-            'blast': 'blasts',
-            'metamyelocytes': 'metamyelocytes',
-            'metamyelo': 'metamyelocytes',
-            'meta': 'metamyelocytes',
-            'myelocytes': 'myelocytes',
-            'myelo': 'myelocytes',
-            'promyelocytes': 'promyelocytes',
-            'promyelo': 'promyelocytes',
-            'other': 'other',
-            'unknown': 'unknown',
-            'atypical lymphs': 'atypical_lymphocytes',
-            'reactive lymphs': 'atypical_lymphocytes',
-            'lymphs, atypical/reactive (auto)': 'atypical_lymphocytes',
-            'granulocytes, immature': 'immature_granulocytes',
-            'granulocytes,immature': 'immature_granulocytes',
-            'granulocytes, immature (%)': 'immature_granulocytes',
-            'granulocytes,immature (%)': 'immature_granulocytes',
-            'immature granulocytes': 'immature_granulocytes',
-            'nrbc% (auto)': 'nrbc',
-            'nrbc%': 'nrbc'
-        };
+    flagLine(lineIndex, issue) {
+        if (this.diagnostics) this.diagnostics.flag(lineIndex, issue);
+    }
 
-        return typeMap[normalized] || null;
+    normalizeFlag(flag) {
+        const normalized = flag.toUpperCase();
+        if (normalized === 'HIGH') return 'H';
+        if (normalized === 'LOW') return 'L';
+        if (['C', 'CRIT', 'CRITICAL', '!!'].includes(normalized)) return 'C';
+        if (['ABNORMAL', '!'].includes(normalized)) return 'A';
+        return normalized;
     }
 
-    parseAll(text) {
-        const cbc = this.parseCBC(text);
-        const differential = this.parseDifferential(text);
-        const morphology = this.parseMorphology(text);
-        
-        return {
-            cbc,
-            differential,
-            morphology,
-            raw: text
-        };
+    setPatientContext(context) {
+        this.patientContext = { ...this.patientContext, ...context };
     }
-}
 
-// Main application functionality
-class MarrowReportApp {
-    constructor() {
-        this.initializeEventListeners();
-        this.loadDefaultValues();
+    getDefaultRanges() {
+        const { sex, age } = this.patientContext;
+        const entry = this.referenceRanges.find(candidate => {
+            if (candidate.sex && candidate.sex !== sex) return false;
+            if (candidate.minAge !== undefined && (age === null || age < candidate.minAge)) return false;
+            if (candidate.maxAge !== undefined && (age === null || age > candidate.maxAge)) return false;
+            return true;
+        });
+        return entry ? entry.ranges : {};
     }
 
-    initializeEventListeners() {
-        // Report generation and controls
-        document.getElementById('generate-report').addEventListener('click', () => this.generateReport());
-        document.getElementById('copy-report').addEventListener('click', () => this.copyToClipboard());
-        document.getElementById('clear-form').addEventListener('click', () => this.clearForm());
-        
-        // Add event listeners for descriptor checkboxes to update summaries
-        this.setupDescriptorEventListeners();
-        
-        // Add event listeners for all form elements to trigger auto-save
-        this.setupFormAutoSave();
-    }
+    // Fill in default ranges where the paste had none and derive H/L flags
+    // from the range when Epic did not print one. Critical (C) and abnormal (A)
+    // flags are resolved to a direction where the range allows it.
+    applyReferenceRanges(cbc) {
+        if (!cbc) return cbc;
 
-    setupFormAutoSave() {
-        // Listen for changes on all form elements
-        const formElements = document.querySelectorAll('input, textarea, select');
-        formElements.forEach(element => {
-            element.addEventListener('change', () => this.updateFormData());
-            element.addEventListener('input', () => this.updateFormData());
-        });
-        
-        // Setup abnormal cells toggle functionality
-        this.setupAbnormalToggle();
+        const defaults = this.getDefaultRanges();
+        cbc.flags = cbc.flags || {};
+        cbc.ranges = cbc.ranges || {};
 
+        Object.keys(this.cbcPatterns).forEach(key => {
+            if (key === 'date' || cbc[key] === undefined) return;
 
-    }
+            if (!cbc.ranges[key] && defaults[key]) {
+                cbc.ranges[key] = { low: defaults[key][0], high: defaults[key][1], source: 'default' };
+            }
 
-    setupAbnormalToggle() {
-        const coreToggle = document.getElementById('core-abnormal-toggle');
-        if (coreToggle) {
-            coreToggle.addEventListener('change', () => {
-                this.toggleAbnormalSections('core', coreToggle.checked);
-            });
-            // Initialize to current state on load
-            this.toggleAbnormalSections('core', coreToggle.checked);
-        }
-        
-        const aspirateToggle = document.getElementById('aspirate-abnormal-toggle');
-        if (aspirateToggle) {
-            aspirateToggle.addEventListener('change', () => {
-                this.toggleAbnormalSections('aspirate', aspirateToggle.checked);
-            });
-            // Initialize to current state on load
-            this.toggleAbnormalSections('aspirate', aspirateToggle.checked);
-        }
-    }
+            const range = cbc.ranges[key];
+            let direction = null;
+            if (range && range.low !== null && cbc[key] < range.low) direction = 'L';
+            if (range && range.high !== null && cbc[key] > range.high) direction = 'H';
 
-    toggleAbnormalSections(context, show) {
-        // Only toggle the detailed descriptor sections, not the entire cell type sections
-        const extraCoreSelector = context === 'core' ? ', #core-architecture .descriptor-section' : '';
-        const descriptorSections = document.querySelectorAll(`#${context}-megakaryocytes .descriptor-section, #${context}-erythroid .descriptor-section, #${context}-myeloid .descriptor-section, #${context}-lymphocytes .descriptor-section${extraCoreSelector}`);
-        
-        descriptorSections.forEach(section => {
-            if (show) {
-                section.style.display = 'block';
-                section.style.opacity = '1';
-            } else {
-                section.style.display = 'none';
-                section.style.opacity = '0';
+            const flag = cbc.flags[key];
+            if (!flag || flag === 'A') {
+                if (direction) cbc.flags[key] = direction;
+            } else if (flag === 'C' && direction) {
+                cbc.flags[key] = direction + direction;
             }
         });
-        
-        // Update toggle text
-        const toggleText = document.querySelector(`#${context}-abnormal-toggle + .toggle-text`);
-        if (toggleText) {
-            toggleText.textContent = show ? 'Hide Detailed Descriptors' : 'Show Detailed Descriptors';
-        }
+
+        return cbc;
     }
 
+    // Split a pasted column into one block of text per collection date/time.
+    // Lines before the first date stay in an undated block; blocks sharing the
+    // same date/time are merged so a CBC and its differential stay together.
+    splitByCollection(text) {
+        const segments = [];
+        if (!text) return segments;
 
+        // A single date anywhere in the paste describes the whole paste
+        const distinctDates = new Set((text.match(new RegExp(this.collectionPattern.source, 'gi')) || [])
+            .map(stamp => stamp.trim()));
+        if (distinctDates.size <= 1) {
+            const match = text.match(this.collectionPattern);
+            return [{
+                date: match ? match[1] : null,
+                time: match && match[2] ? match[2].trim() : null,
+                text,
+                lineIndexes: text.split('\n').map((line, index) => index)
+            }];
+        }
 
-    setupDescriptorEventListeners() {
-        // Add event listeners to all descriptor checkboxes
-        const descriptorCheckboxes = document.querySelectorAll('.descriptor-section input[type="checkbox"]');
-        descriptorCheckboxes.forEach(checkbox => {
-            checkbox.addEventListener('change', () => this.updateDescriptorSummary(checkbox));
-        });
-        
-        // Add event listeners to all radio buttons for proper group behavior
-        const radioButtons = document.querySelectorAll('input[type="radio"]');
-        radioButtons.forEach(radio => {
-            radio.addEventListener('change', () => this.handleRadioButtonChange(radio));
+        const byKey = {};
+        let current = null;
+        text.split('\n').forEach((line, index) => {
+            const match = line.match(this.collectionPattern);
+            if (match) {
+                const date = match[1];
+                const time = match[2] ? match[2].trim() : null;
+                const key = `${date} ${time || ''}`;
+                if (!byKey[key]) {
+                    byKey[key] = { date, time, lines: [], lineIndexes: [] };
+                    segments.push(byKey[key]);
+                }
+                current = byKey[key];
+            } else if (!current) {
+                current = { date: null, time: null, lines: [], lineIndexes: [] };
+                segments.push(current);
+            }
+            current.lines.push(line);
+            current.lineIndexes.push(index);
         });
-        
-        // Create summary displays for each descriptor section
-        this.createDescriptorSummaries();
+
+        return segments.map(segment => ({
+            date: segment.date,
+            time: segment.time,
+            text: segment.lines.join('\n'),
+            lineIndexes: segment.lineIndexes
+        }));
     }
 
-    handleRadioButtonChange(radio) {
-        // Ensure only one radio button in the group is selected
-        const name = radio.name;
-        if (name) {
-            document.querySelectorAll(`input[name="${name}"]`).forEach(rb => {
-                if (rb !== radio) {
-                    rb.checked = false;
-                }
-            });
-        }
-        
-        // Add visual feedback
-        radio.closest('label').style.background = '#e3f2fd';
-        setTimeout(() => {
-            radio.closest('label').style.background = '';
-        }, 200);
-        
-        // Update any related summaries or dependent fields
-        this.updateDependentFields(radio);
-        
-        // Update form data
-        this.updateFormData();
+    // Parse every draw in the paste, most recent first. Blocks without any CBC
+    // values (headers, differential-only blocks) are left out of the series.
+    parseCBCSeries(text) {
+        return this.splitByCollection(text)
+            .map(segment => {
+                const cbc = this.parseCBC(segment.text, segment.lineIndexes);
+                if (segment.date) cbc.date = segment.date;
+                if (segment.time) cbc.time = segment.time;
+                return { cbc, text: segment.text, lineIndexes: segment.lineIndexes };
+            })
+            .filter(draw => Object.keys(draw.cbc).some(key => !CBC_META_KEYS.includes(key)))
+            .sort((a, b) => this.collectionTimestamp(b.cbc) - this.collectionTimestamp(a.cbc));
     }
 
-    updateDependentFields(radio) {
-        // Handle dependent field updates based on radio button selection
-        const name = radio.name;
-        const value = radio.value;
-        
-        // Example: Update related fields based on selection
-        if (name === 'biopsy-adequacy' && value === 'Limited') {
-            // Enable limitations field if Limited is selected
-            const limitationsField = document.getElementById('limitations');
-            if (limitationsField) {
-                limitationsField.style.display = 'block';
+    collectionTimestamp(cbc) {
+        if (!cbc || !cbc.date) return -Infinity;
+
+        const [month, day, rawYear] = cbc.date.split(/[\/-]/).map(Number);
+        const year = rawYear < 100 ? 2000 + rawYear : rawYear;
+        let hours = 0;
+        let minutes = 0;
+
+        if (cbc.time) {
+            const timeMatch = cbc.time.match(/^(\d{1,2}):?(\d{2})\s*([AP]M)?$/i);
+            if (timeMatch) {
+                hours = parseInt(timeMatch[1], 10) % 24;
+                minutes = parseInt(timeMatch[2], 10);
+                if (timeMatch[3] && timeMatch[3].toUpperCase() === 'PM' && hours < 12) hours += 12;
+                if (timeMatch[3] && timeMatch[3].toUpperCase() === 'AM' && hours === 12) hours = 0;
             }
         }
-        
-        // Add more dependent field logic as needed
-    }
 
-    createDescriptorSummaries() {
-        const descriptorSections = document.querySelectorAll('.descriptor-section');
-        descriptorSections.forEach(section => {
-            const summaryDiv = document.createElement('div');
-            summaryDiv.className = 'descriptor-summary';
-            summaryDiv.innerHTML = `
-                <h5>Selected Features Summary</h5>
-                <div class="summary-text">No features selected yet</div>
-            `;
-            summaryDiv.id = section.id || `summary-${Math.random().toString(36).substr(2, 9)}`;
-            section.appendChild(summaryDiv);
-        });
+        return new Date(year, month - 1, day, hours, minutes).getTime();
     }
 
-    updateDescriptorSummary(checkbox) {
-        try {
-            const section = checkbox.closest('.descriptor-section');
-            if (!section) return;
-            
-            const summaryDiv = section.querySelector('.descriptor-summary');
-            if (!summaryDiv) return;
-            
-            const summaryText = summaryDiv.querySelector('.summary-text');
-            if (!summaryText) return;
+    // Split the differential into an automated (analyzer) set and a manual
+    // (smear review) set. Lines are assigned by an explicit "(auto)" or
+    // "(manual)" qualifier, then by the most recent "Auto/Manual Differential"
+    // header or "Diff Method" line, and finally by cell type: populations only
+    // reported on smear review (bands, blasts, precursors) default to manual.
+    parseDifferential(text, lineIndexes) {
+        const results = { diffMethod: null, auto: null, manual: null };
+        if (!text) return results;
+
+        const lines = text.split('\n');
+
+        // Check if differential was performed
+        const diffMethodLine = lines.findIndex(line => /Diff Method[:\s]*(.+)/i.test(line));
+        const diffMethod = diffMethodLine >= 0 ? lines[diffMethodLine].match(/Diff Method[:\s]*(.+)/i)[1].trim() : null;
+        results.diffMethod = diffMethod || 'Unknown';
+        if (diffMethodLine >= 0) {
+            this.recordLine(lineIndexes ? lineIndexes[diffMethodLine] : diffMethodLine, `Differential method: ${diffMethod}`);
+        }
+        
+        if (diffMethod && diffMethod.includes('not performed')) {
+            return results;
+        }
+        
+        // First pass: collect all matches with priority info, per set
+        const allMatches = { auto: [], manual: [] };
+        const absolute = { auto: {}, manual: {} };
+        let context = null;
+        
+        lines.forEach((line, i) => {
+            const lineIndex = lineIndexes ? lineIndexes[i] : i;
+            const headerContext = this.getDifferentialContext(line);
+            if (headerContext) {
+                context = headerContext;
+                if (!/Diff Method/i.test(line)) {
+                    this.recordLine(lineIndex, `${DIFFERENTIAL_METHODS[context]} differential header`);
+                }
+                return;
+            }
+
+            // Absolute counts (K/μL) are kept apart from the percentages
+            if (this.isAbsoluteCountLine(line)) {
+                const absoluteMatch = this.parseAbsoluteCountLine(line);
+                if (absoluteMatch) {
+                    const set = this.getLineDifferentialSet(line, context, absoluteMatch.type);
+                    const label = `${DIFFERENTIAL_METHODS[set]} absolute ${absoluteMatch.type.replace('_', ' ')}`;
+                    const existing = absolute[set][absoluteMatch.type];
+                    const unitNote = this.applyUnits('absolute', absoluteMatch, absoluteMatch.unit, lineIndex);
+                    if (existing === undefined) {
+                        absolute[set][absoluteMatch.type] = { value: absoluteMatch.value, source: 'pasted', lineIndex };
+                        this.recordLine(lineIndex, `${label} ${absoluteMatch.value} K/μL${unitNote}`);
+                    } else if (existing.value === absoluteMatch.value) {
+                        this.recordLine(lineIndex, `${label} ${absoluteMatch.value} K/μL (repeat)`);
+                    } else {
+                        this.flagLine(lineIndex, `Duplicate ${label} ${absoluteMatch.value}; kept ${existing.value} from line ${existing.lineIndex + 1}`);
+                    }
+                }
+                return;
+            }
             
-            // Get all checked checkboxes in this section
-            const checkedBoxes = section.querySelectorAll('input[type="checkbox"]:checked');
+            // Match percentage patterns: "CellType: XX.X" or "CellType (qualifier): XX.X" or "CellType (%): XX.X"
+            const percentMatch = line.match(/^([^:]+?)(?:\s*\([^)]*\))?\s*:\s*(\d+\.?\d*)/);
             
-            if (checkedBoxes.length === 0) {
-                summaryText.textContent = 'No features selected yet';
-                summaryDiv.style.display = 'none'; // Hide empty summaries
-            } else {
-                const selectedFeatures = Array.from(checkedBoxes).map(cb => cb.value).filter(Boolean);
-                if (selectedFeatures.length > 0) {
-                    summaryText.textContent = selectedFeatures.join(', ');
-                    summaryDiv.style.display = 'block'; // Show summaries with content
+            if (percentMatch) {
+                const cellType = percentMatch[1].trim();
+                const percentage = parseFloat(percentMatch[2]);
+                
+                // Normalize cell type names
+                const normalizedType = this.normalizeCellType(cellType);
+                if (normalizedType && !isNaN(percentage)) {
+                    // Determine priority: percentage (%) > qualifiers > plain
+                    let priority = 0;
+                    if (cellType.includes('(%)') || cellType.includes('% (')) {
+                        priority = 3; // Highest priority for explicit percentage
+                    } else if (cellType.includes('(')) {
+                        priority = 2; // Medium priority for qualifiers like (auto)
+                    } else {
+                        priority = 1; // Lowest priority for plain entries
+                    }
+                    
+                    const set = this.getLineDifferentialSet(line, context, normalizedType);
+                    allMatches[set].push({
+                        normalizedType,
+                        percentage,
+                        priority,
+                        originalLine: line,
+                        lineIndex
+                    });
+                }
+            }
+        });
+        
+        ['auto', 'manual'].forEach(set => {
+            // Second pass: select highest priority entry for each cell type
+            const typeGroups = {};
+            allMatches[set].forEach(match => {
+                if (!typeGroups[match.normalizedType] || 
+                    typeGroups[match.normalizedType].priority < match.priority) {
+                    typeGroups[match.normalizedType] = match;
+                }
+            });
+
+            // Account for every line, noting the ones that lost to a higher priority entry
+            allMatches[set].forEach(match => {
+                const winner = typeGroups[match.normalizedType];
+                const label = `${DIFFERENTIAL_METHODS[set]} differential ${match.normalizedType.replace('_', ' ')}`;
+                if (winner === match) {
+                    this.recordLine(match.lineIndex, `${label} ${match.percentage}%`);
+                } else if (winner.percentage === match.percentage) {
+                    this.recordLine(match.lineIndex, `${label} ${match.percentage}% (repeat)`);
                 } else {
-                    summaryText.textContent = 'No features selected yet';
-                    summaryDiv.style.display = 'none';
+                    this.flagLine(match.lineIndex, `Duplicate ${label} ${match.percentage}%; kept ${winner.percentage}% from line ${winner.lineIndex + 1}`);
                 }
+            });
+
+            if (Object.keys(typeGroups).length === 0 && Object.keys(absolute[set]).length === 0) {
+                return;
             }
-            
-            // Update form data for auto-save
-            this.updateFormData();
-            
-        } catch (error) {
-            console.warn('Error updating descriptor summary:', error);
-        }
+
+            // Build final results
+            const percentages = {};
+            Object.values(typeGroups).forEach(match => {
+                percentages[match.normalizedType] = match.percentage;
+            });
+
+            const setAbsolute = {};
+            Object.keys(absolute[set]).forEach(type => {
+                setAbsolute[type] = { value: absolute[set][type].value, source: 'pasted' };
+            });
+
+            results[set] = {
+                method: DIFFERENTIAL_METHODS[set],
+                percentages,
+                absolute: setAbsolute
+            };
+        });
+
+        return results;
     }
 
-    updateFormData() {
-        // Trigger auto-save when form data changes
-        try {
-            const data = this.getFormData();
-            localStorage.setItem('marrowReportData', JSON.stringify(data));
-        } catch (error) {
-            console.warn('Error updating form data:', error);
+    // "Auto Differential:", "Manual Diff" or "Diff Method: Manual" switch the
+    // set that following unqualified lines belong to
+    getDifferentialContext(line) {
+        const methodMatch = line.match(/Diff Method[:\s]*(.+)/i);
+        const header = methodMatch ? methodMatch[1] : line;
+        if (!methodMatch && !/^\s*(auto(mated)?|manual)\s*(diff(erential)?)?\s*:?\s*$/i.test(line)) {
+            return null;
         }
+        if (/manual|smear/i.test(header)) return 'manual';
+        if (/auto/i.test(header)) return 'auto';
+        return null;
+    }
+
+    getLineDifferentialSet(line, context, normalizedType) {
+        if (/\((?:manual|man|smear)\)/i.test(line)) return 'manual';
+        if (/\((?:auto|automated)\)/i.test(line)) return 'auto';
+        if (context) return context;
+        return MANUAL_ONLY_CELL_TYPES.includes(normalizedType) ? 'manual' : 'auto';
     }
 
+    // Report where the smear review and the analyzer disagree: populations seen
+    // only on the manual differential (blasts, promyelocytes) and percentages
+    // that differ by at least DIFF_DISCREPANCY_THRESHOLD points.
+    compareDifferentials(differential) {
+        const discrepancies = [];
+        if (!differential || !differential.auto || !differential.manual) return discrepancies;
 
+        const auto = differential.auto.percentages;
+        const manual = differential.manual.percentages;
 
-    loadDefaultValues() {
-        // Set some default values based on the images
+        ['blasts', 'promyelocytes'].forEach(type => {
+            if (manual[type] > 0 && !(auto[type] > 0)) {
+                discrepancies.push(`${manual[type]}% ${type} on the manual differential, not reported by the automated differential`);
+            }
+        });
 
-        document.getElementById('limitations').value = 'fragmented';
-    }
+        // Manual bands and atypical lymphocytes fall under the analyzer's neutrophils and lymphocytes
+        const comparisons = {
+            neutrophils: ['neutrophils', 'bands'],
+            lymphocytes: ['lymphocytes', 'atypical_lymphocytes'],
+            monocytes: ['monocytes'],
+            eosinophils: ['eosinophils'],
+            basophils: ['basophils']
+        };
+        Object.keys(comparisons).forEach(type => {
+            if (auto[type] === undefined) return;
+            const manualTypes = comparisons[type].filter(manualType => manual[manualType] !== undefined);
+            if (manualTypes.length === 0) return;
 
-    generateReport() {
-        try {
-            const reportOutput = document.getElementById('report-output');
-            if (!reportOutput) {
-                this.showNotification('Report output element not found', 'error');
-                return;
+            const manualValue = Math.round(manualTypes.reduce((sum, manualType) => sum + manual[manualType], 0) * 10) / 10;
+            if (Math.abs(manualValue - auto[type]) >= DIFF_DISCREPANCY_THRESHOLD) {
+                discrepancies.push(`${type} ${manualValue}% on the manual differential versus ${auto[type]}% on the automated differential`);
             }
-            
-            // Check if form has any data
-            if (!this.hasFormData()) {
-                const emptyReport = 'A. BONE MARROW, BIOPSY:\nPlease enter a diagnosis\nCOMMENT: No data entered yet\n_________________________________________________________________\n\nNo form data has been entered. Please fill out at least some sections of the form before generating a report.';
-                reportOutput.value = emptyReport;
-                this.showNotification('Form is empty. Please fill out some sections first.', 'info');
-                return;
-            }
-            
-            const report = this.buildReport();
-            reportOutput.value = report;
-            
-            if (report && !report.startsWith('Error')) {
-                this.showNotification('Report generated successfully!', 'success');
-            } else {
-                this.showNotification('Report generated with some issues. Please review.', 'error');
-            }
-        } catch (error) {
-            console.error('Error in generateReport:', error);
-            this.showNotification('Error generating report. Please check the console.', 'error');
-        }
+        });
+
+        return discrepancies;
     }
 
-    hasFormData() {
-        try {
-            // Check if any text inputs have values
-            const textInputs = document.querySelectorAll('input[type="text"], input[type="number"], textarea');
-            for (const input of textInputs) {
-                if (input.value && input.value.trim()) {
-                    return true;
-                }
-            }
-            
-            // Check if any radio buttons are selected
-            const radioInputs = document.querySelectorAll('input[type="radio"]:checked');
-            if (radioInputs.length > 0) {
-                return true;
-            }
-            
-            // Check if any checkboxes are checked
-            const checkboxInputs = document.querySelectorAll('input[type="checkbox"]:checked');
-            if (checkboxInputs.length > 0) {
-                return true;
-            }
-            
-            return false;
-        } catch (error) {
-            console.warn('Error checking form data:', error);
-            return false;
-        }
+    isAbsoluteCountLine(line) {
+        return line.includes('#') || /\babs(olute)?\b/i.test(line) || /^\s*(ANC|ALC|AMC|AEC)\b/i.test(line);
     }
 
-    buildReport() {
-        try {
-            let report = 'A. BONE MARROW, BIOPSY:\n';
-            report += 'Please enter a diagnosis\n\n';
-            
-            // CBC Section (if parsed from Epic data)
-            if (window.cbcParagraph && window.cbcParagraph.trim()) {
-                report += window.cbcParagraph + '\n\n';
-            }
-            
-            // Core Biopsy Section
-            report += 'CORE BIOPSY:\n';
-            
-            const biopsyAdequacy = this.getSelectedRadioValue('biopsy-adequacy');
-            if (biopsyAdequacy) {
-                const limitations = this.getValue('limitations');
-                report += `Biopsy adequacy: ${biopsyAdequacy}${limitations ? `; ${limitations}` : ''}.\n`;
-            }
-            
-            // Cellularity
-            const cellularity = this.getValue('cellularity');
-            const ageCellularity = this.getSelectedRadioValue('age-cellularity');
-            
-            if (cellularity || ageCellularity) {
-                let cellularityText = 'Marrow biopsy cellularity: ';
-                
-                if (cellularity) {
-                    cellularityText += `${cellularity}`;
-                    // Add % if not already present
-                    if (!cellularity.includes('%')) {
-                        cellularityText += '%';
-                    }
-                } else {
-                    cellularityText += 'Not specified';
-                }
-                
-                if (ageCellularity) {
-                    cellularityText += `; age adjusted ${ageCellularity}`;
-                }
-                
-                cellularityText += '.\n';
-                report += cellularityText;
-            }
-            
-            // M:E Ratio
-            const meRatio = this.getSelectedRadioValue('me-ratio');
-            if (meRatio) {
-                report += `Myeloid:Erythroid ratio is ${meRatio}.\n`;
-            }
-            
-            // Core Biopsy - Myeloid Lineage (moved to first position)
-            const coreMyeloid = this.getSelectedRadioValue('core-myeloid');
-            const coreMyelDescription = this.getValue('core-myeloid-description');
-            
-            if (coreMyeloid) {
-                let myelString = `Myeloid lineage maturation is ${coreMyeloid}`;
-                
-                // Add detailed descriptors in narrative form
-                const coreMyelCellularity = this.getSelectedCheckboxValues('core-myel-cellularity');
-                const coreMyelNuclear = this.getSelectedCheckboxValues('core-myel-nuclear');
-                const coreMyelCytoplasm = this.getSelectedCheckboxValues('core-myel-cytoplasm');
-                const coreMyelOther = this.getSelectedCheckboxValues('core-myel-other');
-                
-                const allMyelFeatures = [...coreMyelCellularity, ...coreMyelNuclear, ...coreMyelCytoplasm, ...coreMyelOther];
-                if (allMyelFeatures.length > 0) {
-                    myelString += ` with features including ${allMyelFeatures.join(', ')}`;
-                }
-                
-                if (coreMyelDescription) {
-                    myelString += `. ${coreMyelDescription}`;
-                }
-                
-                report += myelString + '.\n';
-            }
-            
-            // Core Biopsy - Erythroid Lineage (moved to second position)
-            const coreErythroid = this.getSelectedRadioValue('core-erythroid');
-            const coreEryDescription = this.getValue('core-erythroid-description');
-            
-            if (coreErythroid) {
-                let eryString = `Erythroid lineage maturation is ${coreErythroid}`;
-                
-                // Add detailed descriptors in narrative form
-                const coreErySize = this.getSelectedCheckboxValues('core-ery-size');
-                const coreEryNuclear = this.getSelectedCheckboxValues('core-ery-nuclear');
-                const coreEryCytoplasm = this.getSelectedCheckboxValues('core-ery-cytoplasm');
-                const coreEryMaturation = this.getSelectedCheckboxValues('core-ery-maturation');
-                
-                const allEryFeatures = [...coreErySize, ...coreEryNuclear, ...coreEryCytoplasm, ...coreEryMaturation];
-                if (allEryFeatures.length > 0) {
-                    eryString += ` with features including ${allEryFeatures.join(', ')}`;
-                }
-                
-                if (coreEryDescription) {
-                    eryString += `. ${coreEryDescription}`;
-                }
-                
-                report += eryString + '.\n';
-            }
-            
-            // Core Biopsy - Megakaryocytes (moved to third position)
-            const coreMegakaryocytes = this.getSelectedRadioValue('core-megakaryocytes');
-            const coreMegIhc = this.getValue('core-megakaryocyte-ihc');
-            const coreMegDescription = this.getValue('core-megakaryocyte-description');
-            
-            // Build megakaryocyte sentence
-            if (coreMegakaryocytes) {
-                let megSentence = `Megakaryocytes are ${coreMegakaryocytes}`;
-                
-                // Add detailed descriptors in narrative form
-                const coreMegSize = this.getSelectedCheckboxValues('core-meg-size');
-                const coreMegNuclear = this.getSelectedCheckboxValues('core-meg-nuclear');
-                const coreMegCytoplasm = this.getSelectedCheckboxValues('core-meg-cytoplasm');
-                const coreMegOther = this.getSelectedCheckboxValues('core-meg-other');
-                
-                const allMegFeatures = [...coreMegSize, ...coreMegNuclear, ...coreMegCytoplasm, ...coreMegOther];
-                if (allMegFeatures.length > 0) {
-                    megSentence += ` with ${allMegFeatures.join(', ')}`;
-                }
-                
-                if (coreMegIhc) {
-                    megSentence += `. Megakaryocyte IHC shows ${coreMegIhc}`;
-                }
-                
-                if (coreMegDescription) {
-                    megSentence += `. ${coreMegDescription}`;
-                }
-                
-                report += megSentence + '.\n';
-            }
-            
-            // Core Biopsy - Lymphocytes & Plasma Cells
-            const coreLymphSize = this.getSelectedCheckboxValues('core-lymph-size');
-            const coreLymphNuclear = this.getSelectedCheckboxValues('core-lymph-nuclear');
-            const coreLymphCytoplasm = this.getSelectedCheckboxValues('core-lymph-cytoplasm');
-            const coreLymphDistribution = this.getSelectedCheckboxValues('core-lymph-distribution');
-            const coreLymphDescription = this.getValue('core-lymphocytes-description');
-            
-            const allLymphFeatures = [...coreLymphSize, ...coreLymphNuclear, ...coreLymphCytoplasm, ...coreLymphDistribution];
-            if (allLymphFeatures.length > 0) {
-                let lymphString = `Lymphocytes and plasma cells demonstrate ${allLymphFeatures.join(', ')}`;
-                
-                if (coreLymphDescription) {
-                    lymphString += `. ${coreLymphDescription}`;
-                }
-                
-                report += lymphString + '.\n';
-            } else if (coreLymphDescription) {
-                report += `Lymphocytes and plasma cells: ${coreLymphDescription}.\n`;
-            }
+    parseAbsoluteCountLine(line) {
+        const match = line.match(/^([^:]+?)\s*:\s*(\d+\.?\d*)/);
+        if (!match) return null;
 
-            // Core Biopsy - Architecture & Other Findings
-            const coreArchAggregates = this.getSelectedCheckboxValues('core-arch-aggregates');
-            const coreArchHemosiderin = this.getSelectedCheckboxValues('core-arch-hemosiderin');
-            const coreArchOther = this.getSelectedCheckboxValues('core-arch-other');
-            
-            if (coreArchAggregates.length > 0) {
-                report += `Lymphoid aggregates: ${coreArchAggregates.join(', ')}.\n`;
-            }
-            if (coreArchHemosiderin.length > 0) {
-                report += `Hemosiderin-laden macrophages: ${coreArchHemosiderin.join(', ')}.\n`;
-            }
-            if (coreArchOther.length > 0) {
-                report += `Other core findings: ${coreArchOther.join(', ')}.\n`;
-            }
+        const acronyms = { anc: 'neutrophils', alc: 'lymphocytes', amc: 'monocytes', aec: 'eosinophils' };
+        const label = match[1]
+            .replace(/\([^)]*\)/g, ' ')
+            .replace(/#|\babs(olute)?\b|\bcount\b/gi, ' ')
+            .replace(/,\s*$/, '')
+            .replace(/\s+/g, ' ')
+            .trim();
+        const type = acronyms[label.toLowerCase()] || this.normalizeCellType(label);
+        const value = parseFloat(match[2]);
+        if (!type || isNaN(value)) return null;
 
-            report += '\n';
-            
-            // Aspirate Section
-            report += 'ASPIRATE:\n';
-            
-            const aspirateCellularity = this.getSelectedRadioValue('aspirate-cellularity');
-            const spicules = this.getSelectedRadioValue('spicules');
-            const touchPrep = this.getSelectedRadioValue('touch-prep');
-            
-            if (aspirateCellularity || spicules || touchPrep) {
-                const adequacy = aspirateCellularity || 'Not specified';
-                const spiculesText = spicules || 'Not specified';
-                const touchPrepText = touchPrep || 'Not specified';
-                report += `Aspirate adequacy: ${adequacy}, spicules: ${spiculesText}, touch prep: ${touchPrepText}.\n`;
-            }
-            
-            // Aspirate - Megakaryocytes
-            const aspirateMegakaryocytes = this.getSelectedRadioValue('aspirate-megakaryocytes');
-            const aspirateMegDescription = this.getValue('aspirate-megakaryocyte-description');
-            
-            if (aspirateMegakaryocytes) {
-                let aspirateMegSentence = `Megakaryocytes are ${aspirateMegakaryocytes}`;
-                
-                // Add detailed descriptors in narrative form
-                const aspirateMegSize = this.getSelectedCheckboxValues('aspirate-meg-size');
-                const aspirateMegNuclear = this.getSelectedCheckboxValues('aspirate-meg-nuclear');
-                const aspirateMegCytoplasm = this.getSelectedCheckboxValues('aspirate-meg-cytoplasm');
-                const aspirateMegOther = this.getSelectedCheckboxValues('aspirate-meg-other');
-                
-                const allAspirateMegFeatures = [...aspirateMegSize, ...aspirateMegNuclear, ...aspirateMegCytoplasm, ...aspirateMegOther];
-                if (allAspirateMegFeatures.length > 0) {
-                    aspirateMegSentence += ` with ${allAspirateMegFeatures.join(', ')}`;
-                }
-                
-                if (aspirateMegDescription) {
-                    aspirateMegSentence += `. ${aspirateMegDescription}`;
-                }
-                
-                report += aspirateMegSentence + '.\n';
-            }
-            
-            // Aspirate - Erythroid Lineage
-            const aspirateErythroid = this.getSelectedRadioValue('aspirate-erythroid');
-            const aspirateEryDescription = this.getValue('aspirate-erythroid-description');
-            
-            if (aspirateErythroid) {
-                let aspirateEryString = `Erythroid lineage maturation is ${aspirateErythroid}`;
-                
-                // Add detailed descriptors in narrative form
-                const aspirateErySize = this.getSelectedCheckboxValues('aspirate-ery-size');
-                const aspirateEryNuclear = this.getSelectedCheckboxValues('aspirate-ery-nuclear');
-                const aspirateEryCytoplasm = this.getSelectedCheckboxValues('aspirate-ery-cytoplasm');
-                const aspirateEryMaturation = this.getSelectedCheckboxValues('aspirate-ery-maturation');
-                
-                const allAspirateEryFeatures = [...aspirateErySize, ...aspirateEryNuclear, ...aspirateEryCytoplasm, ...aspirateEryMaturation];
-                if (allAspirateEryFeatures.length > 0) {
-                    aspirateEryString += ` with features including ${allAspirateEryFeatures.join(', ')}`;
+        // Counts may be pasted per μL or in x10^9/L; the caller converts them
+        const unit = this.parseResultDetails(line.slice(match.index + match[0].length)).unit;
+        return { type, value, unit };
+    }
+
+    // Compute absolute counts from WBC and the percentages of each set. Pasted
+    // absolute counts win, but are compared with the computed value and
+    // reported as a warning when they disagree beyond ABSOLUTE_COUNT_TOLERANCE.
+    deriveAbsoluteCounts(cbc, differential) {
+        const warnings = [];
+        if (!differential || !cbc || cbc.wbc === undefined) return warnings;
+
+        ['auto', 'manual'].forEach(setName => {
+            const set = differential[setName];
+            if (!set) return;
+
+            Object.keys(ABSOLUTE_COUNT_THRESHOLDS).forEach(type => {
+                if (set.percentages[type] === undefined) return;
+
+                // ANC conventionally includes bands
+                let percentage = set.percentages[type];
+                if (type === 'neutrophils' && set.percentages.bands !== undefined) {
+                    percentage += set.percentages.bands;
                 }
-                
-                if (aspirateEryDescription) {
-                    aspirateEryString += `. ${aspirateEryDescription}`;
+                const computed = Math.round(cbc.wbc * percentage) / 100;
+
+                const existing = set.absolute[type];
+                if (!existing) {
+                    set.absolute[type] = { value: computed, source: 'computed' };
+                    return;
                 }
-                
-                report += aspirateEryString + '.\n';
-            }
-            
-            // Aspirate - Myeloid Lineage
-            const aspirateMyeloid = this.getSelectedRadioValue('aspirate-myeloid');
-            const aspirateMyelDescription = this.getValue('aspirate-myeloid-description');
-            
-            if (aspirateMyeloid) {
-                let aspirateMyelString = `Myeloid lineage maturation is ${aspirateMyeloid}`;
-                
-                // Add detailed descriptors in narrative form
-                const aspirateMyelCellularity = this.getSelectedCheckboxValues('aspirate-myel-cellularity');
-                const aspirateMyelNuclear = this.getSelectedCheckboxValues('aspirate-myel-nuclear');
-                const aspirateMyelCytoplasm = this.getSelectedCheckboxValues('aspirate-myel-cytoplasm');
-                const aspirateMyelOther = this.getSelectedCheckboxValues('aspirate-myel-other');
-                
-                const allAspirateMyelFeatures = [...aspirateMyelCellularity, ...aspirateMyelNuclear, ...aspirateMyelCytoplasm, ...aspirateMyelOther];
-                if (allAspirateMyelFeatures.length > 0) {
-                    aspirateMyelString += ` with features including ${allAspirateMyelFeatures.join(', ')}`;
+
+                const difference = Math.abs(existing.value - computed);
+                if (difference > 0.1 && difference > computed * ABSOLUTE_COUNT_TOLERANCE) {
+                    const abbreviation = ABSOLUTE_COUNT_THRESHOLDS[type].abbreviation;
+                    warnings.push(`${abbreviation} (${set.method.toLowerCase()}): pasted ${existing.value} K/μL differs from ${computed} K/μL computed from WBC ${cbc.wbc} × ${percentage}%`);
                 }
-                
-                if (aspirateMyelDescription) {
-                    aspirateMyelString += `. ${aspirateMyelDescription}`;
+            });
+        });
+
+        return warnings;
+    }
+
+    // Parse ancillary laboratory results. When the paste covers several
+    // collection dates the most recent value of each test is kept.
+    parseLabs(text) {
+        const results = {};
+        if (!text) return results;
+
+        const segments = this.splitByCollection(text)
+            .sort((a, b) => this.collectionTimestamp(b) - this.collectionTimestamp(a));
+
+        const sourceLines = {};
+        segments.forEach(segment => {
+            segment.text.split('\n').forEach((line, i) => {
+                const lineIndex = segment.lineIndexes[i];
+                const key = Object.keys(this.labPatterns).find(candidate => this.labPatterns[candidate].pattern.test(line));
+                if (!key) return;
+
+                const definition = this.labPatterns[key];
+                const result = this.parseLabLine(line, definition);
+                if (!result) {
+                    this.flagLine(lineIndex, `Looks like ${definition.label} but no result was found`);
+                    return;
                 }
-                
-                report += aspirateMyelString + '.\n';
-            }
-            
-            // Aspirate - Lymphocytes & Plasma Cells
-            const aspirateLymphSize = this.getSelectedCheckboxValues('aspirate-lymph-size');
-            const aspirateLymphNuclear = this.getSelectedCheckboxValues('aspirate-lymph-nuclear');
-            const aspirateLymphCytoplasm = this.getSelectedCheckboxValues('aspirate-lymph-cytoplasm');
-            const aspirateLymphDistribution = this.getSelectedCheckboxValues('aspirate-lymph-distribution');
-            const aspirateLymphDescription = this.getValue('aspirate-lymphocytes-description');
-            
-            const allAspirateLymphFeatures = [...aspirateLymphSize, ...aspirateLymphNuclear, ...aspirateLymphCytoplasm, ...aspirateLymphDistribution];
-            if (allAspirateLymphFeatures.length > 0) {
-                let aspirateLymphString = `Lymphocytes and plasma cells demonstrate ${allAspirateLymphFeatures.join(', ')}`;
-                
-                if (aspirateLymphDescription) {
-                    aspirateLymphString += `. ${aspirateLymphDescription}`;
+                const unitNote = this.applyUnits(key, result, result.unit, lineIndex);
+
+                const existing = results[key];
+                if (!existing) {
+                    result.date = segment.date;
+                    results[key] = result;
+                    sourceLines[key] = lineIndex;
+                    this.recordLine(lineIndex, `Lab ${definition.label} ${formatLabValue(key, result, definition)}${unitNote}`);
+                } else if (existing.date !== segment.date) {
+                    this.recordLine(lineIndex, `Lab ${definition.label} ${formatLabValue(key, result, definition)} (older result, not reported)`);
+                } else if (formatLabValue(key, existing, definition) === formatLabValue(key, result, definition)) {
+                    this.recordLine(lineIndex, `Lab ${definition.label} (repeat)`);
+                } else {
+                    this.flagLine(lineIndex, `Duplicate ${definition.label} ${formatLabValue(key, result, definition)}; kept ${formatLabValue(key, existing, definition)} from line ${sourceLines[key] + 1}`);
                 }
-                
-                report += aspirateLymphString + '.\n';
-            } else if (aspirateLymphDescription) {
-                report += `Lymphocytes and plasma cells: ${aspirateLymphDescription}.\n`;
-            }
-            
-            report += '\n';
-            
+            });
+        });
 
-            
-            return report;
-            
-        } catch (error) {
-            console.error('Error generating report:', error);
-            return `Error generating report: ${error.message}\n\nPlease check the form and try again.`;
-        }
-    }
+        this.computeFlcRatio(results);
 
-    getValue(id) {
-        try {
-            const element = document.getElementById(id);
-            return element && element.value ? element.value.trim() : '';
-        } catch (error) {
-            console.warn(`Error getting value for element ${id}:`, error);
-            return '';
-        }
+        return results;
     }
 
-    getSelectedRadioValue(name) {
-        try {
-            const selected = document.querySelector(`input[name="${name}"]:checked`);
-            return selected && selected.value ? selected.value : '';
-        } catch (error) {
-            console.warn(`Error getting radio value for name ${name}:`, error);
-            return '';
+    // Compute the free light chain ratio when only kappa and lambda are given
+    computeFlcRatio(results) {
+        if (!results.flcRatio && results.kappaFlc && results.lambdaFlc && results.lambdaFlc.value > 0) {
+            const ratio = Math.round(results.kappaFlc.value / results.lambdaFlc.value * 100) / 100;
+            let flag = null;
+            if (ratio < FLC_RATIO_REFERENCE_RANGE.low) flag = 'L';
+            if (ratio > FLC_RATIO_REFERENCE_RANGE.high) flag = 'H';
+            results.flcRatio = {
+                value: ratio,
+                comparator: null,
+                flag,
+                range: { ...FLC_RATIO_REFERENCE_RANGE, source: 'default' },
+                source: 'computed'
+            };
         }
     }
 
-    getSelectedCheckboxValues(name) {
-        try {
-            const checkboxes = document.querySelectorAll(`input[name="${name}"]:checked`);
-            return Array.from(checkboxes).map(cb => cb.value).filter(Boolean);
-        } catch (error) {
-            console.warn(`Error getting checkbox values for name ${name}:`, error);
-            return [];
+    parseLabLine(line, definition) {
+        const labelMatch = line.match(definition.pattern);
+        const remainder = line.slice(labelMatch.index + labelMatch[0].length).replace(/^[\s:,(%)]+/, '');
+
+        if (definition.text) {
+            const text = remainder.trim();
+            if (!text) return null;
+            const typeMatch = text.match(/\b(Ig[GAMDE])\s*(kappa|lambda)\b|\bfree\s+(kappa|lambda)\b|\b(kappa|lambda)\s+light\s+chain/i);
+            let type = null;
+            if (typeMatch) {
+                type = typeMatch[1]
+                    ? `${typeMatch[1].replace(/^ig/i, 'Ig')} ${typeMatch[2].toLowerCase()}`
+                    : `free ${(typeMatch[3] || typeMatch[4]).toLowerCase()} light chain`;
+            } else if (/\bno\b|negative|not\s+detected/i.test(text)) {
+                type = 'negative';
+            }
+            return { text, type };
         }
-    }
 
-    isChecked(id) {
-        try {
-            const element = document.getElementById(id);
-            return element ? element.checked : false;
-        } catch (error) {
-            console.warn(`Error checking if element ${id} is checked:`, error);
-            return false;
+        // Values may carry a comparator ("<10") or be reported as not detected
+        const valueMatch = remainder.match(/^[^\d<>]*?([<>]=?)?\s*(\d+\.?\d*)/);
+        if (!valueMatch) {
+            if (/not\s+detected|none\s+detected|absent|negative/i.test(remainder)) {
+                return { value: null, text: 'not detected', comparator: null, flag: null, range: null };
+            }
+            return null;
         }
-    }
 
-    async copyToClipboard() {
-        const reportOutput = document.getElementById('report-output');
-        try {
-            await navigator.clipboard.writeText(reportOutput.value);
-            this.showNotification('Report copied to clipboard!', 'success');
-        } catch (err) {
-            // Fallback for older browsers
-            reportOutput.select();
-            document.execCommand('copy');
-            this.showNotification('Report copied to clipboard!', 'success');
+        const result = {
+            value: parseFloat(valueMatch[2]),
+            comparator: valueMatch[1] || null,
+            flag: null,
+            range: null,
+            unit: null
+        };
+        const details = this.parseResultDetails(remainder.slice(valueMatch.index + valueMatch[0].length));
+        result.flag = details.flag;
+        result.range = details.range;
+        result.unit = details.unit;
+
+        // Derive H/L from the printed range when Epic did not flag the value
+        if ((!result.flag || result.flag === 'A') && result.range) {
+            if (result.range.low !== null && result.value < result.range.low) result.flag = 'L';
+            if (result.range.high !== null && result.value > result.range.high) result.flag = 'H';
         }
+
+        return result;
     }
 
-    clearForm() {
-        if (confirm('Are you sure you want to clear all form data? This action cannot be undone.')) {
-            // Reset all form elements
-            document.querySelectorAll('input[type="text"], input[type="number"], textarea').forEach(input => {
-                input.value = '';
-            });
-            
-            // Reset radio buttons to first option
-            document.querySelectorAll('input[type="radio"]').forEach(radio => {
-                if (radio.defaultChecked) {
-                    radio.checked = true;
-                } else {
-                    radio.checked = false;
+    parseMorphology(text, lineIndexes) {
+        const results = {};
+        if (!text) return results;
+
+        // Parse morphology findings, first matching line wins
+        const lines = text.split('\n');
+        lines.forEach((line, i) => {
+            const lineIndex = lineIndexes ? lineIndexes[i] : i;
+
+            Object.keys(this.morphologyPatterns).forEach(key => {
+                if (results[key] !== undefined) return;
+                const match = line.match(this.morphologyPatterns[key]);
+                if (match) {
+                    results[key] = match[1].trim();
+                    this.recordLine(lineIndex, `Morphology ${key.replace(/([A-Z])/g, ' $1').toLowerCase()}: ${results[key]}`);
                 }
             });
-            
-            // Reset checkboxes
-            document.querySelectorAll('input[type="checkbox"]').forEach(checkbox => {
-                checkbox.checked = checkbox.defaultChecked || false;
-            });
-            
-            // Clear report output
-            document.getElementById('report-output').value = '';
-            
-            // Reload default values
-            this.loadDefaultValues();
-            
-            this.showNotification('Form cleared successfully!', 'success');
-        }
+
+            // Parse NRBC separately as it's important
+            const nrbcMatch = line.match(/NRBC%[^:]*:\s*(\d+\.?\d*)/i);
+            if (nrbcMatch && results.nrbc === undefined) {
+                results.nrbc = parseFloat(nrbcMatch[1]);
+                this.recordLine(lineIndex, `Morphology NRBC ${results.nrbc}%`);
+            }
+        });
+
+        return results;
     }
 
-    showNotification(message, type = 'info') {
-        // Create notification element
-        const notification = document.createElement('div');
-        notification.className = `notification notification-${type}`;
-        notification.textContent = message;
+    normalizeCellType(cellType) {
+        return this.cellTypeAliases.resolve(cellType);
+    }
+
+    // Cell type label of a "Label: value" line, as passed to normalizeCellType
+    extractCellTypeLabel(line) {
+        const match = line.match(/^([^:]+?)(?:\s*\([^)]*\))?\s*:\s*(\d+\.?\d*)/);
+        return match ? match[1].trim() : null;
+    }
+
+    parseAll(text) {
+        const adapter = this.resultAdapters.find(candidate => candidate.canParse(text));
+        if (adapter) {
+            return this.parseStructured(text, adapter);
+        }
+
+        const diagnostics = new ParseDiagnostics(text);
+        this.diagnostics = diagnostics;
+
+        const cbcSeries = this.parseCBCSeries(text);
+        cbcSeries.forEach(draw => this.applyReferenceRanges(draw.cbc));
+        const cbc = cbcSeries.length > 0 ? cbcSeries[0].cbc : {};
+
+        // Differential and morphology describe the most recent draw only
+        const latest = cbcSeries.length > 1 ? cbcSeries[0] : { text, lineIndexes: null };
+        const differential = this.parseDifferential(latest.text, latest.lineIndexes);
+        const morphology = this.parseMorphology(latest.text, latest.lineIndexes);
+        const warnings = this.deriveAbsoluteCounts(cbc, differential);
+        differential.discrepancies = this.compareDifferentials(differential);
+        const labs = this.parseLabs(text);
+        this.diagnostics = null;
         
-        // Style the notification
-        notification.style.cssText = `
-            position: fixed;
-            top: 20px;
-            right: 20px;
-            padding: 15px 20px;
-            border-radius: 8px;
-            color: white;
-            font-weight: 600;
-            z-index: 1000;
-            transform: translateX(100%);
-            transition: transform 0.3s ease;
-            max-width: 300px;
-            box-shadow: 0 4px 15px rgba(0, 0, 0, 0.2);
-        `;
-        
-        // Set background color based on type
-        switch (type) {
-            case 'success':
-                notification.style.background = 'linear-gradient(135deg, #28a745 0%, #218838 100%)';
-                break;
-            case 'error':
-                notification.style.background = 'linear-gradient(135deg, #dc3545 0%, #c82333 100%)';
-                break;
-            default:
-                notification.style.background = 'linear-gradient(135deg, #17a2b8 0%, #138496 100%)';
-        }
-        
-        // Add to page
-        document.body.appendChild(notification);
-        
-        // Animate in
-        setTimeout(() => {
-            notification.style.transform = 'translateX(0)';
-        }, 100);
-        
-        // Remove after 3 seconds
-        setTimeout(() => {
-            notification.style.transform = 'translateX(100%)';
-            setTimeout(() => {
-                if (notification.parentNode) {
-                    notification.parentNode.removeChild(notification);
-                }
-            }, 300);
-        }, 3000);
+        return {
+            cbc,
+            cbcSeries: cbcSeries.map(draw => draw.cbc),
+            differential,
+            morphology,
+            labs,
+            warnings,
+            diagnostics,
+            raw: text
+        };
     }
 
-    // Method to get all form data as an object (useful for saving/loading)
-    getFormData() {
-        const data = {};
-        
-        // Get all text inputs
-        document.querySelectorAll('input[type="text"], input[type="number"], textarea').forEach(input => {
-            if (input.id) {
-                data[input.id] = input.value;
+    // Build the parseAll result from HL7/FHIR observations, mapped by LOINC code
+    parseStructured(text, adapter) {
+        const { lines, observations } = adapter.parse(text);
+        const diagnostics = new ParseDiagnostics(lines.join('\n'), adapter.format);
+        this.diagnostics = diagnostics;
+
+        // One group per collection date/time, newest first
+        const groups = [];
+        observations.forEach(observation => {
+            const key = `${observation.date} ${observation.time}`;
+            let group = groups.find(candidate => candidate.key === key);
+            if (!group) {
+                group = { key, date: observation.date, time: observation.time, observations: [] };
+                groups.push(group);
             }
+            group.observations.push(observation);
         });
-        
-        // Get all radio button selections
-        document.querySelectorAll('input[type="radio"]:checked').forEach(radio => {
-            data[radio.name] = radio.value;
-        });
-        
-        // Get all checkbox states (including descriptor checkboxes)
-        document.querySelectorAll('input[type="checkbox"]').forEach(checkbox => {
-            if (checkbox.id) {
-                data[checkbox.id] = checkbox.checked;
+        groups.sort((a, b) => this.collectionTimestamp(b) - this.collectionTimestamp(a));
+
+        const cbcSeries = groups
+            .map(group => this.buildStructuredCBC(group))
+            .filter(cbc => Object.keys(cbc).some(key => !CBC_META_KEYS.includes(key)));
+        cbcSeries.forEach(cbc => this.applyReferenceRanges(cbc));
+        const cbc = cbcSeries.length > 0 ? cbcSeries[0] : {};
+
+        // Differential and morphology describe the most recent draw only
+        const latest = groups.find(group => group.observations.some(observation => {
+            const mapping = LOINC_RESULT_MAP[observation.code];
+            return mapping && mapping.section === 'cbc';
+        })) || groups[0] || { observations: [] };
+        const differential = this.buildStructuredDifferential(latest.observations);
+        const morphology = this.buildStructuredMorphology(latest.observations);
+        const warnings = this.deriveAbsoluteCounts(cbc, differential);
+        differential.discrepancies = this.compareDifferentials(differential);
+        const labs = this.buildStructuredLabs(groups);
+        this.diagnostics = null;
+
+        return {
+            cbc,
+            cbcSeries,
+            differential,
+            morphology,
+            labs,
+            warnings,
+            diagnostics,
+            raw: text
+        };
+    }
+
+    getStructuredDetails(observation) {
+        const details = this.parseResultDetails(observation.rangeText);
+        const flag = observation.flag ? observation.flag.toUpperCase() : null;
+        return {
+            flag: STRUCTURED_RESULT_FLAGS.includes(flag) ? (flag === 'AA' ? 'C' : flag) : null,
+            range: details.range
+        };
+    }
+
+    buildStructuredCBC(group) {
+        const cbc = { flags: {}, ranges: {} };
+        if (group.date) cbc.date = group.date;
+        if (group.time) cbc.time = group.time;
+
+        group.observations.forEach(observation => {
+            const mapping = LOINC_RESULT_MAP[observation.code];
+            if (!mapping || mapping.section !== 'cbc' || observation.value === null) return;
+
+            const label = mapping.key.toUpperCase();
+            if (cbc[mapping.key] !== undefined) {
+                if (cbc[mapping.key] !== observation.value) {
+                    this.flagLine(observation.lineIndex, `Duplicate ${label} ${observation.value}; kept ${cbc[mapping.key]}`);
+                }
+                return;
             }
-            if (checkbox.name) {
-                if (!data[checkbox.name]) {
-                    data[checkbox.name] = [];
+
+            const details = this.getStructuredDetails(observation);
+            const measurement = { value: observation.value, range: details.range };
+            const unitNote = this.applyUnits(mapping.key, measurement, observation.unit, observation.lineIndex);
+            cbc[mapping.key] = measurement.value;
+            if (details.flag) cbc.flags[mapping.key] = details.flag;
+            if (measurement.range) cbc.ranges[mapping.key] = measurement.range;
+            this.recordLine(observation.lineIndex, `CBC ${label} ${measurement.value}${details.flag ? ` (${details.flag})` : ''}${unitNote}`);
+        });
+
+        return cbc;
+    }
+
+    buildStructuredDifferential(observations) {
+        const sets = { auto: null, manual: null };
+        observations.forEach(observation => {
+            const mapping = LOINC_RESULT_MAP[observation.code];
+            if (!mapping || !['differential', 'absolute'].includes(mapping.section) || observation.value === null) return;
+
+            const set = sets[mapping.method] = sets[mapping.method] || {
+                method: DIFFERENTIAL_METHODS[mapping.method],
+                percentages: {},
+                absolute: {}
+            };
+            const label = `${DIFFERENTIAL_METHODS[mapping.method]} ${mapping.section === 'absolute' ? 'absolute' : 'differential'} ${mapping.type.replace('_', ' ')}`;
+
+            if (mapping.section === 'differential') {
+                if (set.percentages[mapping.type] !== undefined) {
+                    this.flagLine(observation.lineIndex, `Duplicate ${label} ${observation.value}%; kept ${set.percentages[mapping.type]}%`);
+                    return;
                 }
-                if (checkbox.checked) {
-                    data[checkbox.name].push(checkbox.value);
+                set.percentages[mapping.type] = observation.value;
+                this.recordLine(observation.lineIndex, `${label} ${observation.value}%`);
+            } else {
+                if (set.absolute[mapping.type] !== undefined) {
+                    this.flagLine(observation.lineIndex, `Duplicate ${label} ${observation.value}; kept ${set.absolute[mapping.type].value}`);
+                    return;
                 }
+                const measurement = { value: observation.value };
+                const unitNote = this.applyUnits('absolute', measurement, observation.unit, observation.lineIndex);
+                set.absolute[mapping.type] = { value: measurement.value, source: 'pasted' };
+                this.recordLine(observation.lineIndex, `${label} ${measurement.value} K/μL${unitNote}`);
             }
         });
-        
 
-        
-        return data;
+        return { diffMethod: 'Unknown', auto: sets.auto, manual: sets.manual };
     }
 
-    // Method to load form data from an object
-    loadFormData(data) {
-        // Set text inputs
-        Object.keys(data).forEach(key => {
-            const element = document.getElementById(key);
-            if (element && typeof data[key] === 'string') {
-                element.value = data[key];
-            }
+    // Smear findings have no dependable LOINC codes, so unmapped text results
+    // are read as "Label: value" lines by the Epic morphology patterns
+    buildStructuredMorphology(observations) {
+        const textResults = observations.filter(observation => !LOINC_RESULT_MAP[observation.code] && observation.text);
+        return this.parseMorphology(
+            textResults.map(observation => `${observation.label}: ${observation.text}`).join('\n'),
+            textResults.map(observation => observation.lineIndex)
+        );
+    }
+
+    buildStructuredLabs(groups) {
+        const results = {};
+        groups.forEach(group => {
+            group.observations.forEach(observation => {
+                const mapping = LOINC_RESULT_MAP[observation.code];
+                if (!mapping || mapping.section !== 'labs') return;
+
+                const definition = this.labPatterns[mapping.key];
+                if (results[mapping.key]) {
+                    this.recordLine(observation.lineIndex, `Lab ${definition.label} (older result, not reported)`);
+                    return;
+                }
+                const details = this.getStructuredDetails(observation);
+                const result = observation.value !== null
+                    ? { value: observation.value, comparator: observation.comparator, flag: details.flag, range: details.range, unit: observation.unit }
+                    : { value: null, text: observation.text || 'not detected', comparator: null, flag: null, range: null };
+                const unitNote = this.applyUnits(mapping.key, result, observation.unit, observation.lineIndex);
+
+                // Derive H/L from the range when the result was not flagged
+                if (result.value !== null && !result.flag && result.range) {
+                    if (result.range.low !== null && result.value < result.range.low) result.flag = 'L';
+                    if (result.range.high !== null && result.value > result.range.high) result.flag = 'H';
+                }
+
+                result.date = group.date;
+                results[mapping.key] = result;
+                this.recordLine(observation.lineIndex, `Lab ${definition.label} ${formatLabValue(mapping.key, result, definition)}${unitNote}`);
+            });
         });
-        
-        // Set radio buttons
-        Object.keys(data).forEach(key => {
-            const radio = document.querySelector(`input[name="${key}"][value="${data[key]}"]`);
-            if (radio) {
-                radio.checked = true;
+
+        this.computeFlcRatio(results);
+        return results;
+    }
+}
+
+// Report layout and saved form fields. Sections render in order; a section,
+// block or sentence part is written when its `when` field (or any of a list)
+// has a value; a block with `unless` is skipped when that field has a
+// value. Headings and text take placeholders `{field}` or
+// `{field|filter:arg}`; names starting with '@' come from REPORT_PROVIDERS
+// and `groups` join checkbox groups into one list. `fields` lists every
+// saved control by kind and `state` maps saved keys to components exposing
+// getState/setState.
+const REPORT_SCHEMA = {
+    fields: {
+        text: [
+            'case-accession', 'procedure-date', 'clinical-history',
+            'epic-data-input', 'patient-age', 'diagnosis-comment', 'limitations', 'cellularity',
+            'core-myeloid-description', 'core-erythroid-description', 'core-megakaryocyte-ihc',
+            'core-megakaryocyte-description', 'core-lymphocytes-description',
+            'aspirate-megakaryocyte-description', 'aspirate-erythroid-description',
+            'aspirate-myeloid-description', 'aspirate-lymphocytes-description',
+            'pb-schistocytes-hpf', 'pb-rbc-other', 'pb-blasts-percent', 'pb-plasma-cells-percent',
+            'pb-wbc-other', 'pb-platelet-other', 'stain-ring-sideroblasts',
+            'ihc-kappa-lambda-ratio', 'ihc-kl-population', 'clot-cellularity', 'clot-additional',
+            'touch-prep-findings', 'report-output'
+        ],
+        radio: [
+            'patient-sex', 'unit-style', 'diagnosis-classification', 'biopsy-adequacy', 'age-cellularity', 'me-ratio',
+            'core-myeloid', 'core-erythroid', 'core-megakaryocytes',
+            'aspirate-cellularity', 'spicules', 'touch-prep', 'cell-count-target',
+            'aspirate-megakaryocytes', 'aspirate-erythroid', 'aspirate-myeloid',
+            'pb-anisopoikilocytosis', 'pb-dacrocytes', 'pb-schistocytes', 'pb-polychromasia', 'pb-rouleaux',
+            'pb-blasts', 'pb-plasma-cells', 'pb-platelet-size', 'pb-platelet-granularity',
+            'stain-reticulin', 'stain-collagen', 'stain-iron', 'stain-congo-red', 'ihc-kl-method',
+            'clot-particles', 'clot-lineage', 'touch-prep-composition'
+        ],
+        checkbox: [
+            'core-abnormal-toggle', 'cell-counter-hotkeys', 'aspirate-abnormal-toggle',
+            'clot-similar-to-core', 'touch-prep-similar-to-core', 'cellularity-age-note'
+        ],
+        checkboxes: [
+            'core-myel-cellularity', 'core-myel-nuclear', 'core-myel-cytoplasm', 'core-myel-other',
+            'core-ery-size', 'core-ery-nuclear', 'core-ery-cytoplasm', 'core-ery-maturation',
+            'core-meg-size', 'core-meg-nuclear', 'core-meg-cytoplasm', 'core-meg-other',
+            'core-lymph-size', 'core-lymph-nuclear', 'core-lymph-cytoplasm', 'core-lymph-distribution',
+            'core-arch-aggregates', 'core-arch-hemosiderin', 'core-arch-other',
+            'aspirate-meg-size', 'aspirate-meg-nuclear', 'aspirate-meg-cytoplasm', 'aspirate-meg-other',
+            'aspirate-ery-size', 'aspirate-ery-nuclear', 'aspirate-ery-cytoplasm', 'aspirate-ery-maturation',
+            'aspirate-myel-cellularity', 'aspirate-myel-nuclear', 'aspirate-myel-cytoplasm', 'aspirate-myel-other',
+            'aspirate-lymph-size', 'aspirate-lymph-nuclear', 'aspirate-lymph-cytoplasm', 'aspirate-lymph-distribution',
+            'pb-dysgranulopoiesis', 'stain-congo-location', 'stain-congo-birefringence'
+        ]
+    },
+    groups: {
+        'core-myel-features': ['core-myel-cellularity', 'core-myel-nuclear', 'core-myel-cytoplasm', 'core-myel-other'],
+        'core-ery-features': ['core-ery-size', 'core-ery-nuclear', 'core-ery-cytoplasm', 'core-ery-maturation'],
+        'core-meg-features': ['core-meg-size', 'core-meg-nuclear', 'core-meg-cytoplasm', 'core-meg-other'],
+        'core-lymph-features': ['core-lymph-size', 'core-lymph-nuclear', 'core-lymph-cytoplasm', 'core-lymph-distribution'],
+        'aspirate-myel-features': ['aspirate-myel-cellularity', 'aspirate-myel-nuclear', 'aspirate-myel-cytoplasm', 'aspirate-myel-other'],
+        'aspirate-ery-features': ['aspirate-ery-size', 'aspirate-ery-nuclear', 'aspirate-ery-cytoplasm', 'aspirate-ery-maturation'],
+        'aspirate-meg-features': ['aspirate-meg-size', 'aspirate-meg-nuclear', 'aspirate-meg-cytoplasm', 'aspirate-meg-other'],
+        'aspirate-lymph-features': ['aspirate-lymph-size', 'aspirate-lymph-nuclear', 'aspirate-lymph-cytoplasm', 'aspirate-lymph-distribution']
+    },
+    state: {
+        cellCounter: 'cellCounter',
+        diagnosis: 'diagnosisBuilder',
+        specimens: 'specimenManager',
+        specialStains: 'specialStains',
+        ihcPanel: 'ihcPanel'
+    },
+    sections: [
+        {
+            blocks: [
+                { text: '{@diagnosisSection}' },
+                { when: '@cbcParagraph', text: '{@cbcParagraph}\n\n' },
+                { when: '@labParagraph', text: '{@labParagraph}\n\n' }
+            ]
+        },
+        {
+            heading: 'CLINICAL HISTORY',
+            when: 'clinical-history',
+            blocks: [{ text: '{clinical-history}\n' }]
+        },
+        {
+            heading: 'CORE BIOPSY{@corePart}',
+            blocks: [
+                { when: 'biopsy-adequacy', sentence: ['Biopsy adequacy: {biopsy-adequacy}', { when: 'limitations', text: '; {limitations}' }] },
+                {
+                    when: ['cellularity', 'age-cellularity'],
+                    sentence: [
+                        'Marrow biopsy cellularity: ',
+                        { when: 'cellularity', text: '{cellularity|percent}', otherwise: 'Not specified' },
+                        { when: 'age-cellularity', text: '; age adjusted {age-cellularity}' }
+                    ]
+                },
+                { when: '@ageCellularityNote', text: '{@ageCellularityNote}\n' },
+                { when: 'me-ratio', sentence: ['Myeloid:Erythroid ratio is {me-ratio}', { when: '@countedMERatio', text: ' ({@countedMERatio})' }] },
+                {
+                    when: 'core-myeloid',
+                    sentence: [
+                        'Myeloid lineage maturation is {core-myeloid}',
+                        { when: 'core-myel-features', text: ' with features including {core-myel-features}' },
+                        { when: 'core-myeloid-description', text: '. {core-myeloid-description}' }
+                    ]
+                },
+                {
+                    when: 'core-erythroid',
+                    sentence: [
+                        'Erythroid lineage maturation is {core-erythroid}',
+                        { when: 'core-ery-features', text: ' with features including {core-ery-features}' },
+                        { when: 'core-erythroid-description', text: '. {core-erythroid-description}' }
+                    ]
+                },
+                {
+                    when: 'core-megakaryocytes',
+                    sentence: [
+                        'Megakaryocytes are {core-megakaryocytes}',
+                        { when: 'core-meg-features', text: ' with {core-meg-features}' },
+                        { when: 'core-megakaryocyte-ihc', text: '. Megakaryocyte IHC shows {core-megakaryocyte-ihc}' },
+                        { when: 'core-megakaryocyte-description', text: '. {core-megakaryocyte-description}' }
+                    ]
+                },
+                {
+                    oneOf: [
+                        {
+                            when: 'core-lymph-features',
+                            sentence: [
+                                'Lymphocytes and plasma cells demonstrate {core-lymph-features}',
+                                { when: 'core-lymphocytes-description', text: '. {core-lymphocytes-description}' }
+                            ]
+                        },
+                        { when: 'core-lymphocytes-description', sentence: ['Lymphocytes and plasma cells: {core-lymphocytes-description}'] }
+                    ]
+                },
+                { when: 'core-arch-aggregates', sentence: ['Lymphoid aggregates: {core-arch-aggregates}'] },
+                { when: 'core-arch-hemosiderin', sentence: ['Hemosiderin-laden macrophages: {core-arch-hemosiderin}'] },
+                { when: 'core-arch-other', sentence: ['Other core findings: {core-arch-other}'] }
+            ]
+        },
+        {
+            heading: 'ASPIRATE{@aspiratePart}',
+            blocks: [
+                {
+                    when: ['aspirate-cellularity', 'spicules'],
+                    sentence: ['Aspirate adequacy: {aspirate-cellularity|default:Not specified}, spicules: {spicules|default:Not specified}']
+                },
+                { text: '{@cellCounter}' },
+                {
+                    when: 'aspirate-megakaryocytes',
+                    sentence: [
+                        'Megakaryocytes are {aspirate-megakaryocytes}',
+                        { when: 'aspirate-meg-features', text: ' with {aspirate-meg-features}' },
+                        { when: 'aspirate-megakaryocyte-description', text: '. {aspirate-megakaryocyte-description}' }
+                    ]
+                },
+                {
+                    when: 'aspirate-erythroid',
+                    sentence: [
+                        'Erythroid lineage maturation is {aspirate-erythroid}',
+                        { when: 'aspirate-ery-features', text: ' with features including {aspirate-ery-features}' },
+                        { when: 'aspirate-erythroid-description', text: '. {aspirate-erythroid-description}' }
+                    ]
+                },
+                {
+                    when: 'aspirate-myeloid',
+                    sentence: [
+                        'Myeloid lineage maturation is {aspirate-myeloid}',
+                        { when: 'aspirate-myel-features', text: ' with features including {aspirate-myel-features}' },
+                        { when: 'aspirate-myeloid-description', text: '. {aspirate-myeloid-description}' }
+                    ]
+                },
+                {
+                    oneOf: [
+                        {
+                            when: 'aspirate-lymph-features',
+                            sentence: [
+                                'Lymphocytes and plasma cells demonstrate {aspirate-lymph-features}',
+                                { when: 'aspirate-lymphocytes-description', text: '. {aspirate-lymphocytes-description}' }
+                            ]
+                        },
+                        { when: 'aspirate-lymphocytes-description', sentence: ['Lymphocytes and plasma cells: {aspirate-lymphocytes-description}'] }
+                    ]
+                }
+            ]
+        },
+        {
+            heading: 'CLOT SECTION{@clotPart}',
+            when: ['@clotPart', 'clot-similar-to-core', 'clot-cellularity', 'clot-particles', 'clot-lineage', 'clot-additional'],
+            blocks: [
+                { when: 'clot-similar-to-core', sentence: ['The clot section shows findings similar to the core biopsy'] },
+                { unless: 'clot-similar-to-core', when: 'clot-cellularity', sentence: ['Clot section cellularity: {clot-cellularity|percent}'] },
+                { unless: 'clot-similar-to-core', when: 'clot-particles', sentence: ['The clot section contains {clot-particles} marrow particles'] },
+                { unless: 'clot-similar-to-core', when: 'clot-lineage', sentence: ['The clot section shows {clot-lineage}'] },
+                { when: 'clot-additional', sentence: ['{clot-additional}'] }
+            ]
+        },
+        {
+            heading: 'TOUCH PREPARATION{@touchPrepPart}',
+            when: ['@touchPrepPart', 'touch-prep', 'touch-prep-similar-to-core', 'touch-prep-composition', 'touch-prep-findings'],
+            blocks: [
+                { when: 'touch-prep', sentence: ['Touch preparation adequacy: {touch-prep}'] },
+                { when: 'touch-prep-similar-to-core', sentence: ['The touch preparation shows findings similar to the core biopsy'] },
+                {
+                    unless: 'touch-prep-similar-to-core',
+                    when: 'touch-prep-composition',
+                    sentence: ['The touch preparation shows {touch-prep-composition}']
+                },
+                { when: 'touch-prep-findings', sentence: ['{touch-prep-findings}'] }
+            ]
+        },
+        {
+            heading: 'SPECIAL STAINS',
+            when: ['@reticulinStain', '@collagenStain', '@ironStain', 'stain-ring-sideroblasts', '@congoRedStain', '@customStains'],
+            blocks: [
+                { when: '@reticulinStain', sentence: ['A reticulin stain shows {@reticulinStain}'] },
+                { when: '@collagenStain', sentence: ['A trichrome stain shows {@collagenStain}'] },
+                { when: '@ironStain', sentence: ['An iron stain shows {@ironStain}'] },
+                { when: 'stain-ring-sideroblasts', sentence: ['Ring sideroblasts account for {stain-ring-sideroblasts|percent} of erythroid precursors'] },
+                { when: '@ringSideroblastNote', sentence: ['Note: {@ringSideroblastNote}'] },
+                { when: '@congoRedStain', sentence: ['A Congo red stain {@congoRedStain}'] },
+                { text: '{@customStains}' }
+            ]
+        },
+        {
+            heading: 'IMMUNOHISTOCHEMISTRY',
+            when: ['@ihcPanel', '@kappaLambda'],
+            blocks: [
+                { text: '{@ihcPanel}' },
+                { when: '@kappaLambda', sentence: ['{@kappaLambda}'] }
+            ]
+        },
+        {
+            heading: 'PERIPHERAL BLOOD SMEAR{@peripheralBloodPart}',
+            when: [
+                '@peripheralBloodPart', '@peripheralRBC', 'pb-rbc-other', '@peripheralWBC', 'pb-wbc-other',
+                '@peripheralPlatelets', 'pb-platelet-other'
+            ],
+            blocks: [
+                { when: '@peripheralRBC', sentence: ['Red blood cells: {@peripheralRBC}'] },
+                { when: 'pb-rbc-other', sentence: ['{pb-rbc-other}'] },
+                { when: '@peripheralWBC', sentence: ['White blood cells: {@peripheralWBC}'] },
+                { when: 'pb-wbc-other', sentence: ['{pb-wbc-other}'] },
+                { when: '@peripheralPlatelets', sentence: ['Platelets: {@peripheralPlatelets}'] },
+                { when: 'pb-platelet-other', sentence: ['{pb-platelet-other}'] }
+            ]
+        }
+    ]
+};
+
+// Computed report values, referenced from the schema as '{@name}'
+const REPORT_PROVIDERS = {
+    diagnosisSection: () => window.specimenManager ? window.specimenManager.buildDiagnosisSection() : '',
+    diagnosisLines: () => window.diagnosisBuilder
+        ? window.diagnosisBuilder.lines.map(line => line.entity.trim()).filter(Boolean)
+        : [],
+    // Letters of the parts reported under the main diagnosis
+    sharedDiagnosisParts: () => window.specimenManager ? window.specimenManager.getSharedLetters() : 'A',
+    blankSeparateParts: () => window.specimenManager ? window.specimenManager.getBlankSeparateParts() : '',
+    corePart: () => window.specimenManager ? window.specimenManager.getSectionLabel('core') : '',
+    aspiratePart: () => window.specimenManager ? window.specimenManager.getSectionLabel('aspirate') : '',
+    clotPart: () => window.specimenManager ? window.specimenManager.getSectionLabel('clot') : '',
+    touchPrepPart: () => window.specimenManager ? window.specimenManager.getSectionLabel('touchPrep') : '',
+    peripheralBloodPart: () => window.specimenManager ? window.specimenManager.getSectionLabel('peripheralBlood') : '',
+    peripheralRBC: () => describePeripheralRBC(),
+    peripheralWBC: () => describePeripheralWBC(),
+    peripheralPlatelets: () => describePeripheralPlatelets(),
+    reticulinStain: () => window.specialStains ? window.specialStains.describeReticulin() : '',
+    collagenStain: () => window.specialStains ? window.specialStains.describeCollagen() : '',
+    ironStain: () => window.specialStains ? window.specialStains.describeIron() : '',
+    ringSideroblastNote: () => window.specialStains ? window.specialStains.getRingSideroblastNote() : '',
+    congoRedStain: () => window.specialStains ? window.specialStains.describeCongoRed() : '',
+    customStains: () => window.specialStains ? window.specialStains.describeCustomStains() : '',
+    ihcPanel: () => window.ihcPanel ? window.ihcPanel.describeRows() : '',
+    kappaLambda: () => window.ihcPanel ? window.ihcPanel.describeKappaLambda() : '',
+    cbcParagraph: () => window.cbcParagraph || '',
+    labParagraph: () => window.labParagraph || '',
+    cellCounter: () => window.cellCounter ? window.cellCounter.buildReportSection() : '',
+    ageCellularityNote: () => {
+        const app = window.marrowApp;
+        if (!app || !app.isChecked('cellularity-age-note')) return '';
+        const expected = app.getExpectedCellularity();
+        return expected ? describeExpectedCellularity(expected) : '';
+    },
+    countedMERatio: () => {
+        const meRatio = window.cellCounter ? window.cellCounter.getDifferential().meRatio : null;
+        return meRatio !== null ? formatMERatio(meRatio) : '';
+    },
+    countedMERatioCategory: () => {
+        const meRatio = window.cellCounter ? window.cellCounter.getDifferential().meRatio : null;
+        return meRatio !== null ? classifyMERatio(meRatio) : '';
+    },
+    blastPercentage: () => {
+        const differential = window.cellCounter ? window.cellCounter.getDifferential() : null;
+        return differential && differential.blastPercentage !== null ? differential.blastPercentage.toFixed(1) : '';
+    },
+    suggestedAgeCellularity: () => {
+        const app = window.marrowApp;
+        const expected = app ? app.getExpectedCellularity() : null;
+        const range = expected ? parseCellularityRange(app.getValue('cellularity')) : null;
+        return range ? classifyAgeCellularity(range, expected) : '';
+    }
+};
+
+// Placeholder filters, used as '{field|name}' or '{field|name:argument}'
+const REPORT_FILTERS = {
+    // Add % if not already present
+    percent: value => value.includes('%') ? value : `${value}%`,
+    default: (value, fallback) => value || fallback
+};
+
+// Descriptor checkboxes that contradict a "complete" maturation choice
+const DYSPLASIA_DESCRIPTORS = {
+    myel: [
+        'Hyposegmentation (e.g., pseudo–Pelger-Huët anomaly)', 'Irregular nuclear shapes', 'Hypogranular cytoplasm',
+        'Auer rods (pathologic finding)', 'Dysmyelopoiesis', 'Abnormal granule distribution',
+        'Abnormal localization of immature precursors (ALIP)'
+    ],
+    ery: [
+        'Megaloblastic change (large cells with open chromatin)', 'Irregular nuclear shapes (nuclear budding, multinuclearity)',
+        'Fragmented nuclei', 'Nuclear budding / bridging', 'Dyserythropoiesis', 'Disordered maturation'
+    ],
+    meg: [
+        'Small / Micromegakaryocytes', 'Hypolobated nuclei', 'Monolobated nuclei',
+        'Separated nuclear lobes (pawn ball appearance)', 'Dysplastic megakaryocytes'
+    ]
+};
+
+const COMPLETE_MATURATION = ['complete', 'maturation is complete and without significant abnormalities'];
+
+// Consistency checks run by generateReport. A check fires when its `when`
+// condition holds; blockers stop the report unless generated anyway.
+// Conditions: { filled: name(s) } (any has a value), { missing: name(s) } (none has),
+// { field, equals | oneOf | includesAny | differsFrom | matches | below | atLeast | above },
+// and { all: [...] }, { any: [...] }, { not: condition }. Names follow REPORT_SCHEMA,
+// including '@provider'; messages take the same placeholders as the report.
+const REPORT_CHECKS = [
+    {
+        id: 'diagnosis-missing',
+        severity: 'blocker',
+        when: { all: [{ missing: '@diagnosisLines' }, { filled: '@sharedDiagnosisParts' }] },
+        message: 'No diagnosis has been entered.'
+    },
+    {
+        id: 'diagnosis-without-part',
+        severity: 'blocker',
+        when: { all: [{ filled: '@diagnosisLines' }, { missing: '@sharedDiagnosisParts' }] },
+        message: 'Every specimen part has a separate diagnosis, so the main diagnosis is left out of the report.'
+    },
+    {
+        id: 'separate-diagnosis-missing',
+        severity: 'blocker',
+        when: { filled: '@blankSeparateParts' },
+        message: 'Separate diagnosis checked but not entered: {@blankSeparateParts}.'
+    },
+    {
+        id: 'cellularity-missing',
+        severity: 'warning',
+        when: { missing: 'cellularity' },
+        message: 'Core biopsy cellularity is not entered.'
+    },
+    {
+        id: 'inadequate-biopsy-described',
+        severity: 'warning',
+        when: {
+            all: [
+                { field: 'biopsy-adequacy', equals: 'Inadequate' },
+                { filled: ['core-myeloid', 'core-erythroid', 'core-megakaryocytes'] }
+            ]
+        },
+        message: 'The biopsy is marked inadequate but the core lineages are described.'
+    },
+    {
+        id: 'inadequate-aspirate-counted',
+        severity: 'warning',
+        when: { all: [{ field: 'aspirate-cellularity', equals: 'Inadequate' }, { filled: '@cellCounter' }] },
+        message: 'The aspirate is marked inadequate but a differential count is reported.'
+    },
+    // The fixed 20%/80% limits apply only when age-cellularity-mismatch cannot (no age entered)
+    {
+        id: 'hypercellular-low-cellularity',
+        severity: 'warning',
+        when: {
+            all: [
+                { field: 'age-cellularity', equals: 'hypercellular' },
+                { field: 'cellularity', below: 20 },
+                { missing: '@suggestedAgeCellularity' }
+            ]
+        },
+        message: 'Hypercellular is selected with a cellularity of {cellularity|percent}.'
+    },
+    {
+        id: 'hypocellular-high-cellularity',
+        severity: 'warning',
+        when: {
+            all: [
+                { field: 'age-cellularity', equals: 'hypocellular' },
+                { field: 'cellularity', above: 80 },
+                { missing: '@suggestedAgeCellularity' }
+            ]
+        },
+        message: 'Hypocellular is selected with a cellularity of {cellularity|percent}.'
+    },
+    {
+        id: 'age-cellularity-mismatch',
+        severity: 'warning',
+        when: { all: [{ filled: 'age-cellularity' }, { field: 'age-cellularity', differsFrom: '@suggestedAgeCellularity' }] },
+        message: 'The age-adjusted category ({age-cellularity}) does not match {cellularity|percent} at this age ({@suggestedAgeCellularity}).'
+    },
+    ...['core', 'aspirate'].flatMap(context => [
+        ['myeloid', 'myel', 'Myeloid maturation'],
+        ['erythroid', 'ery', 'Erythroid maturation']
+    ].map(([lineage, prefix, label]) => ({
+        id: `${context}-${lineage}-complete-with-dysplasia`,
+        severity: 'warning',
+        when: {
+            all: [
+                { field: `${context}-${lineage}`, oneOf: COMPLETE_MATURATION },
+                { field: `${context}-${prefix}-features`, includesAny: DYSPLASIA_DESCRIPTORS[prefix] }
+            ]
+        },
+        message: `${capitalizeFirst(context)}: ${label} is "{${context}-${lineage}}" but dysplastic features are checked ({${context}-${prefix}-features}).`
+    }))),
+    ...['core', 'aspirate'].map(context => ({
+        id: `${context}-megakaryocytes-normal-with-dysplasia`,
+        severity: 'warning',
+        when: {
+            all: [
+                { field: `${context}-megakaryocytes`, equals: COMPLETE_MATURATION[1] },
+                { field: `${context}-meg-features`, includesAny: DYSPLASIA_DESCRIPTORS.meg }
+            ]
+        },
+        message: `${capitalizeFirst(context)}: megakaryocytes are called normal but dysplastic features are checked ({${context}-meg-features}).`
+    })),
+    {
+        id: 'me-ratio-differential',
+        severity: 'warning',
+        when: { all: [{ filled: 'me-ratio' }, { field: 'me-ratio', differsFrom: '@countedMERatioCategory' }] },
+        message: 'The selected M:E ratio ({me-ratio}) does not match the aspirate count ({@countedMERatio}, {@countedMERatioCategory}).'
+    },
+    {
+        id: 'blasts-acute-leukemia',
+        severity: 'warning',
+        when: {
+            all: [
+                { field: '@blastPercentage', atLeast: 20 },
+                // Acute entities only: chronic leukemias (CML, CMML, CLL) and MDS/AML (10-19% blasts) still warn
+                { not: { field: '@diagnosisLines', matches: '(^|[^/])acute|blastic|myeloid sarcoma' } }
+            ]
+        },
+        message: 'Blasts are {@blastPercentage}% of the aspirate count (20% or more) but the diagnosis is not an acute leukemia.'
+    },
+    {
+        id: 'blasts-increased-complete-maturation',
+        severity: 'warning',
+        when: {
+            all: [
+                { field: '@blastPercentage', atLeast: 5 },
+                { field: '@blastPercentage', below: 20 },
+                { field: 'aspirate-myeloid', oneOf: COMPLETE_MATURATION }
+            ]
+        },
+        message: 'Blasts are increased ({@blastPercentage}% of the aspirate count) but aspirate myeloid maturation is "{aspirate-myeloid}".'
+    },
+    {
+        id: 'clot-part-empty',
+        severity: 'warning',
+        when: {
+            all: [
+                { filled: '@clotPart' },
+                { missing: ['clot-similar-to-core', 'clot-cellularity', 'clot-particles', 'clot-lineage', 'clot-additional'] }
+            ]
+        },
+        message: 'A clot section part is listed but no clot findings are entered.'
+    },
+    {
+        id: 'peripheral-blood-part-empty',
+        severity: 'warning',
+        when: {
+            all: [
+                { filled: '@peripheralBloodPart' },
+                { missing: ['@peripheralRBC', 'pb-rbc-other', '@peripheralWBC', 'pb-wbc-other', '@peripheralPlatelets', 'pb-platelet-other'] }
+            ]
+        },
+        message: 'A peripheral blood part is listed but no smear findings are entered.'
+    }
+];
+
+// Interprets REPORT_SCHEMA against the form: builds the report text and
+// reads or restores the saved form data.
+class ReportSchema {
+    constructor(schema, providers = REPORT_PROVIDERS, filters = REPORT_FILTERS) {
+        this.schema = schema;
+        this.providers = providers;
+        this.filters = filters;
+        this.fieldKinds = {};
+        Object.keys(schema.fields).forEach(kind => {
+            schema.fields[kind].forEach(name => {
+                this.fieldKinds[name] = kind;
+            });
+        });
+    }
+
+    render() {
+        return this.schema.sections.map(section => {
+            if (!this.isActive(section.when)) return '';
+            const body = section.blocks.map(block => this.renderBlock(block)).join('');
+            return section.heading ? `${this.fill(section.heading)}:\n${body}\n` : body;
+        }).join('');
+    }
+
+    renderBlock(block) {
+        if (block.oneOf) {
+            const match = block.oneOf.find(option => this.isActive(option.when));
+            return match ? this.renderBlock(match) : '';
+        }
+        if (!this.isActive(block.when) || (block.unless && this.isActive(block.unless))) return '';
+        if (block.sentence) {
+            return block.sentence.map(part => this.renderPart(part)).join('') + '.\n';
+        }
+        return this.fill(block.text || '');
+    }
+
+    renderPart(part) {
+        if (typeof part === 'string') return this.fill(part);
+        if (this.isActive(part.when)) return this.fill(part.text);
+        return part.otherwise ? this.fill(part.otherwise) : '';
+    }
+
+    // No condition, or any of the listed names has a value
+    isActive(when) {
+        if (!when) return true;
+        return (Array.isArray(when) ? when : [when]).some(name => this.hasValue(this.resolve(name)));
+    }
+
+    hasValue(value) {
+        if (Array.isArray(value)) return value.length > 0;
+        if (typeof value === 'string') return value.trim() !== '';
+        return Boolean(value);
+    }
+
+    fill(template) {
+        return template.replace(/\{(@?[\w-]+)(?:\|(\w+)(?::([^}]*))?)?\}/g, (match, name, filter, argument) => {
+            const value = this.resolve(name);
+            const text = Array.isArray(value) ? value.join(', ') : String(value);
+            if (!filter) return text;
+            if (!this.filters[filter]) {
+                console.warn(`Unknown report filter: ${filter}`);
+                return text;
             }
+            return this.filters[filter](text, argument);
         });
-        
-        // Set checkboxes
-        Object.keys(data).forEach(key => {
-            const checkbox = document.getElementById(key);
-            if (checkbox && typeof data[key] === 'boolean') {
-                checkbox.checked = data[key];
+    }
+
+    resolve(name) {
+        if (name.startsWith('@')) {
+            const provider = this.providers[name.slice(1)];
+            if (!provider) {
+                console.warn(`Unknown report provider: ${name}`);
+                return '';
             }
+            return provider();
+        }
+        if (this.schema.groups && this.schema.groups[name]) {
+            return [].concat(...this.schema.groups[name].map(group => this.readField(group)));
+        }
+        return this.readField(name);
+    }
+
+    readField(name) {
+        const app = window.marrowApp;
+        switch (this.fieldKinds[name]) {
+            case 'text': return app.getValue(name);
+            case 'radio': return app.getSelectedRadioValue(name);
+            case 'checkbox': return app.isChecked(name);
+            case 'checkboxes': return app.getSelectedCheckboxValues(name);
+            default:
+                console.warn(`Report field not declared in schema: ${name}`);
+                return '';
+        }
+    }
+
+    getFormData() {
+        const data = {};
+        const { fields } = this.schema;
+
+        fields.text.forEach(id => {
+            const element = document.getElementById(id);
+            if (element) data[id] = element.value;
         });
-        
-        // Set descriptor checkboxes
+        fields.radio.forEach(name => {
+            const selected = document.querySelector(`input[name="${name}"]:checked`);
+            if (selected) data[name] = selected.value;
+        });
+        fields.checkbox.forEach(id => {
+            const element = document.getElementById(id);
+            if (element) data[id] = element.checked;
+        });
+        fields.checkboxes.forEach(name => {
+            data[name] = Array.from(document.querySelectorAll(`input[name="${name}"]:checked`)).map(cb => cb.value);
+        });
+
+        Object.keys(this.schema.state || {}).forEach(key => {
+            const component = window[this.schema.state[key]];
+            if (component) data[key] = component.getState();
+        });
+
+        return data;
+    }
+
+    // Returns the saved values that no longer match a field or option
+    loadFormData(data) {
+        const skipped = [];
         Object.keys(data).forEach(key => {
-            if (Array.isArray(data[key])) {
-                data[key].forEach(value => {
-                    const checkbox = document.querySelector(`input[name="${key}"][value="${value}"]`);
-                    if (checkbox) {
-                        checkbox.checked = true;
+            const value = data[key];
+            switch (this.fieldKinds[key]) {
+                case 'text': {
+                    const element = document.getElementById(key);
+                    if (element && typeof value === 'string') element.value = value;
+                    break;
+                }
+                case 'radio': {
+                    const radio = Array.from(document.querySelectorAll(`input[name="${key}"]`)).find(input => input.value === value);
+                    if (radio) {
+                        radio.checked = true;
+                    } else if (value) {
+                        skipped.push(`${key}: ${value}`);
+                    }
+                    break;
+                }
+                case 'checkbox': {
+                    const element = document.getElementById(key);
+                    if (element && typeof value === 'boolean') element.checked = value;
+                    break;
+                }
+                case 'checkboxes':
+                    if (Array.isArray(value)) {
+                        const checkboxes = Array.from(document.querySelectorAll(`input[name="${key}"]`));
+                        checkboxes.forEach(checkbox => {
+                            checkbox.checked = value.includes(checkbox.value);
+                        });
+                        value.filter(item => !checkboxes.some(checkbox => checkbox.value === item))
+                            .forEach(item => skipped.push(`${key}: ${item}`));
+                    }
+                    break;
+                default:
+                    if (!(this.schema.state || {})[key] && this.hasValue(value)) {
+                        skipped.push(key);
                     }
-                });
             }
         });
-        
 
+        Object.keys(this.schema.state || {}).forEach(key => {
+            const component = window[this.schema.state[key]];
+            if (component && data[key]) component.setState(data[key]);
+        });
+        return skipped;
     }
+}
 
-    // Auto-save functionality
-    setupAutoSave() {
-        // Save form data every 30 seconds
-        setInterval(() => {
-            const data = this.getFormData();
-            localStorage.setItem('marrowReportData', JSON.stringify(data));
-        }, 30000);
-        
-        // Load saved data on page load
-        const savedData = localStorage.getItem('marrowReportData');
-        if (savedData) {
+// Evaluates REPORT_CHECKS against the form through the report schema
+class ReportChecker {
+    constructor(reportSchema, checks = REPORT_CHECKS) {
+        this.reportSchema = reportSchema;
+        this.checks = checks;
+    }
+
+    // [{ id, severity, message }] for every check that fires
+    run() {
+        const findings = [];
+        this.checks.forEach(check => {
             try {
-                const data = JSON.parse(savedData);
-                this.loadFormData(data);
-                this.showNotification('Previous form data restored', 'info');
-            } catch (err) {
-                console.error('Error loading saved data:', err);
+                if (this.evaluate(check.when)) {
+                    findings.push({ id: check.id, severity: check.severity, message: this.reportSchema.fill(check.message) });
+                }
+            } catch (error) {
+                console.warn(`Error running report check ${check.id}:`, error);
             }
+        });
+        return findings;
+    }
+
+    evaluate(condition) {
+        if (condition.all) return condition.all.every(part => this.evaluate(part));
+        if (condition.any) return condition.any.some(part => this.evaluate(part));
+        if (condition.not) return !this.evaluate(condition.not);
+        if (condition.filled) return this.reportSchema.isActive(condition.filled);
+        if (condition.missing) return !this.reportSchema.isActive(condition.missing);
+
+        const value = this.reportSchema.resolve(condition.field);
+        const values = Array.isArray(value) ? value : [value];
+        if ('equals' in condition) return value === condition.equals;
+        if (condition.oneOf) return condition.oneOf.includes(value);
+        if (condition.includesAny) return values.some(item => condition.includesAny.includes(item));
+        if (condition.matches) return values.some(item => new RegExp(condition.matches, 'i').test(item));
+        if (condition.differsFrom) {
+            const other = this.reportSchema.resolve(condition.differsFrom);
+            return this.reportSchema.hasValue(value) && this.reportSchema.hasValue(other) && value !== other;
         }
+
+        const number = this.toNumber(value);
+        if (number === null) return false;
+        if ('below' in condition) return number < condition.below;
+        if ('atLeast' in condition) return number >= condition.atLeast;
+        if ('above' in condition) return number > condition.above;
+
+        console.warn('Unknown report check condition:', condition);
+        return false;
+    }
+
+    // Percent ranges such as "30-40%" compare by their midpoint
+    toNumber(value) {
+        const range = parseCellularityRange(value);
+        return range ? (range.low + range.high) / 2 : null;
     }
 }
 
-// Epic Data Parser Global Functions
-window.epicParser = new EpicDataParser();
+// Undo/redo of form edits
+const FORM_HISTORY_LIMIT = 100;
+// Edits closer together than this (e.g. typing) become one undo step
+const FORM_HISTORY_DELAY_MS = 600;
+const FORM_HISTORY_PANEL_ROWS = 20;
 
-function parseEpicData() {
-    const inputText = document.getElementById('epic-data-input').value;
-    const resultsDiv = document.getElementById('parsing-results');
-    const cbcDiv = document.getElementById('cbc-values');
-    const autoDiffDiv = document.getElementById('auto-diff-values');
-    const manualDiffDiv = document.getElementById('manual-diff-values');
-    const errorsDiv = document.getElementById('parsing-errors');
-    const errorMessages = document.getElementById('error-messages');
+function formatHistoryValue(value) {
+    if (value === true) return 'checked';
+    if (value === false) return 'unchecked';
+    if (value === undefined || value === null || value === '') return '(blank)';
+    const text = String(value).replace(/\s+/g, ' ');
+    return `"${text.length > 30 ? `${text.slice(0, 30)}…` : text}"`;
+}
 
-    if (!inputText.trim()) {
-        alert('Please enter some Epic data to parse.');
-        return;
-    }
+// One line per field that differs between two getFormData() snapshots
+function describeFormChanges(before, after) {
+    const changes = [];
+    new Set([...Object.keys(before), ...Object.keys(after)]).forEach(key => {
+        const oldValue = before[key];
+        const newValue = after[key];
+        if (JSON.stringify(oldValue) === JSON.stringify(newValue)) return;
 
-    try {
-        const parsed = window.epicParser.parseAll(inputText);
-        
-        // Show results section
-        resultsDiv.style.display = 'block';
-        
-        // Display CBC results
-        cbcDiv.innerHTML = '';
-        if (Object.keys(parsed.cbc).length > 0) {
-            Object.keys(parsed.cbc).forEach(key => {
-                const value = parsed.cbc[key];
-                const span = document.createElement('span');
-                span.className = 'parsed-value';
-                span.innerHTML = `<strong>${key.toUpperCase()}:</strong> ${value}`;
-                cbcDiv.appendChild(span);
-            });
+        const label = key.replace(/([a-z])([A-Z])/g, '$1 $2').replace(/-/g, ' ').toLowerCase();
+        if (Array.isArray(oldValue) || Array.isArray(newValue)) {
+            const oldItems = oldValue || [];
+            const newItems = newValue || [];
+            const items = newItems.filter(item => !oldItems.includes(item)).map(item => `+${item}`)
+                .concat(oldItems.filter(item => !newItems.includes(item)).map(item => `−${item}`));
+            changes.push(`${label}: ${items.join(', ') || 'reordered'}`);
+        } else if (typeof oldValue === 'object' || typeof newValue === 'object') {
+            changes.push(`${label} updated`);
         } else {
-            cbcDiv.innerHTML = '<em>No CBC data found</em>';
+            changes.push(`${label}: ${formatHistoryValue(oldValue)} → ${formatHistoryValue(newValue)}`);
         }
-        
-        // Display Differential results (combined auto/manual)
-        autoDiffDiv.innerHTML = '<h5>Differential Results:</h5>';
-        const diffData = parsed.differential;
-        
-        if (diffData.diffMethod) {
-            const methodSpan = document.createElement('div');
-            methodSpan.style.fontStyle = 'italic';
-            methodSpan.style.marginBottom = '8px';
-            methodSpan.innerHTML = `Method: ${diffData.diffMethod}`;
-            autoDiffDiv.appendChild(methodSpan);
+    });
+    return changes;
+}
+
+class FormHistory {
+    constructor(app) {
+        this.app = app;
+        // Entries: { data, changes, label, time }; `data` is the form on the other side of the step
+        this.undoStack = [];
+        this.redoStack = [];
+        this.current = null;
+        this.captureTimer = null;
+        // Form data and Epic paragraphs from before the last Clear Form
+        this.cleared = null;
+
+        this.setupEventListeners();
+        this.reset();
+    }
+
+    setupEventListeners() {
+        document.getElementById('history-undo').addEventListener('click', () => this.undo());
+        document.getElementById('history-redo').addEventListener('click', () => this.redo());
+        document.getElementById('restore-cleared').addEventListener('click', () => this.restoreCleared());
+        document.addEventListener('keydown', (event) => this.handleHotkey(event));
+    }
+
+    handleHotkey(event) {
+        if (!(event.ctrlKey || event.metaKey) || event.altKey) return;
+        const key = event.key.toLowerCase();
+        const redo = (key === 'z' && event.shiftKey) || (key === 'y' && !event.shiftKey);
+        if (key !== 'z' && !redo) return;
+
+        // Text fields keep the browser's own undo
+        const target = event.target;
+        if (target && (target.tagName === 'TEXTAREA' || target.tagName === 'SELECT' || target.isContentEditable ||
+            (target.tagName === 'INPUT' && !['radio', 'checkbox', 'button'].includes(target.type)))) {
+            return;
         }
-        
-        if (diffData.diffMethod && diffData.diffMethod.includes('not performed')) {
-            autoDiffDiv.innerHTML += '<em>Differential not performed</em>';
+
+        event.preventDefault();
+        if (redo) {
+            this.redo();
         } else {
-            const diffKeys = Object.keys(diffData).filter(key => key !== 'diffMethod');
-            if (diffKeys.length > 0) {
-                diffKeys.forEach(key => {
-                    const value = diffData[key];
-                    const span = document.createElement('span');
-                    span.className = 'parsed-value';
-                    span.innerHTML = `<strong>${key.replace('_', ' ')}:</strong> ${value}%`;
-                    autoDiffDiv.appendChild(span);
-                });
-            } else {
-                autoDiffDiv.innerHTML += '<em>No differential data found</em>';
-            }
+            this.undo();
         }
-        
-        // Display Morphology results
-        manualDiffDiv.innerHTML = '<h5>Morphology & Special Findings:</h5>';
-        const morphData = parsed.morphology;
-        
-        if (Object.keys(morphData).length > 0) {
-            Object.keys(morphData).forEach(key => {
-                const value = morphData[key];
-                const span = document.createElement('span');
-                span.className = 'parsed-value';
-                if (key === 'nrbc') {
-                    span.innerHTML = `<strong>NRBC:</strong> ${value}%`;
-                } else {
-                    span.innerHTML = `<strong>${key.replace(/([A-Z])/g, ' $1').trim()}:</strong> ${value}`;
-                }
-                manualDiffDiv.appendChild(span);
-            });
-        } else {
-            manualDiffDiv.innerHTML += '<em>No morphology findings</em>';
-        }
-        
-        // Hide errors if parsing was successful
-        errorsDiv.style.display = 'none';
-        
-        // Generate narrative paragraph
-        generateCBCParagraph(parsed);
-        
-    } catch (error) {
-        console.error('Parsing error:', error);
-        errorsDiv.style.display = 'block';
-        errorMessages.innerHTML = `<div style="color: #721c24;">Error parsing data: ${error.message}</div>`;
     }
-}
 
-function clearEpicData() {
-    document.getElementById('epic-data-input').value = '';
-    document.getElementById('parsing-results').style.display = 'none';
-}
+    // Start over from the form as it is now (a case was opened or created)
+    reset() {
+        clearTimeout(this.captureTimer);
+        this.captureTimer = null;
+        this.undoStack = [];
+        this.redoStack = [];
+        this.cleared = null;
+        this.current = this.app.getFormData();
+        this.render();
+    }
 
-function generateCBCParagraph(parsed) {
-    let paragraph = '';
-    
-    // CBC paragraph
-    if (Object.keys(parsed.cbc).length > 0) {
-        const cbc = parsed.cbc;
-        if (cbc.date) {
-            paragraph += `CBC results from ${cbc.date} are as follows: `;
-        } else {
-            paragraph += 'CBC results are as follows: ';
+    // Called for every form change; the snapshot is taken once edits pause
+    scheduleCapture() {
+        clearTimeout(this.captureTimer);
+        this.captureTimer = setTimeout(() => this.capture(), FORM_HISTORY_DELAY_MS);
+    }
+
+    // Record the form as a new step if it changed; returns whether it did
+    capture(label = null) {
+        clearTimeout(this.captureTimer);
+        this.captureTimer = null;
+        try {
+            const data = this.app.getFormData();
+            const changes = describeFormChanges(this.current, data);
+            if (changes.length === 0) return false;
+            this.push(this.current, changes, label);
+            this.current = data;
+            this.render();
+            return true;
+        } catch (error) {
+            console.warn('Error recording form history:', error);
+            return false;
         }
-        
-        const cbcParts = [];
-        if (cbc.wbc) cbcParts.push(`WBC ${cbc.wbc} K/μL`);
-        if (cbc.rbc) cbcParts.push(`RBC ${cbc.rbc} M/μL`);
-        if (cbc.hgb) cbcParts.push(`HGB ${cbc.hgb} g/dL`);
-        if (cbc.hct) cbcParts.push(`HCT ${cbc.hct}%`);
-        if (cbc.mcv) cbcParts.push(`MCV ${cbc.mcv} fL`);
-        if (cbc.mch) cbcParts.push(`MCH ${cbc.mch} pg`);
-        if (cbc.mchc) cbcParts.push(`MCHC ${cbc.mchc} g/dL`);
-        if (cbc.plt) cbcParts.push(`PLT ${cbc.plt} K/μL`);
-        if (cbc.rdw) cbcParts.push(`RDW ${cbc.rdw}%`);
-        
-        paragraph += cbcParts.join(', ') + '.';
     }
-    
-    // Differential paragraph
-    const diff = parsed.differential;
-    if (diff && Object.keys(diff).length > 1) { // More than just diffMethod
-        if (diff.diffMethod && diff.diffMethod.includes('not performed')) {
-            paragraph += ` Differential was not performed due to low WBC count.`;
-        } else {
-            const method = diff.diffMethod || 'Unknown method';
-            paragraph += ` ${method} differential`;
-            
-            if (method.toLowerCase().includes('auto')) {
-                paragraph += ' shows ';
-            } else if (method.toLowerCase().includes('manual')) {
-                paragraph += ' demonstrates ';
-            } else {
-                paragraph += ' shows ';
-            }
-            
-            const diffParts = [];
-            
-            // Order cell types for better readability
-            const orderedTypes = ['neutrophils', 'bands', 'lymphocytes', 'atypical_lymphocytes', 'monocytes', 
-                                'eosinophils', 'basophils', 'metamyelocytes', 'myelocytes', 'promyelocytes', 'blasts', 'other'];
-            
-            orderedTypes.forEach(type => {
-                if (diff[type] !== undefined) {
-                    const displayName = type.replace('_', ' ');
-                    diffParts.push(`${diff[type]}% ${displayName}`);
-                }
-            });
-            
-            paragraph += diffParts.join(', ');
+
+    push(data, changes, label) {
+        this.undoStack.push({ data, changes, label, time: Date.now() });
+        if (this.undoStack.length > FORM_HISTORY_LIMIT) {
+            this.undoStack.shift();
         }
+        this.redoStack = [];
     }
-    
-    // Include special differential findings and morphology
-    const morph = parsed.morphology;
-    const morphParts = [];
-    
-    // Add immature granulocytes from differential
-    if (diff && diff.immature_granulocytes !== undefined) {
-        morphParts.push(`${diff.immature_granulocytes}% immature granulocytes`);
+
+    undo() {
+        // An edit still waiting for its snapshot is undone first
+        this.capture();
+        const entry = this.undoStack.pop();
+        if (!entry) return;
+        this.redoStack.push({ ...entry, data: this.current });
+        this.apply(entry.data);
     }
-    
-    // Add NRBC from differential or morphology with improved formatting
-    if (diff && diff.nrbc !== undefined) {
-        morphParts.push(`${diff.nrbc}% NRBCs`);
-    } else if (morph && morph.nrbc) {
-        morphParts.push(`${morph.nrbc}% NRBCs`);
+
+    redo() {
+        // A pending edit clears the redo stack, as any new edit does
+        this.capture();
+        const entry = this.redoStack.pop();
+        if (!entry) return;
+        this.undoStack.push({ ...entry, data: this.current });
+        this.apply(entry.data);
     }
-    
-    // Other morphology findings
-    if (morph && Object.keys(morph).length > 0) {
-        if (morph.toxicGranulation && morph.toxicGranulation.toLowerCase() === 'present') {
-            morphParts.push('toxic granulation');
-        }
-        if (morph.giantPlatelets && morph.giantPlatelets.toLowerCase() === 'present') {
-            morphParts.push('giant platelets');
-        }
-        if (morph.atypicalLymphs) {
-            morphParts.push(`${morph.atypicalLymphs}% atypical/reactive lymphocytes`);
-        }
-        if (morph.rbcMorph && morph.rbcMorph.toLowerCase() !== 'normal' && morph.rbcMorph.toLowerCase() !== 'completed') {
-            morphParts.push(`RBC morphology: ${morph.rbcMorph.toLowerCase()}`);
-        }
+
+    // Step back (or forward) until the given entry has been undone (or redone)
+    undoTo(index) {
+        this.capture();
+        while (this.undoStack.length > index) this.undo();
     }
-    
-    if (morphParts.length > 0) {
-        // Add comma if there were differential parts, otherwise add space
-        if (paragraph.trim().endsWith(',') || paragraph.includes('shows')) {
-            paragraph += `, ${morphParts.join(', ')}.`;
-        } else {
-            paragraph += ` ${morphParts.join(', ')}.`;
-        }
-    } else {
-        // Add period to close the differential sentence if no morphology parts
-        if (paragraph.trim().endsWith(',') || (paragraph.includes('shows') && !paragraph.trim().endsWith('.'))) {
-            paragraph += '.';
-        }
+
+    redoTo(index) {
+        while (this.redoStack.length > index) this.redo();
     }
-    
-    // Store the paragraph globally so it can be used in report generation
-    window.cbcParagraph = paragraph;
-    
-    // Add a section to show the generated paragraph
-    let paragraphDiv = document.getElementById('generated-paragraph');
-    if (!paragraphDiv) {
-        paragraphDiv = document.createElement('div');
-        paragraphDiv.id = 'generated-paragraph';
-        paragraphDiv.className = 'parsed-section';
-        paragraphDiv.innerHTML = '<h5>Generated Paragraph:</h5><div id="paragraph-text"></div>';
-        document.getElementById('parsing-results').appendChild(paragraphDiv);
+
+    apply(data) {
+        try {
+            // Snapshots leave out radio groups with nothing selected
+            this.app.reportSchema.schema.fields.radio.forEach(name => {
+                if (!(name in data)) {
+                    document.querySelectorAll(`input[name="${name}"]`).forEach(radio => {
+                        radio.checked = false;
+                    });
+                }
+            });
+            this.app.loadFormData(data);
+            this.current = this.app.getFormData();
+            this.app.updateFormData();
+        } catch (error) {
+            console.warn('Error restoring form history:', error);
+        }
+        clearTimeout(this.captureTimer);
+        this.captureTimer = null;
+        this.render();
     }
-    
-    document.getElementById('paragraph-text').innerHTML = `<div style="font-style: italic; padding: 8px; background: #e7f3ff; border: 1px solid #b3d9ff; border-radius: 4px;">${paragraph}</div>`;
-}
 
-// Loneman Quick Texts data parsed from CSV
-const LONEMAN_QUICK_TEXTS = {
-    // Parsed from Loneman-Quick_texts.csv
-    'mmneg': 'An immunostain for CD138 does not reveal any definitive plasma cells. Too few plasma cells are present to evaluate by in-situ hybridization for kappa and lambda.',
-    'mmnegtop': '__cellular marrow with maturing trilineage hematopoiesis. There is no morphologic  or immunophenotypic evidence of a plasma cell neoplasm.',
-    'mmpos': 'An immunostain for CD138 highlights singly scattered and small, perivascular clusters of plasma cells (<5% of cells) which are monotypic for kappa by in-situ hybridization for kappa and lambda light chains.',
-    'noplas': 'No circulating plasma cells are seen.',
-    'cyclinneg': 'Cyclin D1 is negative in plasma cells.',
-    'plasasp': 'Plasma cells: Medium- to large-sized cells with round nuclei, condensed chromatin, and abundant cytoplasm. Occasional binucleate forms are seen.',
-    'corrplas': 'COMMENT: Clinical, radiographic, and laboratory correlation are required for definitive classification.',
-    'congoneg': 'A Congo red stain is negative for amyloid.',
-    'congopos': 'A Congo red stain highlights perivascular amyloid deposition.',
-    'knownmm': 'Involvement by the patient\'s known PLASMA CELL NEOPLASM.',
-    'mmcyto': 'Cytology: Intermediate- to large-sized cells with round to irregular nuclear contours, coarse chromatin, variably prominent nucleoli, and moderate to abundant cytoplasm. Occasional multinucleated forms are seen.',
-    'mmcore': 'Architecture: Patchy interstitial infiltration.',
-    'corrcyto': 'COMMENT: Correlation with concurrent cytogenetics is recommended.',
-    'polykl': 'polytypic by in-situ hybridization for kappa and lambda light chains.',
-    'corrmol': 'COMMENT: Correlation with pending molecular and cytogenetic studies is recommended.',
-    'corrmolcyto': 'COMMENT: Correlation with pending molecular and cytogenetic studies is recommended.',
-    'corrmolcytochim': 'COMMENT: Correlation with pending molecular, cytogenetic, and chimerism studies is recommended.',
-    'corrmolcytomrd': 'COMMENT: Correlation with pending minimal residual disease, molecular, and cytogenetic studies is recommended.',
-    'cd34n': 'Blasts are not increased (<5% of cells) by a CD34 immunostain.',
-    'p53n': 'A p53 stain shows variably staining, suggestive of wild-type expression.',
-    'header': 'A-C. BONE MARROW CORE BIOPSY AND ASPIRATE SMEARS, PERIPHERAL BLOOD SMEAR:',
-    'lsbc': 'left-shifted but complete.',
-    'limitedbx': 'Limited; predominantly blood and soft tissue with only a small area of evaluable marrow.',
-    'fewnormal': 'Normal hematopoietic elements are markedly decreased and [cannot be adequately evaluated]/[difficult to evaluate]',
-    'nonheme': 'Note: Most of the cellularity consists of stromal cells; histiocytes (including frequent hemosiderin-laden cells); lymphocytes; and singly scattered and small, perivascular aggregates of mature-appearing plasma cells. The lymphocytes are seen singly scattered in the interstitium and in occasional small, interstitial aggregates. Lymphocytes appear  small- to intermediate-sized with round to irregular nuclear contours, condensed to moderately dispersed chromatin, inconspicuous nucleoli, and scant cytoplasm.',
-    'nodx': 'No morphologic or flow cytometric  features of the patient\'s known ___ are seen.',
-    'altcell': 'A recent study has shown that marrow cellularity declines with age at a slower rate than previously assumed, and the mean cellularity for this patient\'s age group is ~44% (standard deviation ~11%, PMID: 37904278).',
-    'mgkmf': 'with frequent tight clustering, occasional paratrabecular localization, and exhibiting a morphologic spectrum, from hypolobated to hyperlobated forms and including occasional bulbous, hyperchromatic cells.',
-    'mdsmpn': 'with focal clustering and exhibiting morphologic heterogeneity: some cells are overtly dysplastic, including small, hypolobated forms and occasional cells with separated nuclear lobes. Other cells are atypical, including hyperlobated forms and occasional bulbous, hyperchromatic cells with high N:C ratio.',
-    'mgknorm': 'adequate in number and with overall normal morphology.',
-    'blastcore': 'Architecture: Diffuse sheets. Cytology: Predominantly intermediate-sized cells with ovoid to irregular nuclei, finely dispersed chromatin, variably prominent nucleoli, and scant to moderate amounts of cytoplasm.',
-    'inadeq': 'Note: The aspirate smear(s) and touch prep contain inadequate numbers of maturing hematopoietic elements for cellular enumeration or morphologic evaluation.',
-    'celllimit': 'Maturing myeloids and erythroids are markedly decreased but without overt morphologic abnormalities.',
-    'feneg': 'adequate storage iron. Ring sideroblasts do not appear increased.',
-    'felow': 'Storage iron appears decreased, correlation with serum iron studies recommended.',
-    'mdys': 'dysplastic, with hypogranular and hyposegmented cells.',
-    'edys': 'dysplastic, with occasional nuclear-cytoplasmic asynchrony and multinucleated cells.',
-    'mgkdys': 'dysplastic, with hypolobated forms and occasional cells with separated nuclear lobes.',
-    'blastasp': 'Predominantly medium-sized cells with round to irregular nuclear countours, finely dispersed chromatin, prominent nucleoli, and scant to moderate basophilic cytoplasm with occasional sparse granulation',
-    'pbsleb': 'red cell anisopoikilocytosis with frequent dacrocytes and occasional nucleated red cells; thrombocytopenia with occasional large platelets; and maturing and left-shifted myeloids, including occasional blasts, consistent with an leukoerythroblastic reaction.',
-    'pbsmds': 'red cell anisopoikilocytosis; thrombocytopenia with occasional large platelets; and occasional hypogranular and hyposegmented neutrophils, including pseudo-Pelger-Huet cells',
-    'lplac': 'Extensive interstitial infiltration by predominantly small lymphocytes with round to slightly irregular nuclei, moderately dispersed chromatin, inconspicuous nucleoli, and scant cytoplasm; a subset of plasmacytoid cells contain moderate amounts of cytoplasm with eccentric nuclei. Admixed plasma cells are also seen.',
-    'cllac': 'Lymphocytes: Large paratrabecular aggregates of small cells with round to slightly irregular nuclei, clumped chromatin, inconspicuous nucleoli, and scant cytoplasm. An immunostain reveals the cells to be B cells (PAX5+) with aberrant expression of CD5 and which constitute >90% of the cellularity.',
-    'cllasp': 'Lymphocytes: Small- to medium-sized cells with round to slightly irregular nuclei, clumped to moderately dispersed chromatin, inconspicuous nucleoli, and scant cytoplasm.',
-    'knownmn': 'Involvement by the patient\'s known MYELOID NEOPLASM.'
-};
+    // Clear Form is one undoable step; Restore Cleared Form stays offered after later edits
+    recordClear(before) {
+        if (this.capture('Cleared form')) {
+            this.cleared = before;
+            this.render();
+        }
+    }
 
-// Text Expansion System
-class TextExpansionSystem {
-    constructor() {
-        this.quickTexts = LONEMAN_QUICK_TEXTS;
-        this.setupEventListeners();
-        this.createHelpModal();
-        this.createFloatingHelpButton();
+    restoreCleared() {
+        if (!this.cleared) return;
+        const { data, cbcParagraph, labParagraph } = this.cleared;
+        this.capture();
+        const before = this.current;
+        this.cleared = null;
+        window.cbcParagraph = cbcParagraph;
+        window.labParagraph = labParagraph;
+        this.apply(data);
+        const changes = describeFormChanges(before, this.current);
+        if (changes.length > 0) {
+            this.push(before, changes, 'Restored cleared form');
+            this.render();
+        }
+        this.app.showNotification('Cleared form restored', 'success');
     }
 
-    setupEventListeners() {
-        // Add F8 key listener to all text areas and text inputs
-        document.addEventListener('keydown', (event) => {
-            if (event.key === 'F8') {
-                event.preventDefault();
-                this.handleTextExpansion(event.target);
-            }
-        });
+    describeEntry(entry) {
+        const count = entry.changes.length;
+        if (entry.label) return `${entry.label} (${count} ${count === 1 ? 'field' : 'fields'})`;
+        return count > 1 ? `${entry.changes[0]} (+${count - 1} more)` : entry.changes[0];
     }
 
-    handleTextExpansion(targetElement) {
-        // Check if the target is a text input or textarea
-        if (!this.isTextInputElement(targetElement)) {
-            return;
-        }
+    render() {
+        document.getElementById('history-undo').disabled = this.undoStack.length === 0;
+        document.getElementById('history-redo').disabled = this.redoStack.length === 0;
+        document.getElementById('restore-cleared').style.display = this.cleared ? '' : 'none';
 
-        const cursorPosition = targetElement.selectionStart;
-        const textBeforeCursor = targetElement.value.substring(0, cursorPosition);
-        
-        // Find the word immediately before the cursor
-        const wordMatch = textBeforeCursor.match(/\S+$/);
-        if (!wordMatch) {
+        const container = document.getElementById('history-list');
+        if (this.undoStack.length === 0 && this.redoStack.length === 0) {
+            container.innerHTML = '<div class="case-list-empty">No edits yet.</div>';
             return;
         }
 
-        const word = wordMatch[0];
-        const wordStartPosition = cursorPosition - word.length;
-        
-        // Look for matching code (case insensitive)
-        const matchingCode = this.findMatchingCode(word);
-        if (matchingCode) {
-            const expandedText = this.quickTexts[matchingCode];
-            
-            // Replace the word with the expanded text
-            const textBefore = targetElement.value.substring(0, wordStartPosition);
-            const textAfter = targetElement.value.substring(cursorPosition);
-            
-            targetElement.value = textBefore + expandedText + textAfter;
-            
-            // Position cursor at the end of the expanded text
-            const newCursorPosition = wordStartPosition + expandedText.length;
-            targetElement.selectionStart = newCursorPosition;
-            targetElement.selectionEnd = newCursorPosition;
-            
-            // Trigger input event to update any form handling
-            targetElement.dispatchEvent(new Event('input', { bubbles: true }));
-        }
+        // Undone steps (redo) on top, then the newest edits
+        const row = (entry, kind, index) => `
+            <div class="history-item history-${kind}" data-kind="${kind}" data-index="${index}" title="${escapeHtml(entry.changes.join('\n'))}">
+                <span class="history-item-time">${escapeHtml(new Date(entry.time).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' }))}</span>
+                ${escapeHtml(this.describeEntry(entry))}
+            </div>
+        `;
+        const redoRows = this.redoStack.map((entry, index) => ({ entry, index })).slice(-FORM_HISTORY_PANEL_ROWS);
+        const undoRows = this.undoStack.map((entry, index) => ({ entry, index })).slice(-FORM_HISTORY_PANEL_ROWS).reverse();
+        container.innerHTML = redoRows.map(({ entry, index }) => row(entry, 'redo', index)).join('') +
+            undoRows.map(({ entry, index }) => row(entry, 'undo', index)).join('');
+
+        container.querySelectorAll('.history-item').forEach(item => {
+            const index = parseInt(item.getAttribute('data-index'), 10);
+            item.addEventListener('click', () => {
+                if (item.getAttribute('data-kind') === 'redo') {
+                    this.redoTo(index);
+                } else {
+                    this.undoTo(index);
+                }
+            });
+        });
     }
+}
 
-    isTextInputElement(element) {
-        return element && (
-            element.tagName === 'TEXTAREA' ||
-            (element.tagName === 'INPUT' && element.type === 'text')
-        );
+// Main application functionality
+class MarrowReportApp {
+    constructor() {
+        // me-ratio and age-cellularity categories last chosen automatically
+        this.autoSelectedMERatio = null;
+        this.autoSelectedAgeCellularity = null;
+        // Last local draft written (when IndexedDB is unavailable)
+        this.lastDraftJson = null;
+        this.reportSchema = new ReportSchema(REPORT_SCHEMA);
+        this.reportChecker = new ReportChecker(this.reportSchema);
+        this.initializeEventListeners();
+        this.loadDefaultValues();
+        this.formHistory = new FormHistory(this);
     }
 
-    findMatchingCode(word) {
-        const lowerWord = word.toLowerCase();
-        // Check for exact match first
-        if (this.quickTexts[lowerWord]) {
-            return lowerWord;
-        }
+    initializeEventListeners() {
+        // Report generation and controls
+        document.getElementById('generate-report').addEventListener('click', () => this.generateReport());
+        document.getElementById('copy-report').addEventListener('click', () => this.copyToClipboard());
+        document.getElementById('clear-form').addEventListener('click', () => this.clearForm());
         
-        // Check all keys for case-insensitive match
-        for (const code in this.quickTexts) {
-            if (code.toLowerCase() === lowerWord) {
-                return code;
-            }
-        }
+        // Add event listeners for descriptor checkboxes to update summaries
+        this.setupDescriptorEventListeners();
         
-        return null;
+        // Add event listeners for all form elements to trigger auto-save
+        this.setupFormAutoSave();
     }
 
-
-
-    createHelpModal() {
-        const modal = document.createElement('div');
-        modal.id = 'text-expansion-help-modal';
-        modal.className = 'text-expansion-modal';
-        modal.style.cssText = `
-            display: none;
-            position: fixed;
+    setupFormAutoSave() {
+        // Listen for changes on all form elements
+        const formElements = document.querySelectorAll('input, textarea, select');
+        formElements.forEach(element => {
+            element.addEventListener('change', () => this.updateFormData());
+            element.addEventListener('input', () => this.updateFormData());
+        });
+        
+        // Setup abnormal cells toggle functionality
+        this.setupAbnormalToggle();
+
+        // Hide clot and touch prep details that "similar to core" replaces
+        ['clot-similar-to-core', 'touch-prep-similar-to-core', 'touch-prep-findings'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => this.updateSpecimenSections());
+        });
+        document.querySelectorAll('input[name="aspirate-cellularity"]').forEach(radio => {
+            radio.addEventListener('change', () => this.updateSpecimenSections());
+        });
+        this.updateSpecimenSections();
+
+        // Re-check a hand-picked M:E ratio against the aspirate count
+        document.querySelectorAll('input[name="me-ratio"]').forEach(radio => {
+            radio.addEventListener('change', () => {
+                this.autoSelectedMERatio = null;
+                this.reconcileMERatio();
+            });
+        });
+
+        // Suggest the age-adjusted category from the entered cellularity and age
+        document.querySelectorAll('input[name="age-cellularity"]').forEach(radio => {
+            radio.addEventListener('change', () => {
+                this.autoSelectedAgeCellularity = null;
+                this.reconcileAgeCellularity();
+            });
+        });
+        ['cellularity', 'patient-age'].forEach(id => {
+            document.getElementById(id).addEventListener('input', () => this.reconcileAgeCellularity());
+        });
+
+        const accession = document.getElementById('case-accession');
+        accession.addEventListener('input', () => this.validateAccession());
+        accession.addEventListener('change', () => {
+            accession.value = accession.value.trim().toUpperCase();
+            this.validateAccession();
+        });
+
+        // Rewrite the parsed paragraphs when the report unit style changes
+        document.querySelectorAll('input[name="unit-style"]').forEach(radio => {
+            radio.addEventListener('change', () => {
+                if (document.getElementById('parsing-results').style.display === 'block') {
+                    parseEpicData();
+                }
+            });
+        });
+    }
+
+    setupAbnormalToggle() {
+        const coreToggle = document.getElementById('core-abnormal-toggle');
+        if (coreToggle) {
+            coreToggle.addEventListener('change', () => {
+                this.toggleAbnormalSections('core', coreToggle.checked);
+            });
+            // Initialize to current state on load
+            this.toggleAbnormalSections('core', coreToggle.checked);
+        }
+        
+        const aspirateToggle = document.getElementById('aspirate-abnormal-toggle');
+        if (aspirateToggle) {
+            aspirateToggle.addEventListener('change', () => {
+                this.toggleAbnormalSections('aspirate', aspirateToggle.checked);
+            });
+            // Initialize to current state on load
+            this.toggleAbnormalSections('aspirate', aspirateToggle.checked);
+        }
+    }
+
+    toggleAbnormalSections(context, show) {
+        // Only toggle the detailed descriptor sections, not the entire cell type sections
+        const extraCoreSelector = context === 'core' ? ', #core-architecture .descriptor-section' : '';
+        const descriptorSections = document.querySelectorAll(`#${context}-megakaryocytes .descriptor-section, #${context}-erythroid .descriptor-section, #${context}-myeloid .descriptor-section, #${context}-lymphocytes .descriptor-section${extraCoreSelector}`);
+        
+        descriptorSections.forEach(section => {
+            if (show) {
+                section.style.display = 'block';
+                section.style.opacity = '1';
+            } else {
+                section.style.display = 'none';
+                section.style.opacity = '0';
+            }
+        });
+        
+        // Update toggle text
+        const toggleText = document.querySelector(`#${context}-abnormal-toggle + .toggle-text`);
+        if (toggleText) {
+            toggleText.textContent = show ? 'Hide Detailed Descriptors' : 'Show Detailed Descriptors';
+        }
+    }
+
+
+
+    updateSpecimenSections() {
+        document.getElementById('clot-details').style.display =
+            this.isChecked('clot-similar-to-core') ? 'none' : '';
+        document.getElementById('touch-prep-details').style.display =
+            this.isChecked('touch-prep-similar-to-core') ? 'none' : '';
+
+        // Touch prep findings stand in for an inadequate aspirate
+        const showFindings = this.getSelectedRadioValue('aspirate-cellularity') === 'Inadequate' ||
+            this.getValue('touch-prep-findings') !== '';
+        document.getElementById('touch-prep-findings-group').style.display = showFindings ? '' : 'none';
+    }
+
+    setupDescriptorEventListeners() {
+        // Add event listeners to all descriptor checkboxes
+        const descriptorCheckboxes = document.querySelectorAll('.descriptor-section input[type="checkbox"]');
+        descriptorCheckboxes.forEach(checkbox => {
+            checkbox.addEventListener('change', () => this.updateDescriptorSummary(checkbox));
+        });
+        
+        // Add event listeners to all radio buttons for proper group behavior
+        const radioButtons = document.querySelectorAll('input[type="radio"]');
+        radioButtons.forEach(radio => {
+            radio.addEventListener('change', () => this.handleRadioButtonChange(radio));
+        });
+        
+        // Create summary displays for each descriptor section
+        this.createDescriptorSummaries();
+    }
+
+    handleRadioButtonChange(radio) {
+        // Ensure only one radio button in the group is selected
+        const name = radio.name;
+        if (name) {
+            document.querySelectorAll(`input[name="${name}"]`).forEach(rb => {
+                if (rb !== radio) {
+                    rb.checked = false;
+                }
+            });
+        }
+        
+        // Add visual feedback
+        radio.closest('label').style.background = '#e3f2fd';
+        setTimeout(() => {
+            radio.closest('label').style.background = '';
+        }, 200);
+        
+        // Update any related summaries or dependent fields
+        this.updateDependentFields(radio);
+        
+        // Update form data
+        this.updateFormData();
+    }
+
+    updateDependentFields(radio) {
+        // Handle dependent field updates based on radio button selection
+        const name = radio.name;
+        const value = radio.value;
+        
+        // Example: Update related fields based on selection
+        if (name === 'biopsy-adequacy' && value === 'Limited') {
+            // Enable limitations field if Limited is selected
+            const limitationsField = document.getElementById('limitations');
+            if (limitationsField) {
+                limitationsField.style.display = 'block';
+            }
+        }
+        
+        // Add more dependent field logic as needed
+    }
+
+    createDescriptorSummaries() {
+        const descriptorSections = document.querySelectorAll('.descriptor-section');
+        descriptorSections.forEach(section => {
+            const summaryDiv = document.createElement('div');
+            summaryDiv.className = 'descriptor-summary';
+            summaryDiv.innerHTML = `
+                <h5>Selected Features Summary</h5>
+                <div class="summary-text">No features selected yet</div>
+            `;
+            summaryDiv.id = section.id || `summary-${Math.random().toString(36).substr(2, 9)}`;
+            section.appendChild(summaryDiv);
+        });
+    }
+
+    updateDescriptorSummary(checkbox) {
+        try {
+            const section = checkbox.closest('.descriptor-section');
+            if (!section) return;
+            
+            const summaryDiv = section.querySelector('.descriptor-summary');
+            if (!summaryDiv) return;
+            
+            const summaryText = summaryDiv.querySelector('.summary-text');
+            if (!summaryText) return;
+            
+            // Get all checked checkboxes in this section
+            const checkedBoxes = section.querySelectorAll('input[type="checkbox"]:checked');
+            
+            if (checkedBoxes.length === 0) {
+                summaryText.textContent = 'No features selected yet';
+                summaryDiv.style.display = 'none'; // Hide empty summaries
+            } else {
+                const selectedFeatures = Array.from(checkedBoxes).map(cb => cb.value).filter(Boolean);
+                if (selectedFeatures.length > 0) {
+                    summaryText.textContent = selectedFeatures.join(', ');
+                    summaryDiv.style.display = 'block'; // Show summaries with content
+                } else {
+                    summaryText.textContent = 'No features selected yet';
+                    summaryDiv.style.display = 'none';
+                }
+            }
+            
+            // Update form data for auto-save
+            this.updateFormData();
+            
+        } catch (error) {
+            console.warn('Error updating descriptor summary:', error);
+        }
+    }
+
+    updateFormData() {
+        // Trigger auto-save when form data changes; nothing is written while drafts are locked
+        if (window.draftVault && window.draftVault.isLocked()) return;
+        try {
+            const data = this.getFormData();
+            if (this.formHistory) {
+                this.formHistory.scheduleCapture();
+            }
+            if (window.caseWorkspace && window.caseWorkspace.available) {
+                window.caseWorkspace.scheduleSave(data);
+            } else {
+                this.saveLocalDraft(data);
+            }
+        } catch (error) {
+            console.warn('Error updating form data:', error);
+        }
+    }
+
+    // An unchanged draft is not written again, so an idle tab never overwrites another tab's edits
+    saveLocalDraft(data) {
+        const json = JSON.stringify(data);
+        if (json === this.lastDraftJson || window.tabSync.hasConflict()) return;
+        this.lastDraftJson = json;
+        window.draftVault.seal(createCaseFile(data))
+            .then(saved => {
+                localStorage.setItem(DRAFT_STORAGE_KEY, JSON.stringify(saved));
+                window.tabSync.announceSave(LOCAL_DRAFT_ID, data);
+            })
+            .catch(error => console.warn('Error saving local draft:', error));
+    }
+
+
+
+    loadDefaultValues() {
+        // Set some default values based on the images
+
+        document.getElementById('limitations').value = 'fragmented';
+        if (window.specialStains) {
+            window.specialStains.renderThreshold();
+        }
+    }
+
+    // `force` writes the report even when a blocking check fails
+    generateReport(force = false) {
+        try {
+            const reportOutput = document.getElementById('report-output');
+            if (!reportOutput) {
+                this.showNotification('Report output element not found', 'error');
+                return;
+            }
+            
+            // Check if form has any data
+            if (!this.hasFormData()) {
+                const emptyReport = 'A. BONE MARROW, BIOPSY:\nCOMMENT: No data entered yet\n_________________________________________________________________\n\nNo form data has been entered. Please fill out at least some sections of the form before generating a report.';
+                reportOutput.value = emptyReport;
+                this.showNotification('Form is empty. Please fill out some sections first.', 'info');
+                return;
+            }
+            
+            const findings = this.reportChecker.run();
+            this.renderReportChecks(findings);
+            const blockers = findings.filter(finding => finding.severity === 'blocker');
+            if (blockers.length > 0 && !force) {
+                this.showNotification(`Report not generated: ${blockers.map(finding => finding.message).join(' ')}`, 'error');
+                return;
+            }
+
+            const report = this.buildReport();
+            reportOutput.value = report;
+            
+            if (report && !report.startsWith('Error') && findings.length > 0) {
+                this.showNotification(`Report generated with ${findings.length} consistency ${findings.length === 1 ? 'issue' : 'issues'}. Please review.`, 'error');
+            } else if (report && !report.startsWith('Error')) {
+                this.showNotification('Report generated successfully!', 'success');
+            } else {
+                this.showNotification('Report generated with some issues. Please review.', 'error');
+            }
+        } catch (error) {
+            console.error('Error in generateReport:', error);
+            this.showNotification('Error generating report. Please check the console.', 'error');
+        }
+    }
+
+    renderReportChecks(findings) {
+        const container = document.getElementById('report-checks');
+        if (!container) return;
+
+        if (findings.length === 0) {
+            container.style.display = 'none';
+            container.innerHTML = '';
+            return;
+        }
+
+        const hasBlocker = findings.some(finding => finding.severity === 'blocker');
+        container.innerHTML = `
+            ${findings.map(finding => `
+                <div class="report-check report-check-${finding.severity}" data-check="${escapeHtml(finding.id)}">
+                    <strong>${finding.severity === 'blocker' ? 'Blocker' : 'Warning'}:</strong> ${escapeHtml(finding.message)}
+                </div>
+            `).join('')}
+            ${hasBlocker ? '<button type="button" class="btn btn-secondary" id="report-generate-anyway">Generate Anyway</button>' : ''}
+        `;
+        container.style.display = 'block';
+
+        const generateAnyway = document.getElementById('report-generate-anyway');
+        if (generateAnyway) {
+            generateAnyway.addEventListener('click', () => this.generateReport(true));
+        }
+    }
+
+    hasFormData() {
+        try {
+            // Check if any text inputs have values
+            const textInputs = document.querySelectorAll('input[type="text"], input[type="number"], textarea');
+            for (const input of textInputs) {
+                if (input.value && input.value.trim()) {
+                    return true;
+                }
+            }
+            
+            // Check if any radio buttons are selected
+            const radioInputs = document.querySelectorAll('input[type="radio"]:checked');
+            if (radioInputs.length > 0) {
+                return true;
+            }
+            
+            // Check if any checkboxes are checked
+            const checkboxInputs = document.querySelectorAll('input[type="checkbox"]:checked');
+            if (checkboxInputs.length > 0) {
+                return true;
+            }
+
+            // Check if any cells were counted
+            if (window.cellCounter && window.cellCounter.getTotal() > 0) {
+                return true;
+            }
+            
+            return false;
+        } catch (error) {
+            console.warn('Error checking form data:', error);
+            return false;
+        }
+    }
+
+    buildReport() {
+        try {
+            return this.reportSchema.render();
+        } catch (error) {
+            console.error('Error generating report:', error);
+            return `Error generating report: ${error.message}\n\nPlease check the form and try again.`;
+        }
+    }
+
+    // Pre-select the me-ratio category from the aspirate count and show the
+    // count-derived M:E ratio, blast and plasma cell percentages. A category
+    // the user picked by hand is kept, with a warning when it disagrees.
+    reconcileMERatio() {
+        const container = document.getElementById('me-ratio-derived');
+        if (!container) return;
+
+        const differential = window.cellCounter ? window.cellCounter.getDifferential() : null;
+        if (!differential || differential.total === 0) {
+            container.style.display = 'none';
+            return;
+        }
+
+        const suggested = differential.meRatio !== null ? classifyMERatio(differential.meRatio) : null;
+        const selected = this.getSelectedRadioValue('me-ratio');
+        // A selection that agrees with the count may follow it as counting continues
+        if (suggested && (!selected || selected === this.autoSelectedMERatio || selected === suggested)) {
+            const radio = document.querySelector(`input[name="me-ratio"][value="${suggested}"]`);
+            if (radio) {
+                radio.checked = true;
+                this.autoSelectedMERatio = suggested;
+            }
+        }
+
+        const parts = [`M:E ratio ${differential.meRatio !== null ? `${formatMERatio(differential.meRatio)} (${suggested})` : 'not calculable'}`];
+        if (differential.blastPercentage !== null) parts.push(`blasts ${differential.blastPercentage.toFixed(1)}%`);
+        if (differential.plasmaCellPercentage !== null) parts.push(`plasma cells ${differential.plasmaCellPercentage.toFixed(1)}%`);
+
+        const warning = this.getMERatioWarning();
+        container.innerHTML = `From the ${differential.total}-cell aspirate count: ${parts.join(', ')}.` +
+            (warning ? `<div class="derived-warning">${warning}</div>` : '');
+        container.style.display = 'block';
+    }
+
+    // { mean, tolerance, age } for the entered age, or null
+    getExpectedCellularity() {
+        const age = parseFloat(this.getValue('patient-age'));
+        if (isNaN(age) || age < 0) return null;
+        return { mean: Math.max(100 - Math.round(age), 0), tolerance: AGE_CELLULARITY_TOLERANCE, age };
+    }
+
+    reconcileAgeCellularity() {
+        const container = document.getElementById('age-cellularity-derived');
+        if (!container) return;
+
+        const expected = this.getExpectedCellularity();
+        if (!expected) {
+            container.style.display = 'none';
+            return;
+        }
+
+        const low = Math.max(expected.mean - expected.tolerance, 0);
+        const high = Math.min(expected.mean + expected.tolerance, 100);
+        let message = `Expected cellularity at age ${expected.age}: ~${expected.mean}% (normal ${Math.round(low)}-${Math.round(high)}%).`;
+
+        const range = parseCellularityRange(this.getValue('cellularity'));
+        let warning = '';
+        if (range) {
+            const suggested = classifyAgeCellularity(range, expected);
+            const selected = this.getSelectedRadioValue('age-cellularity');
+            // Same rule as the M:E ratio: an automatic or agreeing choice follows the entry
+            if (!selected || selected === this.autoSelectedAgeCellularity || selected === suggested) {
+                const radio = document.querySelector(`input[name="age-cellularity"][value="${suggested}"]`);
+                if (radio) {
+                    radio.checked = true;
+                    this.autoSelectedAgeCellularity = suggested;
+                }
+            } else {
+                warning = `The selected category (${selected}) does not match the entered cellularity (${suggested} for age).`;
+            }
+            message += ` Entered ${range.low === range.high ? range.low : `${range.low}-${range.high}`}%: ${suggested}.`;
+        }
+
+        container.innerHTML = message + (warning ? `<div class="derived-warning">${warning}</div>` : '');
+        container.style.display = 'block';
+    }
+
+    validateAccession() {
+        const container = document.getElementById('case-accession-status');
+        if (!container) return true;
+
+        const value = this.getValue('case-accession').toUpperCase();
+        const valid = !value || ACCESSION_NUMBER_PATTERN.test(value);
+        container.innerHTML = valid ? '' : '<div class="derived-warning">Accession numbers look like BM24-12345 (prefix, year, number).</div>';
+        container.style.display = valid ? 'none' : 'block';
+        return valid;
+    }
+
+    getMERatioWarning() {
+        const differential = window.cellCounter ? window.cellCounter.getDifferential() : null;
+        if (!differential || differential.meRatio === null) return '';
+
+        const suggested = classifyMERatio(differential.meRatio);
+        const selected = this.getSelectedRadioValue('me-ratio');
+        if (!selected || selected === suggested) return '';
+        return `The selected M:E ratio (${selected}) does not match the aspirate count (${formatMERatio(differential.meRatio)}, ${suggested}).`;
+    }
+
+    getValue(id) {
+        try {
+            const element = document.getElementById(id);
+            return element && element.value ? element.value.trim() : '';
+        } catch (error) {
+            console.warn(`Error getting value for element ${id}:`, error);
+            return '';
+        }
+    }
+
+    getSelectedRadioValue(name) {
+        try {
+            const selected = document.querySelector(`input[name="${name}"]:checked`);
+            return selected && selected.value ? selected.value : '';
+        } catch (error) {
+            console.warn(`Error getting radio value for name ${name}:`, error);
+            return '';
+        }
+    }
+
+    getSelectedCheckboxValues(name) {
+        try {
+            const checkboxes = document.querySelectorAll(`input[name="${name}"]:checked`);
+            return Array.from(checkboxes).map(cb => cb.value).filter(Boolean);
+        } catch (error) {
+            console.warn(`Error getting checkbox values for name ${name}:`, error);
+            return [];
+        }
+    }
+
+    isChecked(id) {
+        try {
+            const element = document.getElementById(id);
+            return element ? element.checked : false;
+        } catch (error) {
+            console.warn(`Error checking if element ${id} is checked:`, error);
+            return false;
+        }
+    }
+
+    async copyToClipboard() {
+        const reportOutput = document.getElementById('report-output');
+        try {
+            await navigator.clipboard.writeText(reportOutput.value);
+            this.showNotification('Report copied to clipboard!', 'success');
+        } catch (err) {
+            // Fallback for older browsers
+            reportOutput.select();
+            document.execCommand('copy');
+            this.showNotification('Report copied to clipboard!', 'success');
+        }
+    }
+
+    clearForm() {
+        if (confirm('Are you sure you want to clear all form data? You can bring it back with Restore Cleared Form.')) {
+            this.formHistory.capture();
+            const before = { data: this.formHistory.current, cbcParagraph: window.cbcParagraph, labParagraph: window.labParagraph };
+            this.resetForm();
+            this.updateFormData();
+            this.formHistory.recordClear(before);
+            this.showNotification('Form cleared. Use Undo or Restore Cleared Form to bring it back.', 'success');
+        }
+    }
+
+    // Return every field and component to its default, without saving
+    resetForm() {
+        // Reset all form elements
+        document.querySelectorAll('input[type="text"], input[type="number"], input[type="date"], textarea').forEach(input => {
+            input.value = '';
+        });
+        
+        // Reset radio buttons to first option
+        document.querySelectorAll('input[type="radio"]').forEach(radio => {
+            if (radio.defaultChecked) {
+                radio.checked = true;
+            } else {
+                radio.checked = false;
+            }
+        });
+        
+        // Reset checkboxes; the tab mirroring option is a setting, not part of the case
+        document.querySelectorAll('input[type="checkbox"]:not(#tab-mirror)').forEach(checkbox => {
+            checkbox.checked = checkbox.defaultChecked || false;
+        });
+        
+        // Clear the aspirate cell count and the diagnosis, specimen, stain and IHC rows
+        this.autoSelectedMERatio = null;
+        this.autoSelectedAgeCellularity = null;
+        if (window.cellCounter) {
+            window.cellCounter.setState(null);
+        }
+        if (window.diagnosisBuilder) {
+            window.diagnosisBuilder.setState(null);
+        }
+        if (window.specimenManager) {
+            window.specimenManager.setState(null);
+        }
+        if (window.specialStains) {
+            window.specialStains.setState(null);
+        }
+        if (window.ihcPanel) {
+            window.ihcPanel.setState(null);
+        }
+
+        // Clear report output and the paragraphs from the last Epic parse
+        document.getElementById('report-output').value = '';
+        this.renderReportChecks([]);
+        window.cbcParagraph = '';
+        window.labParagraph = '';
+        document.getElementById('parsing-results').style.display = 'none';
+        document.getElementById('parsing-diagnostics').style.display = 'none';
+        
+        // Reload default values
+        this.loadDefaultValues();
+        this.updateSpecimenSections();
+        this.reconcileAgeCellularity();
+        this.validateAccession();
+    }
+
+    showNotification(message, type = 'info') {
+        // Create notification element
+        const notification = document.createElement('div');
+        notification.className = `notification notification-${type}`;
+        notification.textContent = message;
+        
+        // Style the notification
+        notification.style.cssText = `
+            position: fixed;
+            top: 20px;
+            right: 20px;
+            padding: 15px 20px;
+            border-radius: 8px;
+            color: white;
+            font-weight: 600;
+            z-index: 1000;
+            transform: translateX(100%);
+            transition: transform 0.3s ease;
+            max-width: 300px;
+            box-shadow: 0 4px 15px rgba(0, 0, 0, 0.2);
+        `;
+        
+        // Set background color based on type
+        switch (type) {
+            case 'success':
+                notification.style.background = 'linear-gradient(135deg, #28a745 0%, #218838 100%)';
+                break;
+            case 'error':
+                notification.style.background = 'linear-gradient(135deg, #dc3545 0%, #c82333 100%)';
+                break;
+            default:
+                notification.style.background = 'linear-gradient(135deg, #17a2b8 0%, #138496 100%)';
+        }
+        
+        // Add to page
+        document.body.appendChild(notification);
+        
+        // Animate in
+        setTimeout(() => {
+            notification.style.transform = 'translateX(0)';
+        }, 100);
+        
+        // Remove after 3 seconds
+        setTimeout(() => {
+            notification.style.transform = 'translateX(100%)';
+            setTimeout(() => {
+                if (notification.parentNode) {
+                    notification.parentNode.removeChild(notification);
+                }
+            }, 300);
+        }, 3000);
+    }
+
+    // Method to get all form data as an object (useful for saving/loading)
+    getFormData() {
+        return this.reportSchema.getFormData();
+    }
+
+    // Method to load form data from an object; returns values that could not be restored
+    loadFormData(data) {
+        const skipped = this.reportSchema.loadFormData(data);
+        this.updateSpecimenSections();
+        this.reconcileAgeCellularity();
+        this.validateAccession();
+        return skipped;
+    }
+
+    // Replace the form with a case file's data (upgraded by upgradeCaseFile)
+    loadCaseFile(file) {
+        this.resetForm();
+        const skipped = this.loadFormData(file.data);
+        this.formHistory.reset();
+        if (skipped.length > 0) {
+            console.warn('Saved values not restored:', skipped);
+            this.showNotification(`${skipped.length} saved ${skipped.length === 1 ? 'value' : 'values'} could not be restored: ${skipped.slice(0, 3).join('; ')}${skipped.length > 3 ? '…' : ''}`, 'error');
+        }
+    }
+
+    // Auto-save functionality
+    setupAutoSave() {
+        // Save form data every 30 seconds
+        setInterval(() => this.updateFormData(), 30000);
+
+        // Encrypted drafts are restored only after the passphrase is entered
+        window.draftVault.whenUnlocked().then(() => this.restoreDrafts());
+    }
+
+    // Reopen the last case from the case list, or the single local draft
+    restoreDrafts() {
+        if (window.caseWorkspace) {
+            window.caseWorkspace.open().then(opened => {
+                if (!opened) this.restoreLocalDraft();
+            });
+        } else {
+            this.restoreLocalDraft();
+        }
+    }
+
+    // Take the open case off screen when drafts are locked
+    closeDrafts() {
+        if (window.caseWorkspace) {
+            window.caseWorkspace.close();
+        }
+        window.tabSync.hideConflict();
+        this.resetForm();
+        this.formHistory.reset();
+    }
+
+    async restoreLocalDraft() {
+        const savedData = localStorage.getItem(DRAFT_STORAGE_KEY);
+        if (savedData) {
+            try {
+                const saved = JSON.parse(savedData);
+                if (window.draftVault.isExpired(saved.savedAt)) {
+                    localStorage.removeItem(DRAFT_STORAGE_KEY);
+                    this.showNotification('The saved draft was past the retention window and has been deleted', 'info');
+                    return;
+                }
+                this.loadCaseFile(upgradeCaseFile(await window.draftVault.unseal(saved)));
+                this.lastDraftJson = JSON.stringify(this.getFormData());
+                this.showNotification('Previous form data restored', 'info');
+            } catch (err) {
+                console.error('Error loading saved data:', err);
+            }
+        }
+    }
+}
+
+// Epic Data Parser Global Functions
+window.epicParser = new EpicDataParser();
+
+function parseEpicData() {
+    const inputText = document.getElementById('epic-data-input').value;
+    const resultsDiv = document.getElementById('parsing-results');
+    const cbcDiv = document.getElementById('cbc-values');
+    const autoDiffDiv = document.getElementById('auto-diff-values');
+    const manualDiffDiv = document.getElementById('manual-diff-values');
+    const morphologyDiv = document.getElementById('morphology-values');
+    const errorsDiv = document.getElementById('parsing-errors');
+    const errorMessages = document.getElementById('error-messages');
+
+    if (!inputText.trim()) {
+        alert('Please enter some Epic data to parse.');
+        return;
+    }
+
+    try {
+        const age = parseFloat(document.getElementById('patient-age').value);
+        const sexInput = document.querySelector('input[name="patient-sex"]:checked');
+        window.epicParser.setPatientContext({
+            sex: sexInput ? sexInput.value : null,
+            age: isNaN(age) ? null : age
+        });
+
+        const parsed = window.epicParser.parseAll(inputText);
+        
+        // Show results section
+        resultsDiv.style.display = 'block';
+        
+        // Display CBC results
+        cbcDiv.innerHTML = '';
+        const cbcKeys = Object.keys(parsed.cbc).filter(key => !['flags', 'ranges'].includes(key));
+        if (cbcKeys.length > 0) {
+            cbcKeys.forEach(key => {
+                const value = parsed.cbc[key];
+                const flag = parsed.cbc.flags && parsed.cbc.flags[key];
+                const range = parsed.cbc.ranges && parsed.cbc.ranges[key];
+                const span = document.createElement('span');
+                span.className = `parsed-value${flag ? ` ${getFlagClass(flag)}` : ''}`;
+                span.innerHTML = `<strong>${key.toUpperCase()}:</strong> ${value}${flag ? ` <em>(${flag})</em>` : ''}`;
+                if (range) {
+                    span.title = `Reference range: ${formatReferenceRange(range)}${range.source === 'default' ? ' (default)' : ''}`;
+                }
+                cbcDiv.appendChild(span);
+            });
+        } else {
+            cbcDiv.innerHTML = '<em>No CBC data found</em>';
+        }
+
+        // Display every draw when the paste covers several collection dates
+        if (parsed.cbcSeries && parsed.cbcSeries.length > 1) {
+            cbcDiv.appendChild(renderCBCSeriesTable(parsed.cbcSeries));
+        }
+        
+        // Display the automated and manual differentials side by side
+        const diffData = parsed.differential;
+        const notPerformed = diffData.diffMethod && diffData.diffMethod.includes('not performed');
+        renderDifferentialSet(autoDiffDiv, 'Automated Differential', diffData.auto, notPerformed);
+        renderDifferentialSet(manualDiffDiv, 'Manual Differential', diffData.manual, notPerformed);
+
+        const discrepancyDiv = document.getElementById('diff-discrepancies');
+        if (diffData.discrepancies && diffData.discrepancies.length > 0) {
+            discrepancyDiv.style.display = 'block';
+            discrepancyDiv.innerHTML = '<strong>Auto/manual discrepancies:</strong>' + diffData.discrepancies
+                .map(discrepancy => `<div>${discrepancy}</div>`)
+                .join('');
+        } else {
+            discrepancyDiv.style.display = 'none';
+        }
+        
+        // Display Morphology results
+        morphologyDiv.innerHTML = '<h5>Morphology & Special Findings:</h5>';
+        const morphData = parsed.morphology;
+        
+        if (Object.keys(morphData).length > 0) {
+            Object.keys(morphData).forEach(key => {
+                const value = morphData[key];
+                const span = document.createElement('span');
+                span.className = 'parsed-value';
+                if (key === 'nrbc') {
+                    span.innerHTML = `<strong>NRBC:</strong> ${value}%`;
+                } else {
+                    span.innerHTML = `<strong>${key.replace(/([A-Z])/g, ' $1').trim()}:</strong> ${value}`;
+                }
+                morphologyDiv.appendChild(span);
+            });
+        } else {
+            morphologyDiv.innerHTML += '<em>No morphology findings</em>';
+        }
+        
+        // Display ancillary laboratory results
+        const labsDiv = document.getElementById('lab-values');
+        labsDiv.innerHTML = '';
+        const labKeys = Object.keys(parsed.labs);
+        if (labKeys.length > 0) {
+            labKeys.forEach(key => {
+                const result = parsed.labs[key];
+                const span = document.createElement('span');
+                span.className = `parsed-value${result.flag ? ` ${getFlagClass(result.flag)}` : ''}`;
+                span.innerHTML = `<strong>${window.epicParser.labPatterns[key].label}:</strong> ${formatLabValue(key, result, window.epicParser.labPatterns[key])}`;
+                labsDiv.appendChild(span);
+            });
+        } else {
+            labsDiv.innerHTML = '<em>No laboratory data found</em>';
+        }
+
+        // Hide errors if parsing was successful
+        errorsDiv.style.display = 'none';
+
+        // Show warnings such as absolute counts that disagree with the WBC
+        const warningsDiv = document.getElementById('parsing-warnings');
+        if (parsed.warnings && parsed.warnings.length > 0) {
+            warningsDiv.style.display = 'block';
+            document.getElementById('warning-messages').innerHTML = parsed.warnings
+                .map(warning => `<div>${warning}</div>`)
+                .join('');
+        } else {
+            warningsDiv.style.display = 'none';
+        }
+
+        // Show which lines were used, ignored or need review
+        renderParseDiagnostics(parsed.diagnostics);
+        
+        // Generate narrative paragraph
+        generateCBCParagraph(parsed);
+        generateLabParagraph(parsed);
+
+        // Pre-fill the peripheral smear from Epic morphology and the differential
+        const prefilled = prefillPeripheralSmear(parsed);
+        if (prefilled > 0 && window.marrowApp) {
+            window.marrowApp.showNotification(`Peripheral smear: ${prefilled} finding${prefilled === 1 ? '' : 's'} filled from Epic data`, 'info');
+            window.marrowApp.updateFormData();
+        }
+        
+    } catch (error) {
+        console.error('Parsing error:', error);
+        errorsDiv.style.display = 'block';
+        errorMessages.innerHTML = `<div style="color: #721c24;">Error parsing data: ${error.message}</div>`;
+    }
+}
+
+function renderDifferentialSet(container, title, set, notPerformed) {
+    container.innerHTML = `<h5>${title}:</h5>`;
+
+    if (notPerformed) {
+        container.innerHTML += '<em>Differential not performed</em>';
+        return;
+    }
+    if (!set) {
+        container.innerHTML += '<em>No differential data found</em>';
+        return;
+    }
+
+    Object.keys(set.percentages).forEach(key => {
+        const span = document.createElement('span');
+        span.className = 'parsed-value';
+        span.innerHTML = `<strong>${key.replace('_', ' ')}:</strong> ${set.percentages[key]}%`;
+        container.appendChild(span);
+    });
+
+    // Display absolute counts, marking those computed from WBC
+    if (Object.keys(set.absolute).length > 0) {
+        const absoluteDiv = document.createElement('div');
+        absoluteDiv.className = 'parsed-absolute';
+        absoluteDiv.innerHTML = '<strong>Absolute counts (K/μL):</strong> ';
+        Object.keys(set.absolute).forEach(key => {
+            const span = document.createElement('span');
+            span.className = 'parsed-value';
+            span.innerHTML = `<strong>${key.replace('_', ' ')}:</strong> ${set.absolute[key].value}${set.absolute[key].source === 'computed' ? ' <em>(calc)</em>' : ''}`;
+            absoluteDiv.appendChild(span);
+        });
+        container.appendChild(absoluteDiv);
+    }
+}
+
+function getFlagClass(flag) {
+    if (flag === 'HH' || flag === 'LL' || flag === 'C') return 'flag-critical';
+    if (flag === 'H') return 'flag-high';
+    if (flag === 'L') return 'flag-low';
+    return 'flag-abnormal';
+}
+
+function formatReferenceRange(range) {
+    if (range.low !== null && range.high !== null) return `${range.low}-${range.high}`;
+    if (range.high !== null) return `<${range.high}`;
+    return `>${range.low}`;
+}
+
+function renderCBCSeriesTable(series) {
+    const table = document.createElement('table');
+    table.className = 'cbc-series-table';
+
+    const analytes = CBC_REPORT_ORDER.filter(key => series.some(draw => draw[key] !== undefined));
+    const headerCells = series.map(draw => `<th>${draw.date || 'Undated'}${draw.time ? ` ${draw.time}` : ''}</th>`).join('');
+    const rows = analytes.map(key => {
+        const cells = series.map(draw => {
+            const flag = draw.flags && draw.flags[key];
+            const value = draw[key] !== undefined ? `${draw[key]}${flag ? ` (${flag})` : ''}` : '';
+            return `<td${flag ? ` class="${getFlagClass(flag)}"` : ''}>${value}</td>`;
+        }).join('');
+        return `<tr><th>${key.toUpperCase()}</th>${cells}</tr>`;
+    }).join('');
+
+    table.innerHTML = `<thead><tr><th></th>${headerCells}</tr></thead><tbody>${rows}</tbody>`;
+    return table;
+}
+
+// Read an exported HL7 or FHIR file into the input box and parse it
+function loadEpicDataFile(input) {
+    const file = input.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = () => {
+        document.getElementById('epic-data-input').value = reader.result;
+        parseEpicData();
+    };
+    reader.onerror = () => {
+        window.marrowApp.showNotification(`Could not read ${file.name}`, 'error');
+    };
+    reader.readAsText(file);
+    input.value = '';
+}
+
+function clearEpicData() {
+    document.getElementById('epic-data-input').value = '';
+    document.getElementById('parsing-results').style.display = 'none';
+    document.getElementById('parsing-diagnostics').style.display = 'none';
+}
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// Render the pasted text with each line highlighted by what the parser did
+// with it, followed by a list of the lines that were not used
+function renderParseDiagnostics(diagnostics) {
+    const container = document.getElementById('parsing-diagnostics');
+    if (!diagnostics) {
+        container.style.display = 'none';
+        return;
+    }
+
+    const summary = diagnostics.getSummary();
+    const total = summary.consumed + summary.ignored + summary.ambiguous;
+    document.getElementById('diagnostics-summary').innerHTML =
+        (diagnostics.format ? `${diagnostics.format} — ` : '') +
+        `${total} line${total === 1 ? '' : 's'}: ` +
+        `<span class="diag-consumed">${summary.consumed} consumed</span>, ` +
+        `<span class="diag-ignored">${summary.ignored} ignored</span>, ` +
+        `<span class="diag-ambiguous">${summary.ambiguous} ambiguous</span>`;
+
+    document.getElementById('diagnostics-source').innerHTML = diagnostics.lines
+        .map(line => {
+            const status = diagnostics.getStatus(line);
+            const details = line.issues.concat(line.mappings);
+            const title = details.length > 0 ? ` title="${escapeHtml(details.join('\n'))}"` : '';
+            return `<span class="diag-line diag-${status}"${title}>${escapeHtml(line.text) || ' '}</span>`;
+        })
+        .join('');
+
+    const needsReview = diagnostics.lines
+        .filter(line => ['ignored', 'ambiguous'].includes(diagnostics.getStatus(line)));
+    document.getElementById('diagnostics-unrecognized').innerHTML = needsReview.length > 0
+        ? '<strong>Lines not used:</strong>' + needsReview
+            .map(line => {
+                const reason = line.issues.length > 0 ? ` — ${escapeHtml(line.issues.join('; '))}` : ' — not recognized';
+                // Structured results are mapped by LOINC code, not by label
+                const teach = !diagnostics.format && diagnostics.getStatus(line) === 'ignored' &&
+                    window.epicParser.extractCellTypeLabel(line.text)
+                    ? ` <button type="button" class="btn btn-secondary diag-teach" data-line="${line.index}">Teach</button>`
+                    : '';
+                return `<div class="diag-${diagnostics.getStatus(line)}">Line ${line.index + 1}: ${escapeHtml(line.text.trim())}${reason}${teach}</div>`;
+            })
+            .join('')
+        : '<em>All lines were recognized</em>';
+
+    // "Teach" adds the line's label to the cell type alias dictionary
+    document.querySelectorAll('#diagnostics-unrecognized .diag-teach').forEach(button => {
+        button.onclick = () => {
+            const line = diagnostics.lines[parseInt(button.getAttribute('data-line'))];
+            window.cellTypeAliasManager.showTeach(window.epicParser.extractCellTypeLabel(line.text));
+        };
+    });
+
+    container.style.display = 'block';
+}
+
+// Report order for CBC analytes
+const CBC_REPORT_ORDER = ['wbc', 'rbc', 'hgb', 'hct', 'mcv', 'mch', 'mchc', 'plt', 'rdw'];
+
+// Analytes whose trajectory is commented on when several draws are pasted
+const CBC_TREND_ANALYTES = ['wbc', 'hgb', 'plt'];
+
+// 'us' (conventional) or 'si', from the Report Units choice in the parser card
+function getReportUnitStyle() {
+    const selected = document.querySelector('input[name="unit-style"]:checked');
+    return selected ? selected.value : 'us';
+}
+
+// Format a value held in its internal US conventional unit in the selected
+// report unit style, e.g. formatMeasurement('hgb', 7.2) -> "72 g/L" for SI
+function formatMeasurement(key, value) {
+    const units = ANALYTE_UNITS[key];
+    if (!units) return `${value}`;
+    if (getReportUnitStyle() !== 'si') return `${value}${units.us}`;
+
+    let converted = value * units.siFactor;
+    if (units.siDecimals !== undefined) {
+        converted = parseFloat(converted.toFixed(units.siDecimals));
+    } else {
+        converted = Math.round(converted * 100) / 100;
+    }
+    return `${converted}${units.si}`;
+}
+
+function formatCBCValue(key, value) {
+    return `${key.toUpperCase()} ${formatMeasurement(key, value)}`;
+}
+
+function isLowFlag(flag) {
+    return flag === 'L' || flag === 'LL';
+}
+
+function isHighFlag(flag) {
+    return flag === 'H' || flag === 'HH';
+}
+
+function formatList(items) {
+    if (items.length <= 2) return items.join(' and ');
+    return `${items.slice(0, -1).join(', ')}, and ${items[items.length - 1]}`;
+}
+
+// Translate H/L flags into clinical wording ("normocytic anemia",
+// "thrombocytopenia", "leukocytosis"). Anemia is typed by the MCV flag.
+function describeCBCAbnormalities(cbc) {
+    const flags = (cbc && cbc.flags) || {};
+    const findings = [];
+
+    let anemia = null;
+    if (isLowFlag(flags.hgb)) {
+        if (isLowFlag(flags.mcv)) {
+            anemia = 'microcytic anemia';
+        } else if (isHighFlag(flags.mcv)) {
+            anemia = 'macrocytic anemia';
+        } else if (cbc.mcv !== undefined) {
+            anemia = 'normocytic anemia';
+        } else {
+            anemia = 'anemia';
+        }
+    }
+
+    if (isLowFlag(flags.wbc) && anemia && isLowFlag(flags.plt)) {
+        findings.push(`pancytopenia with ${anemia}`);
+    } else {
+        if (isLowFlag(flags.wbc)) findings.push('leukopenia');
+        if (isHighFlag(flags.wbc)) findings.push('leukocytosis');
+        if (anemia) findings.push(anemia);
+        if (isLowFlag(flags.plt)) findings.push('thrombocytopenia');
+    }
+    if (isHighFlag(flags.hgb) || isHighFlag(flags.hct)) findings.push('erythrocytosis');
+    if (isHighFlag(flags.plt)) findings.push('thrombocytosis');
+
+    return findings;
+}
+
+// Manual value first, falling back to the analyzer
+function findDifferentialValue(diff, type) {
+    if (!diff) return undefined;
+    if (diff.manual && diff.manual.percentages[type] !== undefined) return diff.manual.percentages[type];
+    if (diff.auto && diff.auto.percentages[type] !== undefined) return diff.auto.percentages[type];
+    return undefined;
+}
+
+// "Absolute counts: ANC 0.4 K/μL, ALC 1.2 K/μL, AMC 1.3 K/μL, consistent
+// with severe neutropenia and monocytosis."
+function describeAbsoluteCounts(set) {
+    const absolute = (set && set.absolute) || {};
+    const countParts = [];
+    const findings = [];
+
+    Object.keys(ABSOLUTE_COUNT_THRESHOLDS).forEach(type => {
+        if (!absolute[type]) return;
+
+        const threshold = ABSOLUTE_COUNT_THRESHOLDS[type];
+        const value = absolute[type].value;
+        countParts.push(`${threshold.abbreviation} ${formatMeasurement('absolute', value)}`);
+
+        if (threshold.severeLow !== undefined && value < threshold.severeLow) {
+            findings.push(threshold.severeLowTerm);
+        } else if (threshold.low !== undefined && value < threshold.low) {
+            findings.push(threshold.lowTerm);
+        } else if (threshold.high !== undefined && value >= threshold.high) {
+            findings.push(threshold.highTerm);
+        }
+    });
+
+    if (countParts.length === 0) return '';
+
+    let text = `Absolute counts: ${countParts.join(', ')}`;
+    if (findings.length > 0) {
+        text += `, consistent with ${formatList(findings)}`;
+    }
+    return text + '.';
+}
+
+// Compare the most recent draw against the earliest draw that reports the
+// same analyte, e.g. "HGB 7.2 g/dL, down from 9.8 g/dL on 03/02/2024".
+function generateCBCTrend(series) {
+    if (!series || series.length < 2) return '';
+
+    const latest = series[0];
+    const trendParts = [];
+
+    CBC_TREND_ANALYTES.forEach(key => {
+        if (latest[key] === undefined) return;
+
+        const earlier = series.slice(1).filter(draw => draw[key] !== undefined && draw.date);
+        if (earlier.length === 0) return;
+
+        const baseline = earlier[earlier.length - 1];
+        const previous = formatMeasurement(key, baseline[key]);
+        let comparison;
+        if (latest[key] > baseline[key]) {
+            comparison = `up from ${previous} on ${baseline.date}`;
+        } else if (latest[key] < baseline[key]) {
+            comparison = `down from ${previous} on ${baseline.date}`;
+        } else {
+            comparison = `unchanged from ${baseline.date}`;
+        }
+        trendParts.push(`${formatCBCValue(key, latest[key])}, ${comparison}`);
+    });
+
+    return trendParts.length > 0 ? `Trend: ${trendParts.join('; ')}.` : '';
+}
+
+function generateCBCParagraph(parsed) {
+    let paragraph = '';
+    
+    // CBC paragraph
+    if (Object.keys(parsed.cbc).length > 0) {
+        const cbc = parsed.cbc;
+        if (cbc.date) {
+            paragraph += `CBC results from ${cbc.date} are as follows: `;
+        } else {
+            paragraph += 'CBC results are as follows: ';
+        }
+        
+        const cbcParts = [];
+        CBC_REPORT_ORDER.forEach(key => {
+            if (cbc[key]) cbcParts.push(formatCBCValue(key, cbc[key]));
+        });
+        
+        paragraph += cbcParts.join(', ') + '.';
+
+        const abnormalities = describeCBCAbnormalities(cbc);
+        if (abnormalities.length > 0) {
+            paragraph += ` The CBC is notable for ${formatList(abnormalities)}.`;
+        }
+
+        const trendText = generateCBCTrend(parsed.cbcSeries);
+        if (trendText) {
+            paragraph += ` ${trendText}`;
+        }
+    }
+    
+    // Differential paragraph: cite the manual differential when one exists
+    const diff = parsed.differential;
+    const preferred = diff ? (diff.manual || diff.auto) : null;
+    const diffParts = [];
+    // Written only when there is something to list (a differential may have only absolute counts)
+    let diffOpening = null;
+    if (diff && diff.diffMethod && diff.diffMethod.includes('not performed')) {
+        paragraph += ` Differential was not performed due to low WBC count.`;
+    } else if (preferred) {
+        diffOpening = ` ${preferred.method} differential ${preferred === diff.manual ? 'demonstrates' : 'shows'} `;
+
+        // Order cell types for better readability
+        const orderedTypes = ['neutrophils', 'bands', 'lymphocytes', 'atypical_lymphocytes', 'monocytes', 
+                            'eosinophils', 'basophils', 'metamyelocytes', 'myelocytes', 'promyelocytes', 'blasts', 'plasma_cells', 'other'];
+        
+        orderedTypes.forEach(type => {
+            if (preferred.percentages[type] !== undefined) {
+                const displayName = type.replace('_', ' ');
+                diffParts.push(`${preferred.percentages[type]}% ${displayName}`);
+            }
+        });
+    }
+    
+    // Include special differential findings and morphology
+    const morph = parsed.morphology;
+    const morphParts = [];
+    
+    // Add immature granulocytes from differential
+    const immatureGranulocytes = findDifferentialValue(diff, 'immature_granulocytes');
+    if (immatureGranulocytes !== undefined) {
+        morphParts.push(`${immatureGranulocytes}% immature granulocytes`);
+    }
+    
+    // Add NRBC from differential or morphology with improved formatting
+    const nrbc = findDifferentialValue(diff, 'nrbc');
+    if (nrbc !== undefined) {
+        morphParts.push(`${nrbc}% NRBCs`);
+    } else if (morph && morph.nrbc) {
+        morphParts.push(`${morph.nrbc}% NRBCs`);
+    }
+    
+    // Other morphology findings
+    if (morph && Object.keys(morph).length > 0) {
+        if (morph.toxicGranulation && morph.toxicGranulation.toLowerCase() === 'present') {
+            morphParts.push('toxic granulation');
+        }
+        if (morph.giantPlatelets && morph.giantPlatelets.toLowerCase() === 'present') {
+            morphParts.push('giant platelets');
+        }
+        if (morph.atypicalLymphs) {
+            morphParts.push(`${morph.atypicalLymphs}% atypical/reactive lymphocytes`);
+        }
+        if (morph.rbcMorph && morph.rbcMorph.toLowerCase() !== 'normal' && morph.rbcMorph.toLowerCase() !== 'completed') {
+            morphParts.push(`RBC morphology: ${morph.rbcMorph.toLowerCase()}`);
+        }
+    }
+    
+    if (diffOpening && diffParts.length + morphParts.length > 0) {
+        paragraph += diffOpening + [...diffParts, ...morphParts].join(', ') + '.';
+    } else if (morphParts.length > 0) {
+        paragraph += ` ${morphParts.join(', ')}.`;
+    }
+
+    if (diff && diff.discrepancies && diff.discrepancies.length > 0) {
+        paragraph += ` Discrepancies between the manual and automated differentials: ${diff.discrepancies.join('; ')}.`;
+    }
+    
+    const absoluteText = describeAbsoluteCounts(preferred);
+    if (absoluteText) {
+        paragraph += ` ${absoluteText}`;
+    }
+    
+    // Store the paragraph globally so it can be used in report generation
+    window.cbcParagraph = paragraph;
+    
+    // Add a section to show the generated paragraph
+    let paragraphDiv = document.getElementById('generated-paragraph');
+    if (!paragraphDiv) {
+        paragraphDiv = document.createElement('div');
+        paragraphDiv.id = 'generated-paragraph';
+        paragraphDiv.className = 'parsed-section';
+        paragraphDiv.innerHTML = '<h5>Generated Paragraph:</h5><div id="paragraph-text"></div>';
+        document.getElementById('parsing-results').appendChild(paragraphDiv);
+    }
+    
+    document.getElementById('paragraph-text').innerHTML = `<div style="font-style: italic; padding: 8px; background: #e7f3ff; border: 1px solid #b3d9ff; border-radius: 4px;">${paragraph}</div>`;
+}
+
+// Ancillary laboratory tests grouped into the clauses of the paragraph
+const LAB_PARAGRAPH_GROUPS = [
+    ['ferritin', 'iron', 'tibc', 'transferrinSaturation'],
+    ['b12', 'folate'],
+    ['retic', 'reticAbsolute', 'ldh', 'haptoglobin'],
+    ['mSpike', 'ife', 'kappaFlc', 'lambdaFlc', 'flcRatio']
+];
+
+function formatLabValue(key, result, definition) {
+    if (definition.text) return result.type || result.text;
+    if (result.value === null) return result.text;
+
+    let text = `${result.comparator || ''}${formatMeasurement(key, result.value)}`;
+    if (result.flag) text += ` (${result.flag})`;
+    if (result.source === 'computed') text += ' (calculated)';
+    return text;
+}
+
+function formatLabResult(key, result, definition) {
+    if (key === 'ife') {
+        if (result.type === 'negative') return 'serum immunofixation negative for a monoclonal protein';
+        if (result.type) return `serum immunofixation showing ${result.type}`;
+        return `serum immunofixation: ${result.text}`;
+    }
+    return `${definition.label} ${formatLabValue(key, result, definition)}`;
+}
+
+function generateLabParagraph(parsed) {
+    const labs = parsed.labs || {};
+    const definitions = window.epicParser.labPatterns;
+    let paragraph = '';
+
+    if (Object.keys(labs).length > 0) {
+        const dates = [...new Set(Object.values(labs).map(result => result.date).filter(Boolean))];
+        const clauses = LAB_PARAGRAPH_GROUPS
+            .map(group => group
+                .filter(key => labs[key])
+                .map(key => {
+                    const text = formatLabResult(key, labs[key], definitions[key]);
+                    return dates.length > 1 && labs[key].date ? `${text} on ${labs[key].date}` : text;
+                })
+                .join(', '))
+            .filter(Boolean);
+
+        paragraph = `Laboratory data${dates.length === 1 ? ` from ${dates[0]}` : ''}: ${clauses.join('; ')}.`;
+    }
+
+    // Store the paragraph globally so it can be used in report generation
+    window.labParagraph = paragraph;
+
+    let paragraphDiv = document.getElementById('generated-lab-paragraph');
+    if (!paragraphDiv) {
+        paragraphDiv = document.createElement('div');
+        paragraphDiv.id = 'generated-lab-paragraph';
+        paragraphDiv.className = 'parsed-section';
+        paragraphDiv.innerHTML = '<h5>Laboratory Data Paragraph:</h5><div id="lab-paragraph-text"></div>';
+        document.getElementById('parsing-results').appendChild(paragraphDiv);
+    }
+
+    paragraphDiv.style.display = paragraph ? 'block' : 'none';
+    document.getElementById('lab-paragraph-text').innerHTML = `<div style="font-style: italic; padding: 8px; background: #e7f3ff; border: 1px solid #b3d9ff; border-radius: 4px;">${escapeHtml(paragraph)}</div>`;
+}
+
+// Peripheral blood smear
+// Red cell findings in report order. Graded findings use a degree scale
+// (slight/moderate/marked); countable cells use a frequency scale
+// (rare/occasional/frequent). `morphology` lists the parseMorphology keys
+// used to prefill the grade.
+const PERIPHERAL_SMEAR_RBC_FINDINGS = [
+    { field: 'pb-anisopoikilocytosis', noun: 'anisopoikilocytosis', scale: 'degree', morphology: ['anisocytosis', 'poikilocytosis'] },
+    { field: 'pb-dacrocytes', noun: 'dacrocytes', scale: 'frequency', morphology: ['dacrocytes'] },
+    { field: 'pb-schistocytes', noun: 'schistocytes', scale: 'frequency', morphology: ['schistocytes'], countField: 'pb-schistocytes-hpf' },
+    { field: 'pb-polychromasia', noun: 'polychromasia', scale: 'degree', morphology: ['polychromasia'] },
+    { field: 'pb-rouleaux', noun: 'rouleaux', scale: 'degree', morphology: ['rouleaux'] }
+];
+
+const PERIPHERAL_SMEAR_GRADES = {
+    degree: ['slight', 'moderate', 'marked'],
+    frequency: ['rare', 'occasional', 'frequent']
+};
+
+// Circulating cells, prefilled from the manual differential
+const PERIPHERAL_SMEAR_CIRCULATING_CELLS = [
+    { field: 'pb-blasts', percentField: 'pb-blasts-percent', noun: 'circulating blasts', type: 'blasts' },
+    { field: 'pb-plasma-cells', percentField: 'pb-plasma-cells-percent', noun: 'circulating plasma cells', type: 'plasma_cells' }
+];
+
+// Dysgranulopoiesis checkbox values set by Epic morphology findings
+const PERIPHERAL_SMEAR_DYSPLASIA_MORPHOLOGY = {
+    hypogranularNeutrophils: 'Hypogranular neutrophils',
+    pelgerHuet: 'Pseudo-Pelger-Huët cells (hyposegmented neutrophils)',
+    hypersegmentedNeutrophils: 'Nuclear hypersegmentation',
+    dohleBodies: 'Döhle bodies'
+};
+
+// "a or b", "a, b, or c"
+function formatAlternatives(items) {
+    if (items.length <= 2) return items.join(' or ');
+    return `${items.slice(0, -1).join(', ')}, or ${items[items.length - 1]}`;
+}
+
+// "moderate anisopoikilocytosis and rare schistocytes (2 per high-power field); no dacrocytes"
+function describePeripheralRBC() {
+    const app = window.marrowApp;
+    const present = [];
+    const absent = [];
+    PERIPHERAL_SMEAR_RBC_FINDINGS.forEach(finding => {
+        const grade = app.getSelectedRadioValue(finding.field);
+        if (!grade) return;
+        if (grade === 'absent') {
+            absent.push(finding.noun);
+            return;
+        }
+        const count = finding.countField ? app.getValue(finding.countField) : '';
+        present.push(`${grade} ${finding.noun}${count ? ` (${count} per high-power field)` : ''}`);
+    });
+
+    const clauses = [];
+    if (present.length > 0) clauses.push(formatList(present));
+    if (absent.length > 0) clauses.push(`no ${formatAlternatives(absent)}`);
+    return clauses.join('; ');
+}
+
+// "dysgranulopoiesis with hypogranular neutrophils; circulating blasts (2%); no circulating plasma cells"
+function describePeripheralWBC() {
+    const app = window.marrowApp;
+    const clauses = [];
+    const dysplasia = app.getSelectedCheckboxValues('pb-dysgranulopoiesis');
+    if (dysplasia.length > 0) {
+        clauses.push(`dysgranulopoiesis with ${formatList(dysplasia.map(feature => feature.charAt(0).toLowerCase() + feature.slice(1)))}`);
+    }
+
+    const absent = [];
+    PERIPHERAL_SMEAR_CIRCULATING_CELLS.forEach(cell => {
+        const value = app.getSelectedRadioValue(cell.field);
+        if (value === 'present') {
+            const percent = app.getValue(cell.percentField);
+            clauses.push(`${cell.noun}${percent ? ` (${REPORT_FILTERS.percent(percent)})` : ''}`);
+        } else if (value === 'absent') {
+            absent.push(cell.noun);
+        }
+    });
+    if (absent.length > 0) clauses.push(`no ${formatAlternatives(absent)}`);
+    return clauses.join('; ');
+}
+
+// "occasional large forms, hypogranular"
+function describePeripheralPlatelets() {
+    const app = window.marrowApp;
+    return [app.getSelectedRadioValue('pb-platelet-size'), app.getSelectedRadioValue('pb-platelet-granularity')]
+        .filter(Boolean)
+        .join(', ');
+}
+
+// Map an Epic morphology result ("2+", "Few", "Present", "None") onto a grade scale
+function gradeMorphologyResult(value, scale) {
+    const text = String(value).trim().toLowerCase();
+    const grades = PERIPHERAL_SMEAR_GRADES[scale];
+    if (/^(none|absent|neg|not|no\b)/.test(text)) return 'absent';
+    if (/^(1\+|slight|mild|few|rare)/.test(text)) return grades[0];
+    if (/^(2\+|mod|occasional|some)/.test(text)) return grades[1];
+    if (/^([34]\+|marked|severe|many|numerous|frequent)/.test(text)) return grades[2];
+    if (/^(present|pos|yes)/.test(text)) return grades[scale === 'degree' ? 0 : 1];
+    return null;
+}
+
+// Fill peripheral smear fields the user has not set from parsed Epic
+// morphology and the differential. Returns the number of fields filled.
+function prefillPeripheralSmear(parsed) {
+    const morphology = parsed.morphology || {};
+    let filled = 0;
+
+    const setRadio = (name, value) => {
+        if (!value || document.querySelector(`input[name="${name}"]:checked`)) return;
+        const radio = document.querySelector(`input[name="${name}"][value="${value}"]`);
+        if (radio) {
+            radio.checked = true;
+            filled++;
+        }
+    };
+    const setText = (id, value) => {
+        const element = document.getElementById(id);
+        if (element && !element.value.trim() && value !== undefined && value !== null) {
+            element.value = value;
+        }
+    };
+
+    PERIPHERAL_SMEAR_RBC_FINDINGS.forEach(finding => {
+        const grades = finding.morphology
+            .filter(key => morphology[key] !== undefined)
+            .map(key => gradeMorphologyResult(morphology[key], finding.scale))
+            .filter(Boolean);
+        if (grades.length === 0) return;
+        // Anisocytosis and poikilocytosis combine at the higher grade
+        const scale = ['absent', ...PERIPHERAL_SMEAR_GRADES[finding.scale]];
+        setRadio(finding.field, grades.reduce((highest, grade) => scale.indexOf(grade) > scale.indexOf(highest) ? grade : highest));
+    });
+
+    Object.keys(PERIPHERAL_SMEAR_DYSPLASIA_MORPHOLOGY).forEach(key => {
+        if (morphology[key] === undefined || !['rare', 'occasional', 'frequent'].includes(gradeMorphologyResult(morphology[key], 'frequency'))) return;
+        const checkbox = document.querySelector(`input[name="pb-dysgranulopoiesis"][value="${PERIPHERAL_SMEAR_DYSPLASIA_MORPHOLOGY[key]}"]`);
+        if (checkbox && !checkbox.checked) {
+            checkbox.checked = true;
+            filled++;
+        }
+    });
+
+    PERIPHERAL_SMEAR_CIRCULATING_CELLS.forEach(cell => {
+        const percentage = findDifferentialValue(parsed.differential, cell.type);
+        if (percentage === undefined) return;
+        if (percentage > 0 && !document.querySelector(`input[name="${cell.field}"]:checked`)) {
+            setText(cell.percentField, String(percentage));
+        }
+        setRadio(cell.field, percentage > 0 ? 'present' : 'absent');
+    });
+
+    if (morphology.giantPlatelets !== undefined && gradeMorphologyResult(morphology.giantPlatelets, 'frequency') !== 'absent') {
+        setRadio('pb-platelet-size', 'giant forms present');
+    } else if (morphology.largePlatelets !== undefined) {
+        const grade = gradeMorphologyResult(morphology.largePlatelets, 'frequency');
+        setRadio('pb-platelet-size', grade === 'frequent' ? 'frequent large forms' : (grade && grade !== 'absent' ? 'occasional large forms' : null));
+    }
+    if (morphology.hypogranularPlatelets !== undefined) {
+        const grade = gradeMorphologyResult(morphology.hypogranularPlatelets, 'frequency');
+        setRadio('pb-platelet-granularity', grade && grade !== 'absent' ? 'hypogranular' : null);
+    }
+
+    return filled;
+}
+
+// Loneman Quick Texts data parsed from CSV
+const LONEMAN_QUICK_TEXTS = {
+    // Parsed from Loneman-Quick_texts.csv
+    'mmneg': 'An immunostain for CD138 does not reveal any definitive plasma cells. Too few plasma cells are present to evaluate by in-situ hybridization for kappa and lambda.',
+    'mmnegtop': '__cellular marrow with maturing trilineage hematopoiesis. There is no morphologic  or immunophenotypic evidence of a plasma cell neoplasm.',
+    'mmpos': 'An immunostain for CD138 highlights singly scattered and small, perivascular clusters of plasma cells (<5% of cells) which are monotypic for kappa by in-situ hybridization for kappa and lambda light chains.',
+    'noplas': 'No circulating plasma cells are seen.',
+    'cyclinneg': 'Cyclin D1 is negative in plasma cells.',
+    'plasasp': 'Plasma cells: Medium- to large-sized cells with round nuclei, condensed chromatin, and abundant cytoplasm. Occasional binucleate forms are seen.',
+    'corrplas': 'COMMENT: Clinical, radiographic, and laboratory correlation are required for definitive classification.',
+    'congoneg': 'A Congo red stain is negative for amyloid.',
+    'congopos': 'A Congo red stain highlights perivascular amyloid deposition.',
+    'knownmm': 'Involvement by the patient\'s known PLASMA CELL NEOPLASM.',
+    'mmcyto': 'Cytology: Intermediate- to large-sized cells with round to irregular nuclear contours, coarse chromatin, variably prominent nucleoli, and moderate to abundant cytoplasm. Occasional multinucleated forms are seen.',
+    'mmcore': 'Architecture: Patchy interstitial infiltration.',
+    'corrcyto': 'COMMENT: Correlation with concurrent cytogenetics is recommended.',
+    'polykl': 'polytypic by in-situ hybridization for kappa and lambda light chains.',
+    'corrmol': 'COMMENT: Correlation with pending molecular and cytogenetic studies is recommended.',
+    'corrmolcyto': 'COMMENT: Correlation with pending molecular and cytogenetic studies is recommended.',
+    'corrmolcytochim': 'COMMENT: Correlation with pending molecular, cytogenetic, and chimerism studies is recommended.',
+    'corrmolcytomrd': 'COMMENT: Correlation with pending minimal residual disease, molecular, and cytogenetic studies is recommended.',
+    'cd34n': 'Blasts are not increased (<5% of cells) by a CD34 immunostain.',
+    'p53n': 'A p53 stain shows variably staining, suggestive of wild-type expression.',
+    'header': 'A-C. BONE MARROW CORE BIOPSY AND ASPIRATE SMEARS, PERIPHERAL BLOOD SMEAR:',
+    'lsbc': 'left-shifted but complete.',
+    'limitedbx': 'Limited; predominantly blood and soft tissue with only a small area of evaluable marrow.',
+    'fewnormal': 'Normal hematopoietic elements are markedly decreased and [cannot be adequately evaluated]/[difficult to evaluate]',
+    'nonheme': 'Note: Most of the cellularity consists of stromal cells; histiocytes (including frequent hemosiderin-laden cells); lymphocytes; and singly scattered and small, perivascular aggregates of mature-appearing plasma cells. The lymphocytes are seen singly scattered in the interstitium and in occasional small, interstitial aggregates. Lymphocytes appear  small- to intermediate-sized with round to irregular nuclear contours, condensed to moderately dispersed chromatin, inconspicuous nucleoli, and scant cytoplasm.',
+    'nodx': 'No morphologic or flow cytometric  features of the patient\'s known ___ are seen.',
+    'altcell': 'A recent study has shown that marrow cellularity declines with age at a slower rate than previously assumed, and the mean cellularity for this patient\'s age group is ~44% (standard deviation ~11%, PMID: 37904278).',
+    'mgkmf': 'with frequent tight clustering, occasional paratrabecular localization, and exhibiting a morphologic spectrum, from hypolobated to hyperlobated forms and including occasional bulbous, hyperchromatic cells.',
+    'mdsmpn': 'with focal clustering and exhibiting morphologic heterogeneity: some cells are overtly dysplastic, including small, hypolobated forms and occasional cells with separated nuclear lobes. Other cells are atypical, including hyperlobated forms and occasional bulbous, hyperchromatic cells with high N:C ratio.',
+    'mgknorm': 'adequate in number and with overall normal morphology.',
+    'blastcore': 'Architecture: Diffuse sheets. Cytology: Predominantly intermediate-sized cells with ovoid to irregular nuclei, finely dispersed chromatin, variably prominent nucleoli, and scant to moderate amounts of cytoplasm.',
+    'inadeq': 'Note: The aspirate smear(s) and touch prep contain inadequate numbers of maturing hematopoietic elements for cellular enumeration or morphologic evaluation.',
+    'celllimit': 'Maturing myeloids and erythroids are markedly decreased but without overt morphologic abnormalities.',
+    'feneg': 'adequate storage iron. Ring sideroblasts do not appear increased.',
+    'felow': 'Storage iron appears decreased, correlation with serum iron studies recommended.',
+    'mdys': 'dysplastic, with hypogranular and hyposegmented cells.',
+    'edys': 'dysplastic, with occasional nuclear-cytoplasmic asynchrony and multinucleated cells.',
+    'mgkdys': 'dysplastic, with hypolobated forms and occasional cells with separated nuclear lobes.',
+    'blastasp': 'Predominantly medium-sized cells with round to irregular nuclear countours, finely dispersed chromatin, prominent nucleoli, and scant to moderate basophilic cytoplasm with occasional sparse granulation',
+    'pbsleb': 'red cell anisopoikilocytosis with frequent dacrocytes and occasional nucleated red cells; thrombocytopenia with occasional large platelets; and maturing and left-shifted myeloids, including occasional blasts, consistent with an leukoerythroblastic reaction.',
+    'pbsmds': 'red cell anisopoikilocytosis; thrombocytopenia with occasional large platelets; and occasional hypogranular and hyposegmented neutrophils, including pseudo-Pelger-Huet cells',
+    'lplac': 'Extensive interstitial infiltration by predominantly small lymphocytes with round to slightly irregular nuclei, moderately dispersed chromatin, inconspicuous nucleoli, and scant cytoplasm; a subset of plasmacytoid cells contain moderate amounts of cytoplasm with eccentric nuclei. Admixed plasma cells are also seen.',
+    'cllac': 'Lymphocytes: Large paratrabecular aggregates of small cells with round to slightly irregular nuclei, clumped chromatin, inconspicuous nucleoli, and scant cytoplasm. An immunostain reveals the cells to be B cells (PAX5+) with aberrant expression of CD5 and which constitute >90% of the cellularity.',
+    'cllasp': 'Lymphocytes: Small- to medium-sized cells with round to slightly irregular nuclei, clumped to moderately dispersed chromatin, inconspicuous nucleoli, and scant cytoplasm.',
+    'knownmn': 'Involvement by the patient\'s known MYELOID NEOPLASM.'
+};
+
+// Text Expansion System
+class TextExpansionSystem {
+    constructor() {
+        this.quickTexts = LONEMAN_QUICK_TEXTS;
+        this.setupEventListeners();
+        this.createHelpModal();
+        this.createFloatingHelpButton();
+    }
+
+    setupEventListeners() {
+        // Add F8 key listener to all text areas and text inputs
+        document.addEventListener('keydown', (event) => {
+            if (event.key === 'F8') {
+                event.preventDefault();
+                this.handleTextExpansion(event.target);
+            }
+        });
+    }
+
+    handleTextExpansion(targetElement) {
+        // Check if the target is a text input or textarea
+        if (!this.isTextInputElement(targetElement)) {
+            return;
+        }
+
+        const cursorPosition = targetElement.selectionStart;
+        const textBeforeCursor = targetElement.value.substring(0, cursorPosition);
+        
+        // Find the word immediately before the cursor
+        const wordMatch = textBeforeCursor.match(/\S+$/);
+        if (!wordMatch) {
+            return;
+        }
+
+        const word = wordMatch[0];
+        const wordStartPosition = cursorPosition - word.length;
+        
+        // Look for matching code (case insensitive)
+        const matchingCode = this.findMatchingCode(word);
+        if (matchingCode) {
+            const expandedText = this.quickTexts[matchingCode];
+            
+            // Replace the word with the expanded text
+            const textBefore = targetElement.value.substring(0, wordStartPosition);
+            const textAfter = targetElement.value.substring(cursorPosition);
+            
+            targetElement.value = textBefore + expandedText + textAfter;
+            
+            // Position cursor at the end of the expanded text
+            const newCursorPosition = wordStartPosition + expandedText.length;
+            targetElement.selectionStart = newCursorPosition;
+            targetElement.selectionEnd = newCursorPosition;
+            
+            // Trigger input event to update any form handling
+            targetElement.dispatchEvent(new Event('input', { bubbles: true }));
+        }
+    }
+
+    isTextInputElement(element) {
+        return element && (
+            element.tagName === 'TEXTAREA' ||
+            (element.tagName === 'INPUT' && element.type === 'text')
+        );
+    }
+
+    findMatchingCode(word) {
+        const lowerWord = word.toLowerCase();
+        // Check for exact match first
+        if (this.quickTexts[lowerWord]) {
+            return lowerWord;
+        }
+        
+        // Check all keys for case-insensitive match
+        for (const code in this.quickTexts) {
+            if (code.toLowerCase() === lowerWord) {
+                return code;
+            }
+        }
+        
+        return null;
+    }
+
+
+
+    createHelpModal() {
+        const modal = document.createElement('div');
+        modal.id = 'text-expansion-help-modal';
+        modal.className = 'text-expansion-modal';
+        modal.style.cssText = `
+            display: none;
+            position: fixed;
+            z-index: 10001;
+            left: 0;
+            top: 0;
+            width: 100%;
+            height: 100%;
+            background-color: rgba(0,0,0,0.5);
+            backdrop-filter: blur(4px);
+        `;
+        
+        const modalContent = document.createElement('div');
+        modalContent.className = 'text-expansion-modal-content';
+        modalContent.style.cssText = `
+            background-color: white;
+            margin: 2% auto;
+            padding: 20px;
+            border-radius: 12px;
+            width: 90%;
+            max-width: 900px;
+            max-height: 85vh;
+            overflow-y: auto;
+            box-shadow: 0 8px 32px rgba(0,0,0,0.2);
+            position: relative;
+        `;
+        
+        // Create modal header
+        const header = document.createElement('div');
+        header.style.cssText = `
+            display: flex;
+            justify-content: space-between;
+            align-items: center;
+            margin-bottom: 20px;
+            border-bottom: 2px solid #f0f0f0;
+            padding-bottom: 15px;
+        `;
+        
+        const title = document.createElement('h2');
+        title.textContent = 'Text Expansion Reference';
+        title.style.cssText = `
+            color: #2c3e50;
+            margin: 0;
+            font-size: 1.5rem;
+        `;
+        
+        const closeButton = document.createElement('button');
+        closeButton.innerHTML = '×';
+        closeButton.style.cssText = `
+            background: none;
+            border: none;
+            font-size: 2rem;
+            cursor: pointer;
+            color: #666;
+            padding: 0;
+            width: 32px;
+            height: 32px;
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            border-radius: 50%;
+            transition: all 0.2s ease;
+        `;
+        closeButton.onmouseover = () => closeButton.style.background = '#f0f0f0';
+        closeButton.onmouseout = () => closeButton.style.background = 'none';
+        closeButton.onclick = () => this.hideHelpModal();
+        
+        header.appendChild(title);
+        header.appendChild(closeButton);
+        
+        // Create instructions
+        const instructions = document.createElement('div');
+        instructions.innerHTML = `
+            <div style="background: #e3f2fd; padding: 12px; border-radius: 6px; margin-bottom: 20px; border-left: 4px solid #2196F3;">
+                <strong>How to use:</strong> Type any CODE (case insensitive) and press <kbd style="background: #f5f5f5; padding: 2px 6px; border-radius: 3px; border: 1px solid #ccc;">F8</kbd> to expand it to the full Comment text.
+            </div>
+        `;
+        
+        // Create search box
+        const searchContainer = document.createElement('div');
+        searchContainer.style.marginBottom = '20px';
+        
+        const searchInput = document.createElement('input');
+        searchInput.type = 'text';
+        searchInput.placeholder = 'Search codes or comments...';
+        searchInput.style.cssText = `
+            width: 100%;
+            padding: 10px;
+            border: 2px solid #e1e8ed;
+            border-radius: 6px;
+            font-size: 1rem;
+            box-sizing: border-box;
+        `;
+        
+        searchContainer.appendChild(searchInput);
+        
+        // Create expansions table
+        const tableContainer = document.createElement('div');
+        tableContainer.style.cssText = `
+            max-height: 400px;
+            overflow-y: auto;
+            border: 1px solid #e1e8ed;
+            border-radius: 6px;
+        `;
+        
+        const table = document.createElement('table');
+        table.style.cssText = `
+            width: 100%;
+            border-collapse: collapse;
+            font-size: 0.9rem;
+        `;
+        
+        // Table header
+        const thead = document.createElement('thead');
+        thead.innerHTML = `
+            <tr style="background: #f8f9fa;">
+                <th style="padding: 12px; text-align: left; border-bottom: 2px solid #dee2e6; font-weight: 600; color: #495057; width: 150px;">CODE</th>
+                <th style="padding: 12px; text-align: left; border-bottom: 2px solid #dee2e6; font-weight: 600; color: #495057;">COMMENT</th>
+            </tr>
+        `;
+        table.appendChild(thead);
+        
+        // Table body
+        const tbody = document.createElement('tbody');
+        tbody.id = 'expansions-table-body';
+        
+        this.populateExpansionsTable(tbody);
+        table.appendChild(tbody);
+        tableContainer.appendChild(table);
+        
+        // Search functionality
+        searchInput.addEventListener('input', () => {
+            this.filterExpansions(searchInput.value.toLowerCase(), tbody);
+        });
+        
+        modalContent.appendChild(header);
+        modalContent.appendChild(instructions);
+        modalContent.appendChild(searchContainer);
+        modalContent.appendChild(tableContainer);
+        modal.appendChild(modalContent);
+        
+        // Close modal when clicking outside
+        modal.addEventListener('click', (event) => {
+            if (event.target === modal) {
+                this.hideHelpModal();
+            }
+        });
+        
+        // Close modal with Escape key
+        document.addEventListener('keydown', (event) => {
+            if (event.key === 'Escape' && modal.style.display === 'block') {
+                this.hideHelpModal();
+            }
+        });
+        
+        document.body.appendChild(modal);
+    }
+
+    populateExpansionsTable(tbody) {
+        tbody.innerHTML = '';
+        
+        // Sort codes alphabetically
+        const sortedCodes = Object.keys(this.quickTexts).sort();
+        
+        sortedCodes.forEach((code, index) => {
+            const row = document.createElement('tr');
+            row.style.cssText = `
+                ${index % 2 === 0 ? 'background: #fff;' : 'background: #f8f9fa;'}
+                transition: background-color 0.2s ease;
+            `;
+            row.onmouseover = () => row.style.background = '#e3f2fd';
+            row.onmouseout = () => row.style.background = index % 2 === 0 ? '#fff' : '#f8f9fa';
+            
+            const comment = this.quickTexts[code];
+            row.innerHTML = `
+                <td style="padding: 10px; border-bottom: 1px solid #e1e8ed; font-family: 'Courier New', monospace; font-weight: 600; color: #2c3e50; vertical-align: top;">${code.toUpperCase()}</td>
+                <td style="padding: 10px; border-bottom: 1px solid #e1e8ed; line-height: 1.4; color: #495057;">${comment}</td>
+            `;
+            
+            tbody.appendChild(row);
+        });
+    }
+
+    filterExpansions(searchTerm, tbody) {
+        const rows = tbody.querySelectorAll('tr');
+        
+        rows.forEach(row => {
+            const code = row.querySelector('td:first-child').textContent.toLowerCase();
+            const comment = row.querySelector('td:last-child').textContent.toLowerCase();
+            
+            if (code.includes(searchTerm) || comment.includes(searchTerm)) {
+                row.style.display = '';
+            } else {
+                row.style.display = 'none';
+            }
+        });
+    }
+
+    createFloatingHelpButton() {
+        const button = document.createElement('button');
+        button.id = 'floating-help-button';
+        button.innerHTML = '❓';
+        button.title = 'Show Text Expansion Help (F8 to expand codes)';
+        button.style.cssText = `
+            position: fixed;
+            bottom: 30px;
+            right: 30px;
+            width: 56px;
+            height: 56px;
+            border-radius: 50%;
+            background: linear-gradient(135deg, #FF6B6B 0%, #ee5a52 100%);
+            border: none;
+            font-size: 1.5rem;
+            color: white;
+            cursor: pointer;
+            box-shadow: 0 4px 16px rgba(255, 107, 107, 0.4);
+            z-index: 1000;
+            transition: all 0.3s ease;
+            display: flex;
+            align-items: center;
+            justify-content: center;
+        `;
+        
+        button.onmouseover = () => {
+            button.style.transform = 'scale(1.1)';
+            button.style.boxShadow = '0 6px 20px rgba(255, 107, 107, 0.6)';
+        };
+        
+        button.onmouseout = () => {
+            button.style.transform = 'scale(1)';
+            button.style.boxShadow = '0 4px 16px rgba(255, 107, 107, 0.4)';
+        };
+        
+        button.onclick = () => this.showHelpModal();
+        
+        document.body.appendChild(button);
+    }
+
+    showHelpModal() {
+        const modal = document.getElementById('text-expansion-help-modal');
+        if (modal) {
+            modal.style.display = 'block';
+            // Focus the search input
+            const searchInput = modal.querySelector('input[type="text"]');
+            if (searchInput) {
+                setTimeout(() => searchInput.focus(), 100);
+            }
+        }
+    }
+
+    hideHelpModal() {
+        const modal = document.getElementById('text-expansion-help-modal');
+        if (modal) {
+            modal.style.display = 'none';
+        }
+    }
+}
+
+// Alias manager modal: view canonical cell types, edit their aliases and
+// share the dictionary as a JSON file
+class CellTypeAliasManager {
+    constructor(dictionary) {
+        this.dictionary = dictionary;
+        this.createModal();
+    }
+
+    createModal() {
+        const modal = document.createElement('div');
+        modal.id = 'cell-type-alias-modal';
+        modal.style.cssText = `
+            display: none;
+            position: fixed;
+            z-index: 10001;
+            left: 0;
+            top: 0;
+            width: 100%;
+            height: 100%;
+            background-color: rgba(0,0,0,0.5);
+        `;
+
+        const modalContent = document.createElement('div');
+        modalContent.style.cssText = `
+            background-color: white;
+            margin: 2% auto;
+            padding: 20px;
+            border-radius: 12px;
+            width: 90%;
+            max-width: 900px;
+            max-height: 85vh;
+            overflow-y: auto;
+            box-shadow: 0 8px 32px rgba(0,0,0,0.2);
+        `;
+        modalContent.innerHTML = `
+            <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 15px; border-bottom: 2px solid #f0f0f0; padding-bottom: 10px;">
+                <h2 style="color: #2c3e50; margin: 0; font-size: 1.5rem;">Cell Type Aliases</h2>
+                <button type="button" id="alias-close" style="background: none; border: none; font-size: 2rem; cursor: pointer; color: #666;">×</button>
+            </div>
+            <div style="background: #e3f2fd; padding: 12px; border-radius: 6px; margin-bottom: 15px; border-left: 4px solid #2196F3;">
+                Labels are matched case-insensitively. Wrap an alias in slashes to use a regular expression, e.g. <code>/^seg(mented)?\s*neut/</code>.
+            </div>
+            <div id="alias-teach" style="display: none; background: #fff3cd; padding: 12px; border-radius: 6px; margin-bottom: 15px;"></div>
+            <div class="form-row" style="margin-bottom: 15px;">
+                <button type="button" class="btn btn-secondary" id="alias-export">Export JSON</button>
+                <button type="button" class="btn btn-secondary" id="alias-import">Import JSON</button>
+                <button type="button" class="btn btn-secondary" id="alias-reset">Reset to Defaults</button>
+                <input type="file" id="alias-import-file" accept=".json,application/json" style="display: none;">
+            </div>
+            <table style="width: 100%; border-collapse: collapse; font-size: 0.9rem;">
+                <thead>
+                    <tr style="background: #f8f9fa;">
+                        <th style="padding: 10px; text-align: left; border-bottom: 2px solid #dee2e6; width: 180px;">CELL TYPE</th>
+                        <th style="padding: 10px; text-align: left; border-bottom: 2px solid #dee2e6;">ALIASES</th>
+                    </tr>
+                </thead>
+                <tbody id="alias-table-body"></tbody>
+            </table>
+        `;
+        modal.appendChild(modalContent);
+
+        modalContent.querySelector('#alias-close').onclick = () => this.hide();
+        modalContent.querySelector('#alias-export').onclick = () => this.exportAliases();
+        modalContent.querySelector('#alias-import').onclick = () => modalContent.querySelector('#alias-import-file').click();
+        modalContent.querySelector('#alias-import-file').addEventListener('change', (event) => {
+            this.importAliases(event.target.files[0]);
+            event.target.value = '';
+        });
+        modalContent.querySelector('#alias-reset').onclick = () => {
+            if (confirm('Replace all cell type aliases with the defaults?')) {
+                this.dictionary.resetToDefaults();
+                this.onAliasesChanged('Cell type aliases reset to defaults');
+            }
+        };
+
+        // Close modal when clicking outside or with Escape
+        modal.addEventListener('click', (event) => {
+            if (event.target === modal) {
+                this.hide();
+            }
+        });
+        document.addEventListener('keydown', (event) => {
+            if (event.key === 'Escape' && modal.style.display === 'block') {
+                this.hide();
+            }
+        });
+
+        document.body.appendChild(modal);
+        this.modal = modal;
+    }
+
+    populateTable() {
+        const tbody = this.modal.querySelector('#alias-table-body');
+        tbody.innerHTML = '';
+
+        this.dictionary.getCellTypes().forEach((cellType, index) => {
+            const row = document.createElement('tr');
+            row.style.background = index % 2 === 0 ? '#fff' : '#f8f9fa';
+
+            const chips = this.dictionary.aliases[cellType].map(alias => `
+                <span class="parsed-value" style="${this.dictionary.isRegexAlias(alias) ? 'font-family: \'Courier New\', monospace;' : ''}">
+                    ${escapeHtml(alias)}
+                    <button type="button" data-alias="${escapeHtml(alias)}" title="Remove alias" style="background: none; border: none; cursor: pointer; color: #dc3545;">×</button>
+                </span>
+            `).join('');
+
+            row.innerHTML = `
+                <td style="padding: 10px; border-bottom: 1px solid #e1e8ed; font-weight: 600; vertical-align: top;">${cellType.replace('_', ' ')}</td>
+                <td style="padding: 10px; border-bottom: 1px solid #e1e8ed;">
+                    ${chips}
+                    <div style="margin-top: 6px; display: flex; gap: 6px;">
+                        <input type="text" placeholder="Add alias..." style="flex: 1;">
+                        <button type="button" class="btn btn-secondary">Add</button>
+                    </div>
+                </td>
+            `;
+
+            row.querySelectorAll('button[data-alias]').forEach(button => {
+                button.onclick = () => {
+                    this.dictionary.removeAlias(cellType, button.getAttribute('data-alias'));
+                    this.onAliasesChanged();
+                };
+            });
+            const input = row.querySelector('input');
+            const addButton = row.querySelector('.btn');
+            addButton.onclick = () => this.addAlias(cellType, input.value);
+            input.addEventListener('keydown', (event) => {
+                if (event.key === 'Enter') {
+                    event.preventDefault();
+                    this.addAlias(cellType, input.value);
+                }
+            });
+
+            tbody.appendChild(row);
+        });
+    }
+
+    addAlias(cellType, alias) {
+        try {
+            this.dictionary.addAlias(cellType, alias);
+            this.onAliasesChanged(`Added "${alias.trim()}" as ${cellType.replace('_', ' ')}`);
+            return true;
+        } catch (err) {
+            window.marrowApp.showNotification(err.message, 'error');
+            return false;
+        }
+    }
+
+    // Teach a label from an unrecognized line of the last parse
+    showTeach(label) {
+        const teach = this.modal.querySelector('#alias-teach');
+        const options = this.dictionary.getCellTypes()
+            .map(cellType => `<option value="${cellType}">${cellType.replace('_', ' ')}</option>`)
+            .join('');
+        teach.innerHTML = `
+            <strong>Teach:</strong> map "<span>${escapeHtml(label)}</span>" to
+            <select id="alias-teach-type">${options}</select>
+            <button type="button" class="btn btn-primary" id="alias-teach-add">Add Alias</button>
+        `;
+        teach.querySelector('#alias-teach-add').onclick = () => {
+            if (this.addAlias(teach.querySelector('#alias-teach-type').value, label)) {
+                teach.style.display = 'none';
+            }
+        };
+        teach.style.display = 'block';
+        this.show();
+    }
+
+    onAliasesChanged(message) {
+        this.populateTable();
+        if (message) {
+            window.marrowApp.showNotification(message, 'success');
+        }
+
+        // Re-run the last parse so newly recognized lines show up
+        if (document.getElementById('parsing-results').style.display === 'block') {
+            parseEpicData();
+        }
+    }
+
+    exportAliases() {
+        const blob = new Blob([this.dictionary.exportJSON()], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `cell_type_aliases_${new Date().toISOString().split('T')[0]}.json`;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+
+    importAliases(file) {
+        if (!file) return;
+        const reader = new FileReader();
+        reader.onload = () => {
+            try {
+                const count = this.dictionary.importJSON(reader.result);
+                this.onAliasesChanged(`Imported aliases for ${count} cell types`);
+            } catch (err) {
+                console.warn('Could not import cell type aliases:', err);
+                window.marrowApp.showNotification(`Could not import aliases: ${err.message}`, 'error');
+            }
+        };
+        reader.readAsText(file);
+    }
+
+    show() {
+        this.populateTable();
+        this.modal.style.display = 'block';
+    }
+
+    hide() {
+        this.modal.style.display = 'none';
+        this.modal.querySelector('#alias-teach').style.display = 'none';
+    }
+}
+
+function manageCellTypeAliases() {
+    window.cellTypeAliasManager.show();
+}
+
+// Default aspirate differential categories. key is the counting hotkey;
+// lineage decides whether the cell counts toward the M:E ratio.
+const DEFAULT_CELL_COUNTER_CATEGORIES = [
+    { id: 'neutrophils', label: 'Neutrophils/precursors', key: '1', lineage: 'myeloid' },
+    { id: 'erythroids', label: 'Erythroids', key: '2', lineage: 'erythroid' },
+    { id: 'lymphocytes', label: 'Lymphocytes', key: '3', lineage: '' },
+    { id: 'monocytes', label: 'Monocytes', key: '4', lineage: '' },
+    { id: 'basophils', label: 'Basophils', key: '5', lineage: 'myeloid' },
+    { id: 'promyelocytes', label: 'Promyelocytes', key: '6', lineage: 'myeloid' },
+    { id: 'blasts', label: 'Blasts', key: '7', lineage: 'myeloid' },
+    { id: 'plasma_cells', label: 'Plasma cells', key: '8', lineage: '' },
+    { id: 'eosinophils', label: 'Eosinophils', key: '9', lineage: 'myeloid' },
+    { id: 'others', label: 'Others', key: '0', lineage: '' }
+];
+
+const CELL_COUNTER_CONFIG_STORAGE_KEY = 'marrowCellCounterConfig';
+
+// M:E ratio bands used to suggest the me-ratio category: below 1:1 is
+// reversed, below 2:1 decreased, above 4:1 increased
+const ME_RATIO_BANDS = { reversedBelow: 1, decreasedBelow: 2, increasedAbove: 4 };
+
+function classifyMERatio(ratio) {
+    if (ratio < ME_RATIO_BANDS.reversedBelow) return 'reversed';
+    if (ratio < ME_RATIO_BANDS.decreasedBelow) return 'decreased';
+    if (ratio > ME_RATIO_BANDS.increasedAbove) return 'increased';
+    return 'normal';
+}
+
+function formatMERatio(ratio) {
+    return `${ratio.toFixed(1)}:1`;
+}
+
+// Expected marrow cellularity for age: 100 minus age, normal within ± 10%.
+// The published age-band model (PMID 37904278) is not offered yet: only the
+// ~44% (SD ~11%) band quoted in the `altcell` quick text is known here, and
+// the other bands have not been checked against the paper.
+const AGE_CELLULARITY_TOLERANCE = 10;
+
+function describeExpectedCellularity(expected) {
+    return `The expected cellularity for this patient's age is approximately ${expected.mean}% (100 minus age).`;
+}
+
+// "30-40%" -> { low: 30, high: 40 }; "~35" -> { low: 35, high: 35 }
+function parseCellularityRange(text) {
+    const values = (String(text).match(/\d+(?:\.\d+)?/g) || []).map(Number).filter(value => value <= 100);
+    if (values.length === 0) return null;
+    return { low: Math.min(...values), high: Math.max(...values) };
+}
+
+// Compares the midpoint of the entered range with the expected range for age
+function classifyAgeCellularity(range, expected) {
+    const midpoint = (range.low + range.high) / 2;
+    if (midpoint < expected.mean - expected.tolerance) return 'hypocellular';
+    if (midpoint > expected.mean + expected.tolerance) return 'hypercellular';
+    return 'normocellular';
+}
+
+// Accession numbers such as BM24-12345 or S-24-1234
+const ACCESSION_NUMBER_PATTERN = /^[A-Z]{1,3}-?\d{2}-\d{3,7}$/;
+
+// Aspirate manual differential counter. Categories and hotkeys are a local
+// preference; the counts themselves belong to the case and are saved with
+// the form data.
+class CellCounter {
+    constructor() {
+        this.categories = this.loadCategories();
+        this.counts = {};
+        this.history = [];
+        this.targetReached = false;
+
+        this.setupEventListeners();
+        this.createConfigModal();
+        this.render();
+    }
+
+    loadCategories() {
+        try {
+            const saved = localStorage.getItem(CELL_COUNTER_CONFIG_STORAGE_KEY);
+            if (saved) {
+                return this.validateCategories(JSON.parse(saved));
+            }
+        } catch (err) {
+            console.warn('Could not load cell counter categories, using defaults:', err);
+        }
+        return DEFAULT_CELL_COUNTER_CATEGORIES.map(category => ({ ...category }));
+    }
+
+    saveCategories() {
+        try {
+            localStorage.setItem(CELL_COUNTER_CONFIG_STORAGE_KEY, JSON.stringify(this.categories));
+        } catch (err) {
+            console.warn('Could not save cell counter categories:', err);
+        }
+    }
+
+    validateCategories(categories) {
+        if (!Array.isArray(categories) || categories.length === 0) {
+            throw new Error('At least one category is required');
+        }
+        const keys = new Set();
+        return categories.map(category => {
+            const label = (category.label || '').trim();
+            const key = (category.key || '').trim().toLowerCase();
+            if (!label) {
+                throw new Error('Every category needs a name');
+            }
+            if (key.length > 1) {
+                throw new Error(`Hotkey for ${label} must be a single key`);
+            }
+            if (key && keys.has(key)) {
+                throw new Error(`Hotkey "${key}" is used more than once`);
+            }
+            if (key) keys.add(key);
+            return {
+                id: category.id || label.toLowerCase().replace(/[^a-z0-9]+/g, '_'),
+                label,
+                key,
+                lineage: ['myeloid', 'erythroid'].includes(category.lineage) ? category.lineage : ''
+            };
+        });
+    }
+
+    setupEventListeners() {
+        document.addEventListener('keydown', (event) => this.handleHotkey(event));
+
+        document.getElementById('cell-counter-undo').addEventListener('click', () => this.undo());
+        document.getElementById('cell-counter-reset').addEventListener('click', () => {
+            if (this.getTotal() === 0 || confirm('Reset the manual differential count?')) {
+                this.reset();
+            }
+        });
+        document.getElementById('cell-counter-configure').addEventListener('click', () => this.showConfigModal());
+        document.querySelectorAll('input[name="cell-count-target"]').forEach(radio => {
+            radio.addEventListener('change', () => {
+                this.targetReached = this.getTotal() >= this.getTarget();
+                this.render();
+            });
+        });
+    }
+
+    // Hotkeys only count when focus is not in a field the user is typing in
+    handleHotkey(event) {
+        const hotkeysEnabled = document.getElementById('cell-counter-hotkeys');
+        if (!hotkeysEnabled || !hotkeysEnabled.checked) return;
+        if (event.ctrlKey || event.metaKey || event.altKey) return;
+
+        const target = event.target;
+        if (target && (target.tagName === 'TEXTAREA' || target.tagName === 'SELECT' || target.isContentEditable ||
+            (target.tagName === 'INPUT' && !['radio', 'checkbox', 'button'].includes(target.type)))) {
+            return;
+        }
+        if (this.configModal.style.display === 'block') return;
+
+        if (event.key === 'Backspace') {
+            event.preventDefault();
+            this.undo();
+            return;
+        }
+
+        const category = this.categories.find(candidate => candidate.key && candidate.key === event.key.toLowerCase());
+        if (category) {
+            event.preventDefault();
+            this.increment(category.id);
+        }
+    }
+
+    increment(id) {
+        this.counts[id] = (this.counts[id] || 0) + 1;
+        this.history.push(id);
+        this.onCountChanged();
+    }
+
+    decrement(id) {
+        if (!this.counts[id]) return;
+        this.counts[id]--;
+        // Drop the most recent keystroke for this category from the undo history
+        const index = this.history.lastIndexOf(id);
+        if (index >= 0) this.history.splice(index, 1);
+        this.onCountChanged();
+    }
+
+    undo() {
+        const id = this.history.pop();
+        if (id === undefined) return;
+        this.counts[id] = Math.max((this.counts[id] || 0) - 1, 0);
+        this.onCountChanged();
+    }
+
+    reset() {
+        this.counts = {};
+        this.history = [];
+        this.targetReached = false;
+        this.onCountChanged();
+    }
+
+    onCountChanged() {
+        const total = this.getTotal();
+        const target = this.getTarget();
+        if (total >= target && !this.targetReached) {
+            this.targetReached = true;
+            window.marrowApp.showNotification(`Target of ${target} cells reached`, 'success');
+        } else if (total < target) {
+            this.targetReached = false;
+        }
+
+        this.render();
+        window.marrowApp.reconcileMERatio();
+        window.marrowApp.updateFormData();
+    }
+
+    getTarget() {
+        const selected = document.querySelector('input[name="cell-count-target"]:checked');
+        return selected ? parseInt(selected.value, 10) : 200;
+    }
+
+    getTotal() {
+        return this.categories.reduce((total, category) => total + (this.counts[category.id] || 0), 0);
+    }
+
+    // Percentages per category and the M:E ratio (null when no erythroids were counted)
+    getDifferential() {
+        const total = this.getTotal();
+        let myeloid = 0;
+        let erythroid = 0;
+        const rows = this.categories.map(category => {
+            const count = this.counts[category.id] || 0;
+            if (category.lineage === 'myeloid') myeloid += count;
+            if (category.lineage === 'erythroid') erythroid += count;
+            return {
+                id: category.id,
+                label: category.label,
+                count,
+                percentage: total > 0 ? Math.round(count / total * 1000) / 10 : 0
+            };
+        });
+
+        const percentageOf = id => {
+            const row = rows.find(candidate => candidate.id === id);
+            return row ? row.percentage : null;
+        };
+
+        return {
+            total,
+            rows,
+            myeloid,
+            erythroid,
+            meRatio: erythroid > 0 ? Math.round(myeloid / erythroid * 10) / 10 : null,
+            blastPercentage: percentageOf('blasts'),
+            plasmaCellPercentage: percentageOf('plasma_cells')
+        };
+    }
+
+    render() {
+        const container = document.getElementById('cell-counter');
+        if (!container) return;
+
+        const differential = this.getDifferential();
+        const target = this.getTarget();
+
+        container.innerHTML = `
+            <table class="cell-counter-table">
+                <thead>
+                    <tr><th>Key</th><th>Cell type</th><th></th><th>Count</th><th></th><th>%</th></tr>
+                </thead>
+                <tbody>
+                    ${differential.rows.map(row => `
+                        <tr>
+                            <td><kbd>${escapeHtml(this.categories.find(category => category.id === row.id).key || '')}</kbd></td>
+                            <td>${escapeHtml(row.label)}</td>
+                            <td><button type="button" class="btn btn-secondary counter-btn" data-action="decrement" data-id="${row.id}">−</button></td>
+                            <td class="counter-count">${row.count}</td>
+                            <td><button type="button" class="btn btn-secondary counter-btn" data-action="increment" data-id="${row.id}">+</button></td>
+                            <td>${row.percentage.toFixed(1)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            <div class="cell-counter-summary${differential.total >= target ? ' target-reached' : ''}">
+                <strong>Total:</strong> ${differential.total} / ${target}
+                &nbsp;|&nbsp; <strong>M:E ratio:</strong> ${differential.meRatio !== null ? formatMERatio(differential.meRatio) : 'n/a'}
+            </div>
+        `;
+
+        container.querySelectorAll('.counter-btn').forEach(button => {
+            button.addEventListener('click', () => {
+                const id = button.getAttribute('data-id');
+                if (button.getAttribute('data-action') === 'increment') {
+                    this.increment(id);
+                } else {
+                    this.decrement(id);
+                }
+            });
+        });
+    }
+
+    // Report block for the ASPIRATE section, e.g.
+    // "Aspirate differential (200-cell count):" followed by one line per cell type
+    buildReportSection() {
+        const differential = this.getDifferential();
+        if (differential.total === 0) return '';
+
+        const width = Math.max(...differential.rows.map(row => row.label.length)) + 2;
+        let text = `Aspirate differential (${differential.total}-cell count):\n`;
+        differential.rows.forEach(row => {
+            text += `  ${row.label.padEnd(width)}${row.percentage.toFixed(1).padStart(5)}%\n`;
+        });
+        if (differential.meRatio !== null) {
+            text += `M:E ratio: ${formatMERatio(differential.meRatio)}\n`;
+        } else if (differential.myeloid > 0) {
+            text += 'M:E ratio: not calculable (no erythroid precursors counted)\n';
+        }
+        return text;
+    }
+
+    getState() {
+        return { counts: { ...this.counts }, history: this.history.slice() };
+    }
+
+    setState(state) {
+        this.counts = { ...((state && state.counts) || {}) };
+        this.history = ((state && state.history) || []).slice();
+        this.targetReached = this.getTotal() >= this.getTarget();
+        this.render();
+        if (window.marrowApp) {
+            window.marrowApp.reconcileMERatio();
+        }
+    }
+
+    createConfigModal() {
+        const modal = document.createElement('div');
+        modal.id = 'cell-counter-config-modal';
+        modal.style.cssText = `
+            display: none;
+            position: fixed;
             z-index: 10001;
             left: 0;
             top: 0;
             width: 100%;
             height: 100%;
-            background-color: rgba(0,0,0,0.5);
-            backdrop-filter: blur(4px);
+            background-color: rgba(0,0,0,0.5);
+        `;
+
+        const modalContent = document.createElement('div');
+        modalContent.style.cssText = `
+            background-color: white;
+            margin: 2% auto;
+            padding: 20px;
+            border-radius: 12px;
+            width: 90%;
+            max-width: 700px;
+            max-height: 85vh;
+            overflow-y: auto;
+            box-shadow: 0 8px 32px rgba(0,0,0,0.2);
+        `;
+        modalContent.innerHTML = `
+            <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 15px; border-bottom: 2px solid #f0f0f0; padding-bottom: 10px;">
+                <h2 style="color: #2c3e50; margin: 0; font-size: 1.5rem;">Cell Counter Categories</h2>
+                <button type="button" data-role="close" style="background: none; border: none; font-size: 2rem; cursor: pointer; color: #666;">×</button>
+            </div>
+            <table class="cell-counter-table" style="width: 100%;">
+                <thead>
+                    <tr><th>Cell type</th><th>Hotkey</th><th>M:E lineage</th><th></th></tr>
+                </thead>
+                <tbody data-role="rows"></tbody>
+            </table>
+            <div class="form-row" style="margin-top: 15px;">
+                <button type="button" class="btn btn-secondary" data-role="add">Add Category</button>
+                <button type="button" class="btn btn-secondary" data-role="defaults">Reset to Defaults</button>
+                <button type="button" class="btn btn-primary" data-role="save">Save</button>
+            </div>
+        `;
+        modal.appendChild(modalContent);
+
+        modalContent.querySelector('[data-role="close"]').onclick = () => this.hideConfigModal();
+        modalContent.querySelector('[data-role="add"]').onclick = () => this.addConfigRow({ label: '', key: '', lineage: '' });
+        modalContent.querySelector('[data-role="defaults"]').onclick = () => this.populateConfigRows(DEFAULT_CELL_COUNTER_CATEGORIES);
+        modalContent.querySelector('[data-role="save"]').onclick = () => this.saveConfig();
+
+        modal.addEventListener('click', (event) => {
+            if (event.target === modal) {
+                this.hideConfigModal();
+            }
+        });
+        document.addEventListener('keydown', (event) => {
+            if (event.key === 'Escape' && modal.style.display === 'block') {
+                this.hideConfigModal();
+            }
+        });
+
+        document.body.appendChild(modal);
+        this.configModal = modal;
+    }
+
+    populateConfigRows(categories) {
+        this.configModal.querySelector('[data-role="rows"]').innerHTML = '';
+        categories.forEach(category => this.addConfigRow(category));
+    }
+
+    addConfigRow(category) {
+        const row = document.createElement('tr');
+        row.setAttribute('data-id', category.id || '');
+        row.innerHTML = `
+            <td><input type="text" data-field="label" value="${escapeHtml(category.label)}" placeholder="Cell type"></td>
+            <td><input type="text" data-field="key" value="${escapeHtml(category.key)}" maxlength="1" style="width: 3em;"></td>
+            <td>
+                <select data-field="lineage">
+                    <option value="">—</option>
+                    <option value="myeloid"${category.lineage === 'myeloid' ? ' selected' : ''}>Myeloid</option>
+                    <option value="erythroid"${category.lineage === 'erythroid' ? ' selected' : ''}>Erythroid</option>
+                </select>
+            </td>
+            <td><button type="button" class="btn btn-secondary" title="Remove category">×</button></td>
+        `;
+        row.querySelector('button').onclick = () => row.remove();
+        this.configModal.querySelector('[data-role="rows"]').appendChild(row);
+    }
+
+    saveConfig() {
+        const rows = Array.from(this.configModal.querySelectorAll('[data-role="rows"] tr'));
+        try {
+            this.categories = this.validateCategories(rows.map(row => ({
+                id: row.getAttribute('data-id'),
+                label: row.querySelector('[data-field="label"]').value,
+                key: row.querySelector('[data-field="key"]').value,
+                lineage: row.querySelector('[data-field="lineage"]').value
+            })));
+        } catch (err) {
+            window.marrowApp.showNotification(err.message, 'error');
+            return;
+        }
+
+        this.saveCategories();
+        this.hideConfigModal();
+        this.render();
+        window.marrowApp.showNotification('Cell counter categories saved', 'success');
+    }
+
+    showConfigModal() {
+        this.populateConfigRows(this.categories);
+        this.configModal.style.display = 'block';
+    }
+
+    hideConfigModal() {
+        this.configModal.style.display = 'none';
+    }
+}
+
+// Diagnosis builder
+// Entities from the WHO 5th edition (WHO-HEM5) and International Consensus
+// (ICC 2022) classifications. `systems` lists the classifications using the
+// name, `comment` keys into DIAGNOSIS_COMMENTS and descriptive entries keep
+// sentence case instead of the capitalized entity name.
+const DIAGNOSIS_ENTITIES = [
+    // Descriptive / non-neoplastic
+    { name: 'Normocellular marrow with maturing trilineage hematopoiesis', category: 'Descriptive', systems: ['WHO', 'ICC'], descriptive: true },
+    { name: 'Hypercellular marrow with maturing trilineage hematopoiesis', category: 'Descriptive', systems: ['WHO', 'ICC'], descriptive: true },
+    { name: 'Hypocellular marrow with maturing trilineage hematopoiesis', category: 'Descriptive', systems: ['WHO', 'ICC'], descriptive: true },
+    { name: 'Erythroid hyperplasia', category: 'Descriptive', systems: ['WHO', 'ICC'], descriptive: true },
+    { name: 'Myeloid hyperplasia', category: 'Descriptive', systems: ['WHO', 'ICC'], descriptive: true },
+    { name: 'Reactive plasmacytosis', category: 'Descriptive', systems: ['WHO', 'ICC'], descriptive: true },
+
+    // Myeloid
+    { name: 'Myeloid neoplasm', category: 'Myeloid', systems: ['WHO', 'ICC'], comment: 'molecular' },
+    { name: 'Clonal hematopoiesis of indeterminate potential', category: 'Myeloid', systems: ['WHO', 'ICC'], comment: 'molecular' },
+    { name: 'Clonal cytopenia of undetermined significance', category: 'Myeloid', systems: ['WHO', 'ICC'], comment: 'molecular' },
+    { name: 'Chronic myeloid leukemia', category: 'Myeloid', systems: ['WHO', 'ICC'], comment: 'molecular' },
+    { name: 'Polycythemia vera', category: 'Myeloid', systems: ['WHO', 'ICC'], comment: 'molecular' },
+    { name: 'Essential thrombocythemia', category: 'Myeloid', systems: ['WHO', 'ICC'], comment: 'molecular' },
+    { name: 'Primary myelofibrosis', category: 'Myeloid', systems: ['WHO', 'ICC'], comment: 'molecular' },
+    { name: 'Chronic neutrophilic leukemia', category: 'Myeloid', systems: ['WHO', 'ICC'], comment: 'molecular' },
+    { name: 'Chronic eosinophilic leukemia', category: 'Myeloid', systems: ['WHO'], comment: 'molecular' },
+    { name: 'Chronic eosinophilic leukemia, NOS', category: 'Myeloid', systems: ['ICC'], comment: 'molecular' },
+    { name: 'Myeloproliferative neoplasm, not otherwise specified', category: 'Myeloid', systems: ['WHO'], comment: 'molecular' },
+    { name: 'Myeloproliferative neoplasm, unclassifiable', category: 'Myeloid', systems: ['ICC'], comment: 'molecular' },
+    { name: 'Systemic mastocytosis', category: 'Myeloid', systems: ['WHO', 'ICC'], comment: 'molecular' },
+    { name: 'Myelodysplastic neoplasm with low blasts', category: 'Myeloid', systems: ['WHO'], comment: 'molecular' },
+    { name: 'Myelodysplastic neoplasm with low blasts and SF3B1 mutation', category: 'Myeloid', systems: ['WHO'], comment: 'molecular' },
+    { name: 'Myelodysplastic neoplasm with low blasts and isolated 5q deletion', category: 'Myeloid', systems: ['WHO'], comment: 'molecular' },
+    { name: 'Myelodysplastic neoplasm, hypoplastic', category: 'Myeloid', systems: ['WHO'], comment: 'molecular' },
+    { name: 'Myelodysplastic neoplasm with increased blasts-1', category: 'Myeloid', systems: ['WHO'], comment: 'molecular' },
+    { name: 'Myelodysplastic neoplasm with increased blasts-2', category: 'Myeloid', systems: ['WHO'], comment: 'molecular' },
+    { name: 'Myelodysplastic neoplasm with fibrosis', category: 'Myeloid', systems: ['WHO'], comment: 'molecular' },
+    { name: 'Myelodysplastic neoplasm with biallelic TP53 inactivation', category: 'Myeloid', systems: ['WHO'], comment: 'molecular' },
+    { name: 'Myelodysplastic syndrome with mutated SF3B1', category: 'Myeloid', systems: ['ICC'], comment: 'molecular' },
+    { name: 'Myelodysplastic syndrome with del(5q)', category: 'Myeloid', systems: ['ICC'], comment: 'molecular' },
+    { name: 'Myelodysplastic syndrome, NOS with single lineage dysplasia', category: 'Myeloid', systems: ['ICC'], comment: 'molecular' },
+    { name: 'Myelodysplastic syndrome, NOS with multilineage dysplasia', category: 'Myeloid', systems: ['ICC'], comment: 'molecular' },
+    { name: 'Myelodysplastic syndrome with excess blasts', category: 'Myeloid', systems: ['ICC'], comment: 'molecular' },
+    { name: 'Myelodysplastic syndrome with mutated TP53', category: 'Myeloid', systems: ['ICC'], comment: 'molecular' },
+    { name: 'Myelodysplastic syndrome/acute myeloid leukemia', category: 'Myeloid', systems: ['ICC'], comment: 'molecular' },
+    { name: 'Chronic myelomonocytic leukemia', category: 'Myeloid', systems: ['WHO', 'ICC'], comment: 'molecular' },
+    { name: 'Myelodysplastic/myeloproliferative neoplasm with neutrophilia', category: 'Myeloid', systems: ['WHO'], comment: 'molecular' },
+    { name: 'Atypical chronic myeloid leukemia', category: 'Myeloid', systems: ['ICC'], comment: 'molecular' },
+    { name: 'Myelodysplastic/myeloproliferative neoplasm with SF3B1 mutation and thrombocytosis', category: 'Myeloid', systems: ['WHO'], comment: 'molecular' },
+    { name: 'Myelodysplastic/myeloproliferative neoplasm with thrombocytosis and SF3B1 mutation', category: 'Myeloid', systems: ['ICC'], comment: 'molecular' },
+    { name: 'Myelodysplastic/myeloproliferative neoplasm, not otherwise specified', category: 'Myeloid', systems: ['WHO'], comment: 'molecular' },
+    { name: 'Myelodysplastic/myeloproliferative neoplasm, unclassifiable', category: 'Myeloid', systems: ['ICC'], comment: 'molecular' },
+    { name: 'Acute promyelocytic leukemia with PML::RARA fusion', category: 'Myeloid', systems: ['WHO'], comment: 'molecular' },
+    { name: 'Acute promyelocytic leukemia with t(15;17)(q24.1;q21.2)/PML::RARA', category: 'Myeloid', systems: ['ICC'], comment: 'molecular' },
+    { name: 'Acute myeloid leukemia with RUNX1::RUNX1T1 fusion', category: 'Myeloid', systems: ['WHO'], comment: 'molecular' },
+    { name: 'Acute myeloid leukemia with t(8;21)(q22;q22.1)/RUNX1::RUNX1T1', category: 'Myeloid', systems: ['ICC'], comment: 'molecular' },
+    { name: 'Acute myeloid leukemia with CBFB::MYH11 fusion', category: 'Myeloid', systems: ['WHO'], comment: 'molecular' },
+    { name: 'Acute myeloid leukemia with inv(16)(p13.1q22) or t(16;16)(p13.1;q22)/CBFB::MYH11', category: 'Myeloid', systems: ['ICC'], comment: 'molecular' },
+    { name: 'Acute myeloid leukemia with KMT2A rearrangement', category: 'Myeloid', systems: ['WHO'], comment: 'molecular' },
+    { name: 'Acute myeloid leukemia with NPM1 mutation', category: 'Myeloid', systems: ['WHO'], comment: 'molecular' },
+    { name: 'Acute myeloid leukemia with mutated NPM1', category: 'Myeloid', systems: ['ICC'], comment: 'molecular' },
+    { name: 'Acute myeloid leukemia with CEBPA mutation', category: 'Myeloid', systems: ['WHO'], comment: 'molecular' },
+    { name: 'Acute myeloid leukemia with in-frame bZIP mutated CEBPA', category: 'Myeloid', systems: ['ICC'], comment: 'molecular' },
+    { name: 'Acute myeloid leukemia, myelodysplasia-related', category: 'Myeloid', systems: ['WHO'], comment: 'molecular' },
+    { name: 'Acute myeloid leukemia with myelodysplasia-related gene mutations', category: 'Myeloid', systems: ['ICC'], comment: 'molecular' },
+    { name: 'Acute myeloid leukemia with myelodysplasia-related cytogenetic abnormalities', category: 'Myeloid', systems: ['ICC'], comment: 'molecular' },
+    { name: 'Acute myeloid leukemia with mutated TP53', category: 'Myeloid', systems: ['ICC'], comment: 'molecular' },
+    { name: 'Acute myeloid leukemia, defined by differentiation', category: 'Myeloid', systems: ['WHO'], comment: 'molecular' },
+    { name: 'Acute myeloid leukemia, NOS', category: 'Myeloid', systems: ['ICC'], comment: 'molecular' },
+    { name: 'Blastic plasmacytoid dendritic cell neoplasm', category: 'Myeloid', systems: ['WHO', 'ICC'], comment: 'molecular' },
+    { name: 'Myeloid/lymphoid neoplasm with eosinophilia and tyrosine kinase gene fusion', category: 'Myeloid', systems: ['WHO'], comment: 'molecular' },
+    { name: 'Myeloid/lymphoid neoplasm with eosinophilia and tyrosine kinase gene rearrangement', category: 'Myeloid', systems: ['ICC'], comment: 'molecular' },
+
+    // Lymphoid
+    { name: 'B-lymphoblastic leukemia/lymphoma', category: 'Lymphoid', systems: ['WHO', 'ICC'], comment: 'molecular' },
+    { name: 'T-lymphoblastic leukemia/lymphoma', category: 'Lymphoid', systems: ['WHO', 'ICC'], comment: 'molecular' },
+    { name: 'Monoclonal B-cell lymphocytosis', category: 'Lymphoid', systems: ['WHO', 'ICC'] },
+    { name: 'Chronic lymphocytic leukemia/small lymphocytic lymphoma', category: 'Lymphoid', systems: ['WHO', 'ICC'], comment: 'cytogenetics' },
+    { name: 'Hairy cell leukemia', category: 'Lymphoid', systems: ['WHO', 'ICC'] },
+    { name: 'Splenic marginal zone lymphoma', category: 'Lymphoid', systems: ['WHO', 'ICC'] },
+    { name: 'Lymphoplasmacytic lymphoma', category: 'Lymphoid', systems: ['WHO', 'ICC'] },
+    { name: 'Follicular lymphoma', category: 'Lymphoid', systems: ['WHO', 'ICC'] },
+    { name: 'Mantle cell lymphoma', category: 'Lymphoid', systems: ['WHO', 'ICC'] },
+    { name: 'Diffuse large B-cell lymphoma, NOS', category: 'Lymphoid', systems: ['WHO', 'ICC'] },
+    { name: 'Burkitt lymphoma', category: 'Lymphoid', systems: ['WHO', 'ICC'] },
+    { name: 'Classic Hodgkin lymphoma', category: 'Lymphoid', systems: ['WHO', 'ICC'] },
+    { name: 'T-cell large granular lymphocytic leukemia', category: 'Lymphoid', systems: ['WHO', 'ICC'] },
+    { name: 'Peripheral T-cell lymphoma, NOS', category: 'Lymphoid', systems: ['WHO', 'ICC'] },
+
+    // Plasma cell
+    { name: 'Plasma cell neoplasm', category: 'Plasma cell', systems: ['WHO', 'ICC'], comment: 'plasmaCell' },
+    { name: 'Plasma cell myeloma', category: 'Plasma cell', systems: ['WHO', 'ICC'], comment: 'plasmaCell' },
+    { name: 'Monoclonal gammopathy of undetermined significance', category: 'Plasma cell', systems: ['WHO', 'ICC'], comment: 'plasmaCell' },
+    { name: 'Monoclonal gammopathy of renal significance', category: 'Plasma cell', systems: ['WHO', 'ICC'], comment: 'plasmaCell' },
+    { name: 'Solitary plasmacytoma of bone', category: 'Plasma cell', systems: ['WHO', 'ICC'], comment: 'plasmaCell' },
+    { name: 'Immunoglobulin light chain amyloidosis', category: 'Plasma cell', systems: ['WHO', 'ICC'], comment: 'plasmaCell' }
+];
+
+const DIAGNOSIS_SYSTEM_LABELS = { WHO: 'WHO-HEM5', ICC: 'ICC 2022' };
+
+// Standard comments, worded as the corrplas/corrmol/corrcyto quick texts
+const DIAGNOSIS_COMMENTS = {
+    plasmaCell: 'Clinical, radiographic, and laboratory correlation are required for definitive classification.',
+    molecular: 'Correlation with pending molecular and cytogenetic studies is recommended.',
+    cytogenetics: 'Correlation with concurrent cytogenetics is recommended.'
+};
+
+// Lead-in before the entity, e.g. "Involvement by the patient's known PLASMA CELL NEOPLASM"
+const DIAGNOSIS_QUALIFIERS = [
+    '',
+    'Involvement by',
+    'Consistent with',
+    'Suspicious for',
+    'Residual',
+    'No morphologic evidence of'
+];
+
+// Lead-in for each qualifier when "known" is checked; "Residual" and
+// "No morphologic evidence of" cannot take the article directly
+const KNOWN_DIAGNOSIS_LEADS = {
+    '': 'The patient\'s known',
+    'Involvement by': 'Involvement by the patient\'s known',
+    'Consistent with': 'Consistent with the patient\'s known',
+    'Suspicious for': 'Suspicious for involvement by the patient\'s known',
+    'Residual': 'Residual involvement by the patient\'s known',
+    'No morphologic evidence of': 'No morphologic evidence of involvement by the patient\'s known'
+};
+
+// Entity names are capitalized in the top line; cytogenetic notation such as
+// t(8;21)(q22;q22.1) or del(5q) keeps its case.
+function capitalizeDiagnosis(name) {
+    return name.split(' ').map(word => /^(t|inv|del|der|add|dup|ins|i)\(/.test(word) ? word : word.toUpperCase()).join(' ');
+}
+
+class DiagnosisBuilder {
+    constructor() {
+        this.lines = [];
+
+        this.setupEventListeners();
+        this.renderOptions();
+        this.render();
+    }
+
+    setupEventListeners() {
+        document.getElementById('diagnosis-add-line').addEventListener('click', () => {
+            this.readLines();
+            this.lines.push(this.createLine());
+            this.render();
+            this.onChanged();
+        });
+        document.querySelectorAll('input[name="diagnosis-classification"]').forEach(radio => {
+            radio.addEventListener('change', () => this.renderOptions());
+        });
+        const comment = document.getElementById('diagnosis-comment');
+        if (comment) {
+            comment.addEventListener('input', () => this.renderPreview());
+        }
+    }
+
+    createLine(line = {}) {
+        return {
+            qualifier: DIAGNOSIS_QUALIFIERS.includes(line.qualifier) ? line.qualifier : '',
+            known: Boolean(line.known),
+            entity: line.entity || '',
+            extent: line.extent || '',
+            comment: line.comment !== false
+        };
+    }
+
+    getClassification() {
+        const selected = document.querySelector('input[name="diagnosis-classification"]:checked');
+        return selected ? selected.value : 'both';
+    }
+
+    findEntity(name) {
+        const key = name.trim().toLowerCase();
+        return DIAGNOSIS_ENTITIES.find(entity => entity.name.toLowerCase() === key) || null;
+    }
+
+    // Searchable picklist options for the selected classification
+    renderOptions() {
+        const datalist = document.getElementById('diagnosis-entity-options');
+        if (!datalist) return;
+
+        const classification = this.getClassification();
+        datalist.innerHTML = DIAGNOSIS_ENTITIES
+            .filter(entity => classification === 'both' || entity.systems.includes(classification))
+            .map(entity => {
+                const systems = entity.systems.map(system => DIAGNOSIS_SYSTEM_LABELS[system]).join(', ');
+                return `<option value="${escapeHtml(entity.name)}">${escapeHtml(entity.category)} · ${systems}</option>`;
+            })
+            .join('');
+    }
+
+    render() {
+        const container = document.getElementById('diagnosis-lines');
+        if (!container) return;
+        if (this.lines.length === 0) {
+            this.lines.push(this.createLine());
+        }
+
+        container.innerHTML = this.lines.map((line, index) => `
+            <div class="diagnosis-line" data-index="${index}">
+                <select class="diagnosis-qualifier" title="Qualifier">
+                    ${DIAGNOSIS_QUALIFIERS.map(qualifier => `
+                        <option value="${qualifier}"${qualifier === line.qualifier ? ' selected' : ''}>${qualifier || '(no qualifier)'}</option>
+                    `).join('')}
+                </select>
+                <label class="diagnosis-known"><input type="checkbox" class="diagnosis-known-input"${line.known ? ' checked' : ''}> known</label>
+                <input type="text" class="diagnosis-entity" list="diagnosis-entity-options" placeholder="Search WHO-HEM5 / ICC 2022 entities or type a diagnosis" value="${escapeHtml(line.entity)}">
+                <input type="text" class="diagnosis-extent" placeholder="Extent, e.g. approximately 40% of cellularity" value="${escapeHtml(line.extent)}">
+                <label class="diagnosis-comment-toggle" title="Add the standard comment for this entity"><input type="checkbox" class="diagnosis-comment-input"${line.comment ? ' checked' : ''}> comment</label>
+                <button type="button" class="btn btn-secondary diagnosis-move" data-action="up" title="Move up"${index === 0 ? ' disabled' : ''}>↑</button>
+                <button type="button" class="btn btn-secondary diagnosis-remove" title="Remove line">×</button>
+            </div>
+        `).join('');
+
+        container.querySelectorAll('.diagnosis-line').forEach(row => {
+            const index = parseInt(row.getAttribute('data-index'), 10);
+            row.querySelectorAll('select, input').forEach(input => {
+                input.addEventListener('input', () => this.onChanged());
+                input.addEventListener('change', () => this.onChanged());
+            });
+            row.querySelector('.diagnosis-remove').addEventListener('click', () => {
+                this.readLines();
+                this.lines.splice(index, 1);
+                this.render();
+                this.onChanged();
+            });
+            row.querySelector('.diagnosis-move').addEventListener('click', () => {
+                this.readLines();
+                [this.lines[index - 1], this.lines[index]] = [this.lines[index], this.lines[index - 1]];
+                this.render();
+                this.onChanged();
+            });
+        });
+
+        this.renderPreview();
+    }
+
+    // Sync this.lines from the row inputs
+    readLines() {
+        const rows = document.querySelectorAll('#diagnosis-lines .diagnosis-line');
+        this.lines = Array.from(rows).map(row => this.createLine({
+            qualifier: row.querySelector('.diagnosis-qualifier').value,
+            known: row.querySelector('.diagnosis-known-input').checked,
+            entity: row.querySelector('.diagnosis-entity').value,
+            extent: row.querySelector('.diagnosis-extent').value,
+            comment: row.querySelector('.diagnosis-comment-input').checked
+        }));
+    }
+
+    onChanged() {
+        this.readLines();
+        this.renderPreview();
+        if (window.marrowApp) {
+            window.marrowApp.updateFormData();
+        }
+    }
+
+    renderPreview() {
+        const preview = document.getElementById('diagnosis-preview');
+        if (!preview) return;
+        const text = this.buildReportSection();
+        preview.textContent = text;
+        preview.style.display = text ? 'block' : 'none';
+    }
+
+    formatLine(line) {
+        const entity = this.findEntity(line.entity);
+        const name = entity ? entity.name : line.entity.trim();
+        const lead = line.known ? KNOWN_DIAGNOSIS_LEADS[line.qualifier] : line.qualifier;
+        // Free-text diagnoses are kept as typed
+        let text = [lead, entity && !entity.descriptive ? capitalizeDiagnosis(name) : name].filter(Boolean).join(' ');
+        text = text.charAt(0).toUpperCase() + text.slice(1);
+        if (line.extent.trim()) {
+            text += `, ${line.extent.trim()}`;
+        }
+        return /[.!?]$/.test(text) ? text : `${text}.`;
+    }
+
+    getComments() {
+        const comments = [];
+        this.lines.forEach(line => {
+            const entity = line.entity.trim() && line.comment ? this.findEntity(line.entity) : null;
+            if (entity && entity.comment && !comments.includes(DIAGNOSIS_COMMENTS[entity.comment])) {
+                comments.push(DIAGNOSIS_COMMENTS[entity.comment]);
+            }
+        });
+
+        const additional = document.getElementById('diagnosis-comment');
+        if (additional) {
+            additional.value.split('\n').map(text => text.trim()).filter(Boolean).forEach(text => {
+                comments.push(text.replace(/^COMMENT:\s*/i, ''));
+            });
+        }
+        return comments;
+    }
+
+    // Top-line diagnosis, one line per entity, followed by COMMENT lines
+    buildReportSection() {
+        const lines = this.lines.filter(line => line.entity.trim()).map(line => this.formatLine(line));
+        const comments = this.getComments().map(comment => `COMMENT: ${comment}`);
+        if (lines.length === 0 && comments.length === 0) return '';
+        return [...lines, ...comments].join('\n') + '\n';
+    }
+
+    hasDiagnosis() {
+        return this.lines.some(line => line.entity.trim());
+    }
+
+    getState() {
+        return { lines: this.lines.filter(line => line.entity.trim() || line.extent.trim()).map(line => ({ ...line })) };
+    }
+
+    setState(state) {
+        this.lines = ((state && state.lines) || []).map(line => this.createLine(line));
+        this.render();
+    }
+}
+
+// Specimen parts
+// `header` is the part's name in the lettered diagnosis header; marrow parts
+// share the "BONE MARROW" prefix and the laterality/site.
+const SPECIMEN_TYPES = {
+    core: { label: 'Core biopsy', header: 'CORE BIOPSY', marrow: true },
+    aspirate: { label: 'Aspirate smears', header: 'ASPIRATE SMEARS', marrow: true },
+    clot: { label: 'Clot section', header: 'CLOT SECTION', marrow: true },
+    touchPrep: { label: 'Touch preparation', header: 'TOUCH PREPARATION', marrow: true },
+    peripheralBlood: { label: 'Peripheral blood smear', header: 'PERIPHERAL BLOOD SMEAR', marrow: false },
+    flow: { label: 'Flow cytometry tube', header: 'ASPIRATE FOR FLOW CYTOMETRY', marrow: true }
+};
+
+const SPECIMEN_LATERALITIES = ['', 'Right', 'Left', 'Bilateral'];
+
+// Parts added by "Standard Parts", as in the `header` quick text
+const STANDARD_SPECIMEN_PARTS = ['core', 'aspirate', 'peripheralBlood'];
+
+// "A, B, C, E" -> "A-C, E"
+function formatPartLetters(indexes) {
+    const sorted = [...new Set(indexes)].sort((a, b) => a - b);
+    const runs = [];
+    sorted.forEach(index => {
+        const run = runs[runs.length - 1];
+        if (run && index === run[1] + 1) {
+            run[1] = index;
+        } else {
+            runs.push([index, index]);
+        }
+    });
+    const letter = index => String.fromCharCode(65 + index);
+    return runs.map(([start, end]) => start === end ? letter(start) : `${letter(start)}-${letter(end)}`).join(', ');
+}
+
+// "a", "a AND b", "a, b AND c"
+function joinWithAnd(items) {
+    if (items.length <= 1) return items.join('');
+    return `${items.slice(0, -1).join(', ')} AND ${items[items.length - 1]}`;
+}
+
+class SpecimenManager {
+    constructor() {
+        this.parts = [];
+
+        this.setupEventListeners();
+        this.render();
+    }
+
+    setupEventListeners() {
+        document.getElementById('specimen-add-part').addEventListener('click', () => {
+            this.readParts();
+            this.parts.push(this.createPart());
+            this.render();
+            this.onChanged();
+        });
+        document.getElementById('specimen-standard-parts').addEventListener('click', () => {
+            this.readParts();
+            STANDARD_SPECIMEN_PARTS.forEach(type => {
+                if (!this.parts.some(part => part.type === type)) {
+                    this.parts.push(this.createPart({ type }));
+                }
+            });
+            this.render();
+            this.onChanged();
+        });
+    }
+
+    createPart(part = {}) {
+        return {
+            type: SPECIMEN_TYPES[part.type] ? part.type : 'core',
+            laterality: SPECIMEN_LATERALITIES.includes(part.laterality) ? part.laterality : '',
+            site: part.site || '',
+            separate: Boolean(part.separate),
+            diagnosis: part.diagnosis || ''
+        };
+    }
+
+    render() {
+        const container = document.getElementById('specimen-parts');
+        if (!container) return;
+
+        container.innerHTML = this.parts.map((part, index) => `
+            <div class="specimen-part" data-index="${index}">
+                <span class="specimen-letter">${formatPartLetters([index])}.</span>
+                <select class="specimen-type" title="Part type">
+                    ${Object.keys(SPECIMEN_TYPES).map(type => `
+                        <option value="${type}"${type === part.type ? ' selected' : ''}>${SPECIMEN_TYPES[type].label}</option>
+                    `).join('')}
+                </select>
+                <select class="specimen-laterality" title="Laterality">
+                    ${SPECIMEN_LATERALITIES.map(laterality => `
+                        <option value="${laterality}"${laterality === part.laterality ? ' selected' : ''}>${laterality || '(laterality)'}</option>
+                    `).join('')}
+                </select>
+                <input type="text" class="specimen-site" placeholder="Site, e.g. posterior iliac crest" value="${escapeHtml(part.site)}">
+                <label class="specimen-separate" title="Report this part under its own header and diagnosis"><input type="checkbox" class="specimen-separate-input"${part.separate ? ' checked' : ''}> separate diagnosis</label>
+                <input type="text" class="specimen-diagnosis" placeholder="Diagnosis for this part" value="${escapeHtml(part.diagnosis)}"${part.separate ? '' : ' style="display: none;"'}>
+                <button type="button" class="btn btn-secondary specimen-move" title="Move up"${index === 0 ? ' disabled' : ''}>↑</button>
+                <button type="button" class="btn btn-secondary specimen-remove" title="Remove part">×</button>
+            </div>
+        `).join('');
+
+        container.querySelectorAll('.specimen-part').forEach(row => {
+            const index = parseInt(row.getAttribute('data-index'), 10);
+            row.querySelectorAll('select, input').forEach(input => {
+                input.addEventListener('input', () => this.onChanged());
+                input.addEventListener('change', () => this.onChanged());
+            });
+            row.querySelector('.specimen-separate-input').addEventListener('change', (event) => {
+                row.querySelector('.specimen-diagnosis').style.display = event.target.checked ? '' : 'none';
+            });
+            row.querySelector('.specimen-remove').addEventListener('click', () => {
+                this.readParts();
+                this.parts.splice(index, 1);
+                this.render();
+                this.onChanged();
+            });
+            row.querySelector('.specimen-move').addEventListener('click', () => {
+                this.readParts();
+                [this.parts[index - 1], this.parts[index]] = [this.parts[index], this.parts[index - 1]];
+                this.render();
+                this.onChanged();
+            });
+        });
+
+        this.renderPreview();
+    }
+
+    // Sync this.parts from the row inputs
+    readParts() {
+        const rows = document.querySelectorAll('#specimen-parts .specimen-part');
+        this.parts = Array.from(rows).map(row => this.createPart({
+            type: row.querySelector('.specimen-type').value,
+            laterality: row.querySelector('.specimen-laterality').value,
+            site: row.querySelector('.specimen-site').value.trim(),
+            separate: row.querySelector('.specimen-separate-input').checked,
+            diagnosis: row.querySelector('.specimen-diagnosis').value.trim()
+        }));
+    }
+
+    onChanged() {
+        this.readParts();
+        this.renderPreview();
+        if (window.marrowApp) {
+            window.marrowApp.updateFormData();
+        }
+    }
+
+    renderPreview() {
+        const preview = document.getElementById('specimen-preview');
+        if (!preview) return;
+        const headers = this.getGroups().map(group => `${group.letters}. ${group.header}:`);
+        preview.textContent = headers.join('\n');
+        preview.style.display = headers.length ? 'block' : 'none';
+    }
+
+    // e.g. "BONE MARROW, RIGHT POSTERIOR ILIAC CREST, CORE BIOPSY AND ASPIRATE SMEARS, PERIPHERAL BLOOD SMEAR"
+    describeParts(parts) {
+        const marrowPhrases = [];
+        const locations = {};
+        const others = [];
+        parts.forEach(part => {
+            const type = SPECIMEN_TYPES[part.type];
+            if (!type.marrow) {
+                if (!others.includes(type.header)) others.push(type.header);
+                return;
+            }
+            const location = [part.laterality, part.site].filter(Boolean).join(' ').toUpperCase();
+            if (!locations[location]) {
+                locations[location] = [];
+                marrowPhrases.push(location);
+            }
+            if (!locations[location].includes(type.header)) locations[location].push(type.header);
+        });
+
+        const marrow = marrowPhrases.map(location => location
+            ? `BONE MARROW, ${location}, ${joinWithAnd(locations[location])}`
+            : `BONE MARROW ${joinWithAnd(locations[location])}`).join('; ');
+        return [marrow, ...others].filter(Boolean).join(', ');
+    }
+
+    // Parts sharing the main diagnosis form one lettered group; parts with a
+    // separate diagnosis get their own header. Groups follow part order.
+    getGroups() {
+        const shared = [];
+        const groups = [];
+        this.parts.forEach((part, index) => {
+            if (part.separate) {
+                groups.push({ indexes: [index], parts: [part], diagnosis: part.diagnosis });
+            } else {
+                if (shared.length === 0) {
+                    groups.push({ indexes: shared, parts: [], shared: true });
+                }
+                shared.push(index);
+                groups.find(group => group.shared).parts.push(part);
+            }
+        });
+        return groups.map(group => ({
+            ...group,
+            letters: formatPartLetters(group.indexes),
+            header: this.describeParts(group.parts)
+        }));
+    }
+
+    // Lettered headers with their diagnoses. Without declared parts the
+    // report keeps the single "A. BONE MARROW, BIOPSY:" header.
+    buildDiagnosisSection() {
+        const diagnosis = window.diagnosisBuilder ? window.diagnosisBuilder.buildReportSection() : '';
+        if (this.parts.length === 0) {
+            return `A. BONE MARROW, BIOPSY:\n${diagnosis}\n`;
+        }
+        return this.getGroups().map(group => {
+            const text = group.shared ? diagnosis : (group.diagnosis ? `${group.diagnosis}\n` : '');
+            return `${group.letters}. ${group.header}:\n${text}\n`;
+        }).join('');
+    }
+
+    // "A" for the single default header; empty when every part is diagnosed separately
+    getSharedLetters() {
+        if (this.parts.length === 0) return 'A';
+        const group = this.getGroups().find(item => item.shared);
+        return group ? group.letters : '';
+    }
+
+    // e.g. "Part B" or "Parts B, D"
+    getBlankSeparateParts() {
+        const indexes = this.parts.map((part, index) => part.separate && !part.diagnosis ? index : -1).filter(index => index >= 0);
+        if (indexes.length === 0) return '';
+        return `Part${indexes.length > 1 ? 's' : ''} ${formatPartLetters(indexes)}`;
+    }
+
+    // Heading suffix for a findings section, e.g. " (PART A)" or " (PARTS B, D)"
+    getSectionLabel(type) {
+        const indexes = this.parts.map((part, index) => part.type === type ? index : -1).filter(index => index >= 0);
+        if (indexes.length === 0) return '';
+        return ` (PART${indexes.length > 1 ? 'S' : ''} ${formatPartLetters(indexes)})`;
+    }
+
+    getState() {
+        return { parts: this.parts.map(part => ({ ...part })) };
+    }
+
+    setState(state) {
+        this.parts = ((state && state.parts) || []).map(part => this.createPart(part));
+        this.render();
+    }
+}
+
+// Special stains
+// Reticulin fibrosis grades with the EUMNET consensus criteria (shown on hover)
+const RETICULIN_GRADES = {
+    'MF-0': {
+        description: 'no increase in reticulin fibers',
+        criteria: 'MF-0: Scattered linear reticulin with no intersections (cross-overs), corresponding to normal bone marrow.'
+    },
+    'MF-1': {
+        description: 'a loose network of reticulin fibers with many intersections',
+        criteria: 'MF-1: Loose network of reticulin with many intersections, especially in perivascular areas.'
+    },
+    'MF-2': {
+        description: 'a diffuse and dense increase in reticulin fibers with extensive intersections',
+        criteria: 'MF-2: Diffuse and dense increase in reticulin with extensive intersections, occasionally with focal bundles of thick fibers mostly consistent with collagen, and/or focal osteosclerosis.'
+    },
+    'MF-3': {
+        description: 'a diffuse and dense increase in reticulin fibers with coarse bundles of collagen',
+        criteria: 'MF-3: Diffuse and dense increase in reticulin with extensive intersections and coarse bundles of thick fibers consistent with collagen, usually associated with osteosclerosis.'
+    }
+};
+
+const COLLAGEN_GRADES = {
+    0: {
+        description: 'perivascular collagen only',
+        criteria: 'Grade 0: Perivascular collagen only (normal).'
+    },
+    1: {
+        description: 'focal paratrabecular or central collagen deposition',
+        criteria: 'Grade 1: Focal paratrabecular or central collagen deposition without connecting meshwork.'
+    },
+    2: {
+        description: 'paratrabecular or central collagen deposition with a focally connecting meshwork',
+        criteria: 'Grade 2: Paratrabecular or central deposition of collagen with focally connecting meshwork or generalized paratrabecular apposition of collagen.'
+    },
+    3: {
+        description: 'a diffuse connecting meshwork of collagen',
+        criteria: 'Grade 3: Diffuse (>30% of marrow spaces) connecting meshwork of collagen.'
+    }
+};
+
+// Storage iron grades (Gale) and how each reads in the report
+const IRON_GRADES = {
+    '0': 'absent',
+    '1+': 'decreased',
+    '2+': 'adequate',
+    '3+': 'adequate',
+    '4+': 'increased',
+    '5+': 'markedly increased',
+    '6+': 'markedly increased'
+};
+
+const RING_SIDEROBLAST_THRESHOLD_STORAGE_KEY = 'marrowRingSideroblastThreshold';
+const DEFAULT_RING_SIDEROBLAST_THRESHOLD = 15;
+
+class SpecialStains {
+    constructor() {
+        this.customStains = [];
+
+        this.setupCriteriaTooltips();
+        this.setupEventListeners();
+        this.renderThreshold();
+        this.render();
+    }
+
+    setupCriteriaTooltips() {
+        document.querySelectorAll('input[name="stain-reticulin"]').forEach(radio => {
+            radio.parentElement.title = RETICULIN_GRADES[radio.value].criteria;
+        });
+        document.querySelectorAll('input[name="stain-collagen"]').forEach(radio => {
+            radio.parentElement.title = COLLAGEN_GRADES[radio.value].criteria;
+        });
+    }
+
+    setupEventListeners() {
+        document.getElementById('custom-stain-add').addEventListener('click', () => {
+            this.readCustomStains();
+            this.customStains.push({ name: '', result: '' });
+            this.render();
+        });
+        document.getElementById('ring-sideroblast-threshold').addEventListener('change', (event) => {
+            const value = parseFloat(event.target.value);
+            if (isNaN(value) || value < 0 || value > 100) {
+                window.marrowApp.showNotification('Ring sideroblast threshold must be between 0 and 100%', 'error');
+                this.renderThreshold();
+                return;
+            }
+            try {
+                localStorage.setItem(RING_SIDEROBLAST_THRESHOLD_STORAGE_KEY, String(value));
+            } catch (err) {
+                console.warn('Could not save ring sideroblast threshold:', err);
+            }
+        });
+    }
+
+    getThreshold() {
+        try {
+            const saved = parseFloat(localStorage.getItem(RING_SIDEROBLAST_THRESHOLD_STORAGE_KEY));
+            if (!isNaN(saved)) return saved;
+        } catch (err) {
+            console.warn('Could not load ring sideroblast threshold:', err);
+        }
+        return DEFAULT_RING_SIDEROBLAST_THRESHOLD;
+    }
+
+    renderThreshold() {
+        const input = document.getElementById('ring-sideroblast-threshold');
+        if (input) input.value = this.getThreshold();
+    }
+
+    render() {
+        const container = document.getElementById('custom-stains');
+        if (!container) return;
+
+        container.innerHTML = this.customStains.map((stain, index) => `
+            <div class="custom-stain" data-index="${index}">
+                <input type="text" class="custom-stain-name" placeholder="Stain, e.g. Giemsa" value="${escapeHtml(stain.name)}">
+                <input type="text" class="custom-stain-result" placeholder="Result, e.g. highlights scattered mast cells" value="${escapeHtml(stain.result)}">
+                <button type="button" class="btn btn-secondary custom-stain-remove" title="Remove stain">×</button>
+            </div>
+        `).join('');
+
+        container.querySelectorAll('.custom-stain').forEach(row => {
+            const index = parseInt(row.getAttribute('data-index'), 10);
+            row.querySelectorAll('input').forEach(input => {
+                input.addEventListener('input', () => this.onChanged());
+            });
+            row.querySelector('.custom-stain-remove').addEventListener('click', () => {
+                this.readCustomStains();
+                this.customStains.splice(index, 1);
+                this.render();
+                this.onChanged();
+            });
+        });
+    }
+
+    // Sync this.customStains from the row inputs
+    readCustomStains() {
+        this.customStains = Array.from(document.querySelectorAll('#custom-stains .custom-stain')).map(row => ({
+            name: row.querySelector('.custom-stain-name').value.trim(),
+            result: row.querySelector('.custom-stain-result').value.trim()
+        }));
+    }
+
+    onChanged() {
+        this.readCustomStains();
+        if (window.marrowApp) {
+            window.marrowApp.updateFormData();
+        }
+    }
+
+    // "a loose network of reticulin fibers with many intersections (grade MF-1 of 3)"
+    describeReticulin() {
+        const grade = window.marrowApp.getSelectedRadioValue('stain-reticulin');
+        return RETICULIN_GRADES[grade] ? `${RETICULIN_GRADES[grade].description} (grade ${grade} of 3)` : '';
+    }
+
+    describeCollagen() {
+        const grade = window.marrowApp.getSelectedRadioValue('stain-collagen');
+        return COLLAGEN_GRADES[grade] ? `${COLLAGEN_GRADES[grade].description} (collagen grade ${grade} of 3)` : '';
+    }
+
+    // Decreased or absent iron repeats the `felow` advice on serum iron studies
+    describeIron() {
+        const grade = window.marrowApp.getSelectedRadioValue('stain-iron');
+        if (grade === 'not evaluable') return 'no evaluable particles for the assessment of storage iron';
+        if (!IRON_GRADES[grade]) return '';
+        const text = `${IRON_GRADES[grade]} storage iron (grade ${grade} of 6+)`;
+        return ['0', '1+'].includes(grade) ? `${text}; correlation with serum iron studies is recommended` : text;
+    }
+
+    getRingSideroblastNote() {
+        const value = window.marrowApp.getValue('stain-ring-sideroblasts');
+        const percentage = parseFloat(value);
+        const threshold = this.getThreshold();
+        if (isNaN(percentage) || percentage < threshold) return '';
+        return `Ring sideroblasts (${percentage}% of erythroid precursors) are at or above ${threshold}%; correlation with SF3B1 mutation status and cytogenetic studies is recommended`;
+    }
+
+    // "is negative for amyloid" or "highlights perivascular amyloid deposition"
+    describeCongoRed() {
+        const result = window.marrowApp.getSelectedRadioValue('stain-congo-red');
+        if (result === 'negative') return 'is negative for amyloid';
+        if (result !== 'positive') return '';
+        const locations = window.marrowApp.getSelectedCheckboxValues('stain-congo-location');
+        const birefringence = window.marrowApp.getSelectedCheckboxValues('stain-congo-birefringence').length > 0;
+        return `highlights ${locations.length ? `${formatList(locations)} ` : ''}amyloid deposition` +
+            (birefringence ? ' with apple-green birefringence under polarized light' : '');
+    }
+
+    // One "A Giemsa stain highlights ..." sentence per custom stain
+    describeCustomStains() {
+        return this.customStains
+            .filter(stain => stain.name && stain.result)
+            .map(stain => {
+                return `${capitalizeFirst(indefiniteArticle(stain.name))} ${stain.name} stain ${stain.result.replace(/\.$/, '')}.\n`;
+            })
+            .join('');
+    }
+
+    getState() {
+        return { customStains: this.customStains.filter(stain => stain.name || stain.result).map(stain => ({ ...stain })) };
+    }
+
+    setState(state) {
+        this.customStains = ((state && state.customStains) || []).map(stain => ({ name: stain.name || '', result: stain.result || '' }));
+        this.render();
+    }
+}
+
+// Immunohistochemistry panel
+const IHC_ANTIBODIES = [
+    'CD34', 'CD117', 'CD138', 'Kappa ISH', 'Lambda ISH', 'p53', 'CD61', 'CD42b', 'MPO', 'E-cadherin', 'CD71',
+    'CD3', 'CD5', 'CD10', 'CD20', 'CD23', 'PAX5', 'Cyclin D1', 'SOX11', 'BCL2', 'BCL6', 'MUM1', 'CD56',
+    'Ki-67', 'TdT', 'CD123', 'Tryptase', 'CD25', 'CD30', 'LEF1'
+];
+
+// Pattern options read before the population ("highlights small clusters of plasma cells")
+const IHC_PATTERNS = [
+    '', 'scattered', 'small clusters of', 'interstitial', 'perivascular',
+    'paratrabecular aggregates of', 'nodular aggregates of', 'diffuse sheets of'
+];
+
+// Sentence for each result, worded as the cd34n/p53n/cyclinneg/mmpos quick texts.
+// `percent` is already formatted ("<5%"); population and pattern may be empty.
+const IHC_RESULTS = {
+    positive: {
+        label: 'positive',
+        describe: ({ antibody, percent, pattern, population }) =>
+            `An immunostain for ${antibody} highlights ${pattern ? `${pattern} ` : ''}${population || 'positive cells'}${percent ? ` (${percent} of cells)` : ''}`
+    },
+    negative: {
+        label: 'negative',
+        describe: ({ antibody, population }) => `${antibody} is negative${population ? ` in ${population}` : ''}`
+    },
+    increased: {
+        label: 'increased',
+        describe: ({ antibody, percent, population }) =>
+            `${capitalizeFirst(population || 'positive cells')} are increased${percent ? ` (${percent} of cells)` : ''} by ${indefiniteArticle(antibody)} ${antibody} immunostain`
+    },
+    notIncreased: {
+        label: 'not increased',
+        describe: ({ antibody, percent, population }) =>
+            `${capitalizeFirst(population || 'positive cells')} are not increased${percent ? ` (${percent} of cells)` : ''} by ${indefiniteArticle(antibody)} ${antibody} immunostain`
+    },
+    weak: {
+        label: 'weak/variable',
+        describe: ({ antibody, population }) =>
+            `An immunostain for ${antibody} shows weak to variable staining${population ? ` in ${population}` : ''}`
+    },
+    wildType: {
+        label: 'wild-type pattern',
+        describe: ({ antibody, population }) =>
+            `${capitalizeFirst(indefiniteArticle(antibody))} ${antibody} stain shows variable staining${population ? ` in ${population}` : ''}, suggestive of wild-type expression`
+    },
+    overexpressed: {
+        label: 'overexpressed',
+        describe: ({ antibody, percent, population }) =>
+            `${capitalizeFirst(indefiniteArticle(antibody))} ${antibody} stain shows strong staining in ${percent ? `${percent} of ` : ''}${population || 'cells'}, suggestive of an aberrant (mutant) pattern`
+    },
+    null: {
+        label: 'null pattern',
+        describe: ({ antibody, population }) =>
+            `${capitalizeFirst(indefiniteArticle(antibody))} ${antibody} stain shows complete absence of staining${population ? ` in ${population}` : ''}, suggestive of an aberrant (null) pattern`
+    }
+};
+
+// Rows filled by the preset buttons; results are left for the pathologist
+const IHC_PANEL_PRESETS = {
+    myeloma: {
+        rows: [
+            { antibody: 'CD138', population: 'plasma cells' },
+            { antibody: 'Cyclin D1', population: 'plasma cells' },
+            { antibody: 'CD56', population: 'plasma cells' },
+            { antibody: 'CD20', population: 'plasma cells' }
+        ],
+        kappaLambda: true
+    },
+    mds: {
+        rows: [
+            { antibody: 'CD34', population: 'blasts' },
+            { antibody: 'CD117', population: 'blasts and progenitors' },
+            { antibody: 'p53', population: 'hematopoietic cells' },
+            { antibody: 'CD61', population: 'megakaryocytes' },
+            { antibody: 'MPO', population: 'myeloid precursors' },
+            { antibody: 'E-cadherin', population: 'erythroid precursors' }
+        ]
+    },
+    lymphoma: {
+        rows: [
+            { antibody: 'CD3', population: 'T cells' },
+            { antibody: 'PAX5', population: 'B cells' },
+            { antibody: 'CD20', population: 'B cells' },
+            { antibody: 'CD5', population: 'B cells' },
+            { antibody: 'CD10', population: 'B cells' },
+            { antibody: 'Cyclin D1', population: 'B cells' },
+            { antibody: 'BCL2', population: 'B cells' },
+            { antibody: 'CD23', population: 'B cells' }
+        ]
+    }
+};
+
+// Kappa:lambda ratios at or beyond these bounds are called monotypic
+const KAPPA_LAMBDA_THRESHOLDS = { kappa: 4, lambda: 0.5 };
+
+function capitalizeFirst(text) {
+    return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+// Stain names spelled out letter by letter that start with a vowel sound
+// ("an MPO"). Names read as words keep "a" ("a SOX11", "a MUM1", "a LEF1").
+const VOWEL_SOUND_INITIALISMS = ['MPO', 'SMA', 'NSE', 'LCA', 'HHV8', 'HHV-8', 'H&E'];
+
+function indefiniteArticle(word) {
+    const name = String(word).trim().split(/\s+/)[0].toUpperCase();
+    return /^[aeiou]/i.test(word) || VOWEL_SOUND_INITIALISMS.includes(name) ? 'an' : 'a';
+}
+
+// "10:1", "1:4", ">10:1" or "2.5" -> kappa/lambda as a number
+function parseKappaLambdaRatio(text) {
+    const match = String(text).replace(/[<>~≈\s]|approximately/gi, '').match(/^(\d*\.?\d+)(?::(\d*\.?\d+))?$/);
+    if (!match) return null;
+    const kappa = parseFloat(match[1]);
+    const lambda = match[2] !== undefined ? parseFloat(match[2]) : 1;
+    return lambda > 0 ? kappa / lambda : null;
+}
+
+function formatKappaLambdaRatio(ratio) {
+    const round = value => Math.round(value * 10) / 10;
+    return ratio >= 1 ? `${round(ratio)}:1` : `1:${round(1 / ratio)}`;
+}
+
+class IHCPanel {
+    constructor() {
+        this.rows = [];
+
+        this.setupEventListeners();
+        this.renderOptions();
+        this.render();
+    }
+
+    setupEventListeners() {
+        document.getElementById('ihc-add-row').addEventListener('click', () => {
+            this.readRows();
+            this.rows.push(this.createRow());
+            this.render();
+        });
+        document.querySelectorAll('.ihc-preset').forEach(button => {
+            button.addEventListener('click', () => this.applyPreset(button.getAttribute('data-preset')));
+        });
+        ['ihc-kappa-lambda-ratio', 'ihc-kl-population'].forEach(id => {
+            document.getElementById(id).addEventListener('input', () => this.renderKappaLambda());
+        });
+        document.querySelectorAll('input[name="ihc-kl-method"]').forEach(radio => {
+            radio.addEventListener('change', () => this.renderKappaLambda());
+        });
+    }
+
+    createRow(row = {}) {
+        return {
+            antibody: row.antibody || '',
+            result: IHC_RESULTS[row.result] ? row.result : '',
+            percent: row.percent || '',
+            pattern: IHC_PATTERNS.includes(row.pattern) ? row.pattern : '',
+            population: row.population || ''
+        };
+    }
+
+    renderOptions() {
+        const datalist = document.getElementById('ihc-antibody-options');
+        if (datalist) {
+            datalist.innerHTML = IHC_ANTIBODIES.map(antibody => `<option value="${escapeHtml(antibody)}"></option>`).join('');
+        }
+    }
+
+    // Add the preset's antibodies that are not already on the panel
+    applyPreset(name) {
+        const preset = IHC_PANEL_PRESETS[name];
+        if (!preset) return;
+
+        this.readRows();
+        this.rows = this.rows.filter(row => row.antibody || row.result || row.percent || row.population);
+        preset.rows.forEach(presetRow => {
+            if (!this.rows.some(row => row.antibody.toLowerCase() === presetRow.antibody.toLowerCase())) {
+                this.rows.push(this.createRow(presetRow));
+            }
+        });
+        if (preset.kappaLambda) {
+            const population = document.getElementById('ihc-kl-population');
+            if (!population.value.trim()) population.value = 'plasma cells';
+        }
+        this.render();
+        this.onChanged();
+    }
+
+    render() {
+        const container = document.getElementById('ihc-rows');
+        if (!container) return;
+
+        container.innerHTML = this.rows.length === 0 ? '' : `
+            <table class="ihc-table">
+                <thead>
+                    <tr><th>Antibody</th><th>Result</th><th>% of cells</th><th>Pattern</th><th>Population</th><th></th></tr>
+                </thead>
+                <tbody>
+                    ${this.rows.map((row, index) => `
+                        <tr class="ihc-row" data-index="${index}">
+                            <td><input type="text" class="ihc-antibody" list="ihc-antibody-options" value="${escapeHtml(row.antibody)}"></td>
+                            <td>
+                                <select class="ihc-result">
+                                    <option value=""></option>
+                                    ${Object.keys(IHC_RESULTS).map(key => `
+                                        <option value="${key}"${key === row.result ? ' selected' : ''}>${IHC_RESULTS[key].label}</option>
+                                    `).join('')}
+                                </select>
+                            </td>
+                            <td><input type="text" class="ihc-percent" placeholder="e.g. <5" value="${escapeHtml(row.percent)}"></td>
+                            <td>
+                                <select class="ihc-pattern">
+                                    ${IHC_PATTERNS.map(pattern => `
+                                        <option value="${pattern}"${pattern === row.pattern ? ' selected' : ''}>${pattern}</option>
+                                    `).join('')}
+                                </select>
+                            </td>
+                            <td><input type="text" class="ihc-population" placeholder="e.g. plasma cells" value="${escapeHtml(row.population)}"></td>
+                            <td><button type="button" class="btn btn-secondary ihc-remove" title="Remove antibody">×</button></td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+
+        container.querySelectorAll('.ihc-row').forEach(row => {
+            const index = parseInt(row.getAttribute('data-index'), 10);
+            row.querySelectorAll('select, input').forEach(input => {
+                input.addEventListener('input', () => this.onChanged());
+                input.addEventListener('change', () => this.onChanged());
+            });
+            row.querySelector('.ihc-remove').addEventListener('click', () => {
+                this.readRows();
+                this.rows.splice(index, 1);
+                this.render();
+                this.onChanged();
+            });
+        });
+
+        this.renderKappaLambda();
+    }
+
+    // Sync this.rows from the table inputs
+    readRows() {
+        this.rows = Array.from(document.querySelectorAll('#ihc-rows .ihc-row')).map(row => this.createRow({
+            antibody: row.querySelector('.ihc-antibody').value.trim(),
+            result: row.querySelector('.ihc-result').value,
+            percent: row.querySelector('.ihc-percent').value.trim(),
+            pattern: row.querySelector('.ihc-pattern').value,
+            population: row.querySelector('.ihc-population').value.trim()
+        }));
+    }
+
+    onChanged() {
+        this.readRows();
+        if (window.marrowApp) {
+            window.marrowApp.updateFormData();
+        }
+    }
+
+    // One sentence per antibody with a result
+    describeRows() {
+        return this.rows
+            .filter(row => row.antibody && row.result)
+            .map(row => `${IHC_RESULTS[row.result].describe({
+                ...row,
+                percent: row.percent ? REPORT_FILTERS.percent(row.percent) : ''
+            })}.\n`)
+            .join('');
+    }
+
+    // { ratio, clonality: 'kappa' | 'lambda' | null } or null without a ratio
+    getKappaLambda() {
+        const ratio = parseKappaLambdaRatio(document.getElementById('ihc-kappa-lambda-ratio').value);
+        if (ratio === null) return null;
+        let clonality = null;
+        if (ratio >= KAPPA_LAMBDA_THRESHOLDS.kappa) clonality = 'kappa';
+        if (ratio <= KAPPA_LAMBDA_THRESHOLDS.lambda) clonality = 'lambda';
+        return { ratio, clonality };
+    }
+
+    // "Plasma cells are monotypic for kappa by in-situ hybridization for kappa
+    // and lambda light chains (kappa:lambda approximately 10:1)"
+    describeKappaLambda() {
+        const result = this.getKappaLambda();
+        if (!result) return '';
+        const population = capitalizeFirst(document.getElementById('ihc-kl-population').value.trim() || 'plasma cells');
+        const methodInput = document.querySelector('input[name="ihc-kl-method"]:checked');
+        const method = methodInput ? methodInput.value : 'in-situ hybridization';
+        const conclusion = result.clonality ? `monotypic for ${result.clonality}` : 'polytypic';
+        return `${population} are ${conclusion} by ${method} for kappa and lambda light chains (kappa:lambda approximately ${formatKappaLambdaRatio(result.ratio)})`;
+    }
+
+    renderKappaLambda() {
+        const container = document.getElementById('ihc-kl-conclusion');
+        if (!container) return;
+        const text = document.getElementById('ihc-kappa-lambda-ratio').value.trim();
+        const result = this.getKappaLambda();
+        if (!text) {
+            container.style.display = 'none';
+            return;
+        }
+        container.innerHTML = result
+            ? `Kappa:lambda ${formatKappaLambdaRatio(result.ratio)}: <strong>${result.clonality ? `monotypic (${result.clonality})` : 'polytypic'}</strong>`
+            : '<div class="derived-warning">Enter the ratio as kappa:lambda, e.g. 10:1 or 1:4</div>';
+        container.style.display = 'block';
+    }
+
+    getState() {
+        return { rows: this.rows.filter(row => row.antibody || row.result).map(row => ({ ...row })) };
+    }
+
+    setState(state) {
+        this.rows = ((state && state.rows) || []).map(row => this.createRow(row));
+        this.render();
+    }
+}
+
+// Case workspace: one saved draft per case in IndexedDB, listed in the sidebar
+const CASE_DATABASE_NAME = 'marrowReportCases';
+const CASE_DATABASE_VERSION = 1;
+const CASE_STORE_NAME = 'cases';
+const CURRENT_CASE_STORAGE_KEY = 'marrowCurrentCaseId';
+// Single-draft autosave, used before the case list existed and when IndexedDB is unavailable
+const DRAFT_STORAGE_KEY = 'marrowReportData';
+const CASE_SAVE_DELAY_MS = 500;
+// Synchronous copy of the open case kept when the page closes with a save
+// unfinished; open() writes it to IndexedDB if it is newer than the stored case
+const UNSAVED_CASE_STORAGE_KEY = 'marrowUnsavedCase';
+
+const CASE_STATUSES = {
+    'in-progress': 'In progress',
+    'pending-stains': 'Pending stains',
+    finalized: 'Finalized'
+};
+
+// Case files, used for drafts in the case list and for Save/Open Case File:
+// { format, version, appVersion, savedAt, case: { accession, status }, data }
+// where `data` is getFormData() keyed by REPORT_SCHEMA field names.
+const CASE_FILE_FORMAT = 'bwh-marrow-case';
+const CASE_FILE_VERSION = 2;
+const APP_VERSION = '1.0.0';
+
+// Upgrades keyed by the version they start from. Version 1 is the bare
+// getFormData() object stored before case files had a version. When a field
+// or option value is renamed, bump CASE_FILE_VERSION and add a step here
+// that rewrites the old key or value in `file.data`.
+const CASE_FILE_MIGRATIONS = {
+    1: data => ({
+        format: CASE_FILE_FORMAT,
+        version: 2,
+        appVersion: null,
+        savedAt: null,
+        case: { accession: (data['case-accession'] || '').trim().toUpperCase(), status: 'in-progress' },
+        data
+    })
+};
+
+function createCaseFile(data, caseInfo = {}) {
+    return {
+        format: CASE_FILE_FORMAT,
+        version: CASE_FILE_VERSION,
+        appVersion: APP_VERSION,
+        savedAt: new Date().toISOString(),
+        case: {
+            accession: (data['case-accession'] || '').trim().toUpperCase(),
+            status: caseInfo.status || 'in-progress'
+        },
+        data
+    };
+}
+
+// Any saved case (bare draft or older file) -> a case file at CASE_FILE_VERSION
+function upgradeCaseFile(file) {
+    if (!file || typeof file !== 'object' || Array.isArray(file)) {
+        throw new Error('Not a case file');
+    }
+    if (file.format !== undefined && file.format !== CASE_FILE_FORMAT) {
+        throw new Error(`Not a marrow case file (format "${file.format}")`);
+    }
+
+    let version = file.format === CASE_FILE_FORMAT ? file.version : 1;
+    if (!Number.isInteger(version) || version < 1) {
+        throw new Error(`Unknown case file version: ${version}`);
+    }
+    if (version > CASE_FILE_VERSION) {
+        throw new Error(`This case file was saved by a newer version of the app (format version ${version})`);
+    }
+
+    let upgraded = file;
+    while (version < CASE_FILE_VERSION) {
+        upgraded = CASE_FILE_MIGRATIONS[version](upgraded);
+        version = upgraded.version;
+    }
+    if (!upgraded.data || typeof upgraded.data !== 'object') {
+        throw new Error('Case file has no form data');
+    }
+    return upgraded;
+}
+
+function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function formatCaseTime(timestamp) {
+    return new Date(timestamp).toLocaleString([], { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' });
+}
+
+// Draft security: optional passphrase encryption of everything the autosave
+// and the case list store, an inactivity lock and a retention window.
+// Settings hold no PHI and stay readable in localStorage.
+const DRAFT_SECURITY_STORAGE_KEY = 'marrowDraftSecurity';
+const DRAFT_SECURITY_DEFAULTS = { lockMinutes: 15, retentionDays: 30 };
+const ENCRYPTED_DRAFT_FORMAT = 'bwh-marrow-encrypted';
+const DRAFT_KEY_ITERATIONS = 600000;
+const DRAFT_PASSPHRASE_MIN_LENGTH = 8;
+// Encrypted with the key on setup; decrypting it tells a wrong passphrase apart
+const DRAFT_KEY_CHECK = 'bwh-marrow-key-check';
+const DRAFT_ACTIVITY_EVENTS = ['mousedown', 'keydown', 'wheel', 'touchstart'];
+const DRAFT_IDLE_CHECK_MS = 15000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function bytesToBase64(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+function base64ToBytes(text) {
+    return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+}
+
+class DraftVault {
+    constructor() {
+        // { encrypted, salt, iterations, check, lockMinutes, retentionDays }
+        this.settings = this.loadSettings();
+        // Non-extractable AES-GCM key, only in memory while unlocked
+        this.key = null;
+        this.lastActivity = Date.now();
+        this.unlockWaiters = [];
+        this.modal = null;
+
+        this.setupEventListeners();
+        this.render();
+    }
+
+    setupEventListeners() {
+        document.getElementById('vault-settings').addEventListener('click', () => this.showSettings());
+        document.getElementById('vault-lock').addEventListener('click', () => this.lock());
+        DRAFT_ACTIVITY_EVENTS.forEach(type => {
+            document.addEventListener(type, () => {
+                this.lastActivity = Date.now();
+            }, true);
+        });
+        setInterval(() => this.checkIdle(), DRAFT_IDLE_CHECK_MS);
+        window.addEventListener('storage', (event) => {
+            if (event.key === DRAFT_SECURITY_STORAGE_KEY) this.handleExternalChange();
+        });
+    }
+
+    // Another tab changed the settings; a new or removed passphrase reopens the drafts
+    handleExternalChange() {
+        const { encrypted, salt } = this.settings;
+        this.settings = this.loadSettings();
+        if (this.settings.encrypted === encrypted && this.settings.salt === salt) {
+            this.render();
+            return;
+        }
+
+        this.key = null;
+        if (this.unlockWaiters.length > 0) {
+            // Already on the lock screen
+            if (!this.isLocked()) this.finishUnlock();
+            return;
+        }
+        window.marrowApp.closeDrafts();
+        this.render();
+        this.whenUnlocked().then(() => window.marrowApp.restoreDrafts());
+    }
+
+    loadSettings() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(DRAFT_SECURITY_STORAGE_KEY) || '{}');
+            return { ...DRAFT_SECURITY_DEFAULTS, encrypted: false, ...saved };
+        } catch (error) {
+            console.warn('Error loading draft security settings:', error);
+            return { ...DRAFT_SECURITY_DEFAULTS, encrypted: false };
+        }
+    }
+
+    saveSettings() {
+        localStorage.setItem(DRAFT_SECURITY_STORAGE_KEY, JSON.stringify(this.settings));
+    }
+
+    // Web Crypto is only available on https, localhost and file pages
+    isSupported() {
+        return !!(window.crypto && window.crypto.subtle);
+    }
+
+    isEnabled() {
+        return this.settings.encrypted === true;
+    }
+
+    isLocked() {
+        return this.isEnabled() && this.key === null;
+    }
+
+    // Drafts saved before `savedAt` existed are kept
+    isExpired(savedAt) {
+        const time = typeof savedAt === 'number' ? savedAt : Date.parse(savedAt);
+        return this.settings.retentionDays > 0 && Number.isFinite(time) &&
+            Date.now() - time > this.settings.retentionDays * DAY_MS;
+    }
+
+    checkIdle() {
+        const limit = this.settings.lockMinutes * 60 * 1000;
+        if (this.isEnabled() && this.key && limit > 0 && Date.now() - this.lastActivity >= limit) {
+            this.lock();
+        }
+    }
+
+    async deriveKey(passphrase, salt, iterations) {
+        const material = await window.crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+        return window.crypto.subtle.deriveKey(
+            { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+            material,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    }
+
+    async encryptWith(key, value) {
+        const iv = window.crypto.getRandomValues(new Uint8Array(12));
+        const ciphertext = await window.crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(JSON.stringify(value)));
+        return {
+            format: ENCRYPTED_DRAFT_FORMAT,
+            version: 1,
+            savedAt: new Date().toISOString(),
+            iv: bytesToBase64(iv),
+            ciphertext: bytesToBase64(new Uint8Array(ciphertext))
+        };
+    }
+
+    async decryptWith(key, envelope) {
+        const plaintext = await window.crypto.subtle.decrypt({ name: 'AES-GCM', iv: base64ToBytes(envelope.iv) }, key, base64ToBytes(envelope.ciphertext));
+        return JSON.parse(new TextDecoder().decode(plaintext));
+    }
+
+    isSealed(value) {
+        return !!value && value.format === ENCRYPTED_DRAFT_FORMAT;
+    }
+
+    // Encrypt a value for storage when a passphrase is set; otherwise store it as is
+    seal(value) {
+        if (!this.isEnabled()) return Promise.resolve(value);
+        if (!this.key) return Promise.reject(new Error('Drafts are locked'));
+        return this.encryptWith(this.key, value);
+    }
+
+    unseal(value) {
+        if (!this.isSealed(value)) return Promise.resolve(value);
+        if (!this.key) return Promise.reject(new Error('Drafts are locked'));
+        return this.decryptWith(this.key, value);
+    }
+
+    // Resolves once drafts can be read, showing the lock screen if needed
+    whenUnlocked() {
+        if (!this.isLocked()) return Promise.resolve();
+        return new Promise(resolve => {
+            this.unlockWaiters.push(resolve);
+            this.showLockScreen();
+        });
+    }
+
+    async unlock(passphrase) {
+        const { salt, iterations, check } = this.settings;
+        try {
+            const key = await this.deriveKey(passphrase, base64ToBytes(salt), iterations);
+            if (await this.decryptWith(key, check) !== DRAFT_KEY_CHECK) return false;
+            this.key = key;
+        } catch (error) {
+            return false;
+        }
+        this.lastActivity = Date.now();
+        this.finishUnlock();
+        return true;
+    }
+
+    finishUnlock() {
+        this.hideModal();
+        this.render();
+        this.unlockWaiters.splice(0).forEach(resolve => resolve());
+    }
+
+    // Save pending edits, forget the key and the open case, then wait for the passphrase
+    async lock() {
+        if (!this.isEnabled() || !this.key) return;
+        window.marrowApp.updateFormData();
+        if (window.caseWorkspace) await window.caseWorkspace.flush();
+
+        this.key = null;
+        window.marrowApp.closeDrafts();
+        this.render();
+        await this.whenUnlocked();
+        window.marrowApp.restoreDrafts();
+    }
+
+    async enable(passphrase) {
+        const salt = window.crypto.getRandomValues(new Uint8Array(16));
+        const key = await this.deriveKey(passphrase, salt, DRAFT_KEY_ITERATIONS);
+        const check = await this.encryptWith(key, DRAFT_KEY_CHECK);
+        await this.flushDrafts();
+
+        Object.assign(this.settings, { encrypted: true, salt: bytesToBase64(salt), iterations: DRAFT_KEY_ITERATIONS, check });
+        this.key = key;
+        this.lastActivity = Date.now();
+        this.saveSettings();
+        await this.rewriteDrafts();
+    }
+
+    // Records this key cannot decrypt would be left unreadable for good
+    async disable() {
+        if (this.isLocked()) return;
+        await this.flushDrafts();
+        if (this.countUnreadable() > 0) throw new Error('Some drafts could not be decrypted');
+
+        this.settings.encrypted = false;
+        delete this.settings.salt;
+        delete this.settings.iterations;
+        delete this.settings.check;
+        this.key = null;
+        this.saveSettings();
+        await this.rewriteDrafts();
+    }
+
+    // Save pending edits and pick up other tabs' changes before the storage format changes
+    async flushDrafts() {
+        if (window.caseWorkspace && window.caseWorkspace.isReady()) {
+            await window.caseWorkspace.flush();
+            await window.caseWorkspace.reloadCases();
+        }
+    }
+
+    countUnreadable() {
+        return window.caseWorkspace ? window.caseWorkspace.unreadableIds.length : 0;
+    }
+
+    // Store every draft again, encrypted or not, after the passphrase is set or removed
+    async rewriteDrafts() {
+        if (window.caseWorkspace && window.caseWorkspace.isReady()) {
+            await window.caseWorkspace.rewriteAll();
+        } else if (localStorage.getItem(DRAFT_STORAGE_KEY)) {
+            window.marrowApp.lastDraftJson = null;
+            window.marrowApp.updateFormData();
+        }
+    }
+
+    // A forgotten passphrase cannot be recovered; the encrypted drafts can only be deleted
+    async erase() {
+        if (!confirm('Delete all saved drafts? Without the passphrase they cannot be opened again. This cannot be undone.')) return;
+        if (window.caseWorkspace) await window.caseWorkspace.deleteAll();
+        localStorage.removeItem(DRAFT_STORAGE_KEY);
+
+        const { lockMinutes, retentionDays } = this.settings;
+        this.settings = { encrypted: false, lockMinutes, retentionDays };
+        this.saveSettings();
+        this.finishUnlock();
+        window.marrowApp.showNotification('Encrypted drafts deleted; passphrase removed', 'info');
+    }
+
+    render() {
+        const status = document.getElementById('vault-status');
+        if (!status) return;
+
+        const { lockMinutes, retentionDays } = this.settings;
+        const retention = retentionDays > 0
+            ? `drafts deleted after ${retentionDays} ${retentionDays === 1 ? 'day' : 'days'} unedited`
+            : 'drafts kept until deleted';
+        if (!this.isEnabled()) {
+            status.textContent = `Not encrypted; ${retention}.`;
+        } else if (this.key) {
+            status.textContent = `Encrypted, locks after ${lockMinutes} min idle; ${retention}.`;
+        } else {
+            status.textContent = 'Locked.';
+        }
+        document.getElementById('vault-lock').disabled = !this.isEnabled() || !this.key;
+    }
+
+    createModal() {
+        const modal = document.createElement('div');
+        modal.id = 'draft-vault-modal';
+        modal.style.cssText = `
+            display: none;
+            position: fixed;
+            z-index: 10002;
+            left: 0;
+            top: 0;
+            width: 100%;
+            height: 100%;
+            background-color: rgba(44, 62, 80, 0.92);
+            backdrop-filter: blur(6px);
         `;
-        
-        const modalContent = document.createElement('div');
-        modalContent.className = 'text-expansion-modal-content';
-        modalContent.style.cssText = `
+
+        const form = document.createElement('form');
+        form.style.cssText = `
             background-color: white;
-            margin: 2% auto;
+            margin: 10% auto;
             padding: 20px;
             border-radius: 12px;
             width: 90%;
-            max-width: 900px;
-            max-height: 85vh;
-            overflow-y: auto;
+            max-width: 420px;
             box-shadow: 0 8px 32px rgba(0,0,0,0.2);
-            position: relative;
-        `;
-        
-        // Create modal header
-        const header = document.createElement('div');
-        header.style.cssText = `
-            display: flex;
-            justify-content: space-between;
-            align-items: center;
-            margin-bottom: 20px;
-            border-bottom: 2px solid #f0f0f0;
-            padding-bottom: 15px;
-        `;
-        
-        const title = document.createElement('h2');
-        title.textContent = 'Text Expansion Reference';
-        title.style.cssText = `
-            color: #2c3e50;
-            margin: 0;
-            font-size: 1.5rem;
-        `;
-        
-        const closeButton = document.createElement('button');
-        closeButton.innerHTML = '×';
-        closeButton.style.cssText = `
-            background: none;
-            border: none;
-            font-size: 2rem;
-            cursor: pointer;
-            color: #666;
-            padding: 0;
-            width: 32px;
-            height: 32px;
-            display: flex;
-            align-items: center;
-            justify-content: center;
-            border-radius: 50%;
-            transition: all 0.2s ease;
         `;
-        closeButton.onmouseover = () => closeButton.style.background = '#f0f0f0';
-        closeButton.onmouseout = () => closeButton.style.background = 'none';
-        closeButton.onclick = () => this.hideHelpModal();
-        
-        header.appendChild(title);
-        header.appendChild(closeButton);
-        
-        // Create instructions
-        const instructions = document.createElement('div');
-        instructions.innerHTML = `
-            <div style="background: #e3f2fd; padding: 12px; border-radius: 6px; margin-bottom: 20px; border-left: 4px solid #2196F3;">
-                <strong>How to use:</strong> Type any CODE (case insensitive) and press <kbd style="background: #f5f5f5; padding: 2px 6px; border-radius: 3px; border: 1px solid #ccc;">F8</kbd> to expand it to the full Comment text.
+        modal.appendChild(form);
+        document.body.appendChild(modal);
+        this.modal = modal;
+    }
+
+    // `content` is trusted markup; the form's submit runs `onSubmit`
+    showModal(content, onSubmit) {
+        if (!this.modal) this.createModal();
+        const form = this.modal.querySelector('form');
+        form.innerHTML = content;
+        form.onsubmit = (event) => {
+            event.preventDefault();
+            onSubmit(form);
+        };
+        this.modal.style.display = 'block';
+        const firstInput = form.querySelector('input');
+        if (firstInput) firstInput.focus();
+        return form;
+    }
+
+    hideModal() {
+        if (this.modal) {
+            this.modal.style.display = 'none';
+            this.modal.querySelector('form').innerHTML = '';
+        }
+    }
+
+    showLockScreen() {
+        const form = this.showModal(`
+            <h2 style="color: #2c3e50; margin: 0 0 10px; font-size: 1.5rem;">Drafts Locked</h2>
+            <p style="margin-bottom: 10px;">Enter the passphrase to open the saved cases.</p>
+            <input type="password" data-role="passphrase" autocomplete="current-password" placeholder="Passphrase" style="width: 100%;">
+            <div data-role="error" class="vault-error"></div>
+            <div class="form-row" style="margin-top: 15px;">
+                <button type="submit" class="btn btn-primary">Unlock</button>
+                <button type="button" class="btn btn-secondary" data-role="erase">Forgot Passphrase</button>
             </div>
-        `;
-        
-        // Create search box
-        const searchContainer = document.createElement('div');
-        searchContainer.style.marginBottom = '20px';
-        
-        const searchInput = document.createElement('input');
-        searchInput.type = 'text';
-        searchInput.placeholder = 'Search codes or comments...';
-        searchInput.style.cssText = `
-            width: 100%;
-            padding: 10px;
-            border: 2px solid #e1e8ed;
-            border-radius: 6px;
-            font-size: 1rem;
-            box-sizing: border-box;
-        `;
-        
-        searchContainer.appendChild(searchInput);
-        
-        // Create expansions table
-        const tableContainer = document.createElement('div');
-        tableContainer.style.cssText = `
-            max-height: 400px;
-            overflow-y: auto;
-            border: 1px solid #e1e8ed;
-            border-radius: 6px;
-        `;
-        
-        const table = document.createElement('table');
-        table.style.cssText = `
-            width: 100%;
-            border-collapse: collapse;
-            font-size: 0.9rem;
-        `;
-        
-        // Table header
-        const thead = document.createElement('thead');
-        thead.innerHTML = `
-            <tr style="background: #f8f9fa;">
-                <th style="padding: 12px; text-align: left; border-bottom: 2px solid #dee2e6; font-weight: 600; color: #495057; width: 150px;">CODE</th>
-                <th style="padding: 12px; text-align: left; border-bottom: 2px solid #dee2e6; font-weight: 600; color: #495057;">COMMENT</th>
-            </tr>
-        `;
-        table.appendChild(thead);
-        
-        // Table body
-        const tbody = document.createElement('tbody');
-        tbody.id = 'expansions-table-body';
-        
-        this.populateExpansionsTable(tbody);
-        table.appendChild(tbody);
-        tableContainer.appendChild(table);
-        
-        // Search functionality
-        searchInput.addEventListener('input', () => {
-            this.filterExpansions(searchInput.value.toLowerCase(), tbody);
+        `, async (form) => {
+            const input = form.querySelector('[data-role="passphrase"]');
+            const submit = form.querySelector('button[type="submit"]');
+            submit.disabled = true;
+            if (!(await this.unlock(input.value))) {
+                form.querySelector('[data-role="error"]').textContent = 'Wrong passphrase.';
+                input.value = '';
+                input.focus();
+                submit.disabled = false;
+            }
         });
-        
-        modalContent.appendChild(header);
-        modalContent.appendChild(instructions);
-        modalContent.appendChild(searchContainer);
-        modalContent.appendChild(tableContainer);
-        modal.appendChild(modalContent);
-        
-        // Close modal when clicking outside
-        modal.addEventListener('click', (event) => {
-            if (event.target === modal) {
-                this.hideHelpModal();
+        form.querySelector('[data-role="erase"]').onclick = () => this.erase();
+    }
+
+    showSettings() {
+        if (this.isLocked()) return;
+        const { lockMinutes, retentionDays } = this.settings;
+        let encryption;
+        if (!this.isSupported()) {
+            encryption = '<p>This browser cannot encrypt drafts here (Web Crypto needs an https, localhost or file page).</p>';
+        } else if (this.isEnabled()) {
+            encryption = `
+                <p>Drafts are encrypted with a passphrase.</p>
+                <label><input type="checkbox" data-role="remove"> Remove the passphrase and store drafts unencrypted</label>
+            `;
+        } else {
+            encryption = `
+                <p>Set a passphrase to encrypt saved drafts. It cannot be recovered if forgotten.</p>
+                <input type="password" data-role="passphrase" autocomplete="new-password" placeholder="Passphrase (leave blank for none)" style="width: 100%; margin-bottom: 6px;">
+                <input type="password" data-role="confirm" autocomplete="new-password" placeholder="Repeat passphrase" style="width: 100%;">
+            `;
+        }
+
+        const form = this.showModal(`
+            <h2 style="color: #2c3e50; margin: 0 0 10px; font-size: 1.5rem;">Draft Security</h2>
+            ${encryption}
+            <div class="form-group" style="margin-top: 10px;">
+                <label>Lock after <input type="number" data-role="lock-minutes" min="1" value="${lockMinutes}" style="width: 70px;"> minutes without activity</label>
+            </div>
+            <div class="form-group">
+                <label>Delete drafts not edited for <input type="number" data-role="retention-days" min="1" value="${retentionDays > 0 ? retentionDays : ''}" placeholder="never" style="width: 70px;"> days</label>
+            </div>
+            <div data-role="error" class="vault-error"></div>
+            <div class="form-row" style="margin-top: 15px;">
+                <button type="submit" class="btn btn-primary">Save</button>
+                <button type="button" class="btn btn-secondary" data-role="cancel">Cancel</button>
+            </div>
+        `, (form) => this.saveSettingsForm(form));
+        form.querySelector('[data-role="cancel"]').onclick = () => this.hideModal();
+    }
+
+    async saveSettingsForm(form) {
+        const field = role => form.querySelector(`[data-role="${role}"]`);
+        const showError = message => {
+            field('error').textContent = message;
+        };
+
+        const passphrase = field('passphrase') ? field('passphrase').value : '';
+        if (passphrase && passphrase.length < DRAFT_PASSPHRASE_MIN_LENGTH) {
+            showError(`Use at least ${DRAFT_PASSPHRASE_MIN_LENGTH} characters.`);
+            return;
+        }
+        if (passphrase && passphrase !== field('confirm').value) {
+            showError('The passphrases do not match.');
+            return;
+        }
+        const remove = field('remove') && field('remove').checked;
+        const unreadable = this.countUnreadable();
+        if (remove && unreadable > 0) {
+            showError(`${unreadable} saved ${unreadable === 1 ? 'draft' : 'drafts'} could not be decrypted. Delete them from the case list before removing the passphrase.`);
+            return;
+        }
+        if (remove && !confirm('Store drafts unencrypted from now on?')) return;
+
+        const lockMinutes = parseInt(field('lock-minutes').value, 10);
+        const retentionDays = parseInt(field('retention-days').value, 10);
+        this.settings.lockMinutes = lockMinutes > 0 ? lockMinutes : DRAFT_SECURITY_DEFAULTS.lockMinutes;
+        this.settings.retentionDays = retentionDays > 0 ? retentionDays : 0;
+        this.saveSettings();
+
+        form.querySelector('button[type="submit"]').disabled = true;
+        try {
+            if (passphrase) {
+                await this.enable(passphrase);
+                window.marrowApp.showNotification('Drafts are now encrypted', 'success');
+            } else if (remove) {
+                await this.disable();
+                window.marrowApp.showNotification('Passphrase removed; drafts are stored unencrypted', 'info');
+            }
+        } catch (error) {
+            console.error('Error changing draft encryption:', error);
+            window.marrowApp.showNotification('Could not change draft encryption', 'error');
+        }
+        this.hideModal();
+        this.render();
+
+        // A shorter retention window applies right away
+        if (window.caseWorkspace && window.caseWorkspace.isReady()) {
+            await window.caseWorkspace.flush();
+            if (await window.caseWorkspace.purgeExpired() > 0) await window.caseWorkspace.open();
+        }
+    }
+}
+
+class CaseWorkspace {
+    constructor() {
+        this.available = typeof indexedDB !== 'undefined';
+        this.db = null;
+        // Records: { id, accession, status, createdAt, updatedAt, file } (file: createCaseFile).
+        // With draft encryption on, the stored copy keeps only id, status and times readable.
+        this.cases = [];
+        this.currentId = null;
+        this.pendingData = null;
+        this.saveTimer = null;
+        this.lastSavedJson = null;
+        this.duplicateAccession = null;
+        // IndexedDB puts still in flight
+        this.pendingWrites = 0;
+        // Stored records that could not be decrypted; kept until deleted from the list
+        this.unreadableIds = [];
+
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        document.getElementById('case-new').addEventListener('click', () => this.createCase());
+        // An IndexedDB write started during unload may never finish, so saving
+        // starts when the tab is hidden and a synchronous copy is kept on close
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') this.flush();
+        });
+        window.addEventListener('pagehide', () => this.saveUnloadSnapshot());
+        window.addEventListener('beforeunload', () => this.saveUnloadSnapshot());
+    }
+
+    isReady() {
+        return this.db !== null && !window.draftVault.isLocked();
+    }
+
+    // Open the database and restore the last case; false falls back to the local draft
+    async open() {
+        if (!this.available) {
+            this.render();
+            return false;
+        }
+
+        try {
+            if (!this.db) this.db = await this.openDatabase();
+            await this.migrateLegacyDraft();
+            await this.restoreUnloadSnapshot();
+            await this.purgeExpired();
+            this.cases = await this.getAllCases();
+
+            const savedId = localStorage.getItem(CURRENT_CASE_STORAGE_KEY);
+            const byUpdated = [...this.cases].sort((a, b) => b.updatedAt - a.updatedAt);
+            const saved = byUpdated.filter(record => record.id === savedId);
+            await this.showFirstReadable([...saved, ...byUpdated.filter(record => record.id !== savedId)]);
+            return true;
+        } catch (error) {
+            console.warn('Case list unavailable, using the single local draft:', error);
+            this.available = false;
+            this.db = null;
+            this.render();
+            return false;
+        }
+    }
+
+    openDatabase() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(CASE_DATABASE_NAME, CASE_DATABASE_VERSION);
+            request.onupgradeneeded = () => {
+                if (!request.result.objectStoreNames.contains(CASE_STORE_NAME)) {
+                    request.result.createObjectStore(CASE_STORE_NAME, { keyPath: 'id' });
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    store(mode = 'readonly') {
+        return this.db.transaction(CASE_STORE_NAME, mode).objectStore(CASE_STORE_NAME);
+    }
+
+    // Newest case first
+    async getAllCases() {
+        const records = [];
+        const unreadable = [];
+        for (const stored of await promisifyRequest(this.store().getAll())) {
+            try {
+                records.push(await this.openRecord(stored));
+            } catch (error) {
+                console.warn(`Could not decrypt case ${stored.id}:`, error);
+                unreadable.push(stored.id);
+            }
+        }
+        this.unreadableIds = unreadable;
+        return records.sort((a, b) => b.createdAt - a.createdAt);
+    }
+
+    async getCase(id) {
+        return this.openRecord(await promisifyRequest(this.store().get(id)));
+    }
+
+    async openRecord(stored) {
+        if (!stored || !stored.sealed) return stored;
+        const { sealed, ...record } = stored;
+        return { ...record, ...(await window.draftVault.unseal(sealed)) };
+    }
+
+    async putCase(record) {
+        this.pendingWrites++;
+        try {
+            let stored = record;
+            if (window.draftVault.isEnabled()) {
+                const { id, status, createdAt, updatedAt, ...content } = record;
+                stored = { id, status, createdAt, updatedAt, sealed: await window.draftVault.seal(content) };
+            }
+            return await promisifyRequest(this.store('readwrite').put(stored));
+        } finally {
+            this.pendingWrites--;
+        }
+    }
+
+    // Encrypted drafts cannot be sealed synchronously, so they rely on the flush alone
+    saveUnloadSnapshot() {
+        const record = this.cases.find(item => item.id === this.currentId);
+        const unsaved = Boolean(this.pendingData) || this.pendingWrites > 0;
+        if (record && unsaved && this.isReady() && !window.tabSync.hasConflict() && !window.draftVault.isEnabled()) {
+            const file = createCaseFile(this.pendingData || record.file.data, { status: record.status });
+            try {
+                localStorage.setItem(UNSAVED_CASE_STORAGE_KEY, JSON.stringify({
+                    ...record,
+                    accession: file.case.accession,
+                    updatedAt: Date.now(),
+                    file
+                }));
+            } catch (error) {
+                console.warn('Could not keep a copy of the open case:', error);
             }
-        });
-        
-        // Close modal with Escape key
-        document.addEventListener('keydown', (event) => {
-            if (event.key === 'Escape' && modal.style.display === 'block') {
-                this.hideHelpModal();
+        }
+        this.flush();
+    }
+
+    async restoreUnloadSnapshot() {
+        const saved = localStorage.getItem(UNSAVED_CASE_STORAGE_KEY);
+        if (!saved) return;
+        try {
+            const snapshot = JSON.parse(saved);
+            const stored = await promisifyRequest(this.store().get(snapshot.id));
+            if (!stored || snapshot.updatedAt > stored.updatedAt) {
+                await this.putCase(snapshot);
             }
+        } catch (error) {
+            console.warn('Could not restore the case saved on close:', error);
+        }
+        localStorage.removeItem(UNSAVED_CASE_STORAGE_KEY);
+    }
+
+    // Re-store the listed cases after draft encryption is turned on or off
+    async rewriteAll() {
+        for (const record of this.cases) {
+            await this.putCase(record);
+        }
+    }
+
+    async deleteAll() {
+        if (!this.available) return;
+        try {
+            if (!this.db) this.db = await this.openDatabase();
+            await promisifyRequest(this.store('readwrite').clear());
+        } catch (error) {
+            console.warn('Error deleting saved cases:', error);
+        }
+        this.close();
+    }
+
+    // Drop drafts not edited within the retention window; returns how many
+    async purgeExpired() {
+        const records = await promisifyRequest(this.store().getAll());
+        const expired = records.filter(record => window.draftVault.isExpired(record.updatedAt));
+        for (const record of expired) {
+            await promisifyRequest(this.store('readwrite').delete(record.id));
+        }
+        if (expired.length > 0) {
+            const days = window.draftVault.settings.retentionDays;
+            window.marrowApp.showNotification(`Deleted ${expired.length} ${expired.length === 1 ? 'draft' : 'drafts'} not edited for ${days} days`, 'info');
+        }
+        return expired.length;
+    }
+
+    // Forget the decrypted cases while drafts are locked
+    close() {
+        clearTimeout(this.saveTimer);
+        this.pendingData = null;
+        this.cases = [];
+        this.unreadableIds = [];
+        this.currentId = null;
+        this.lastSavedJson = null;
+        this.duplicateAccession = null;
+        this.render();
+    }
+
+    // The single autosave draft becomes a case of its own
+    async migrateLegacyDraft() {
+        const saved = localStorage.getItem(DRAFT_STORAGE_KEY);
+        if (!saved) return;
+        try {
+            await this.putCase(this.newRecord(upgradeCaseFile(await window.draftVault.unseal(JSON.parse(saved))).data));
+            localStorage.removeItem(DRAFT_STORAGE_KEY);
+        } catch (error) {
+            console.warn('Could not move the saved draft into the case list:', error);
+        }
+    }
+
+    newRecord(data = {}) {
+        const now = Date.now();
+        return {
+            id: `case-${now.toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+            accession: (data['case-accession'] || '').trim().toUpperCase(),
+            status: 'in-progress',
+            createdAt: now,
+            updatedAt: now,
+            file: createCaseFile(data)
+        };
+    }
+
+    getLabel(record) {
+        return record.accession || 'Untitled case';
+    }
+
+    async createCase() {
+        if (!this.isReady()) return;
+        await this.flush();
+
+        window.marrowApp.resetForm();
+        const record = this.newRecord(window.marrowApp.getFormData());
+        await this.putCase(record);
+        this.cases.unshift(record);
+        this.setCurrent(record);
+        window.marrowApp.formHistory.reset();
+        window.tabSync.announceCaseList();
+    }
+
+    async switchTo(id) {
+        if (id === this.currentId || !this.isReady()) return;
+        await this.flush();
+
+        const record = await this.getCase(id);
+        if (!record) return;
+        const index = this.cases.findIndex(item => item.id === id);
+        if (index >= 0) this.cases[index] = record;
+        if (this.showCase(record)) {
+            window.marrowApp.showNotification(`Opened ${this.getLabel(record)}`, 'info');
+        }
+    }
+
+    // An unreadable record is left as stored and not opened, so autosave cannot
+    // replace it with an empty case
+    showCase(record) {
+        let file;
+        try {
+            // Drafts saved before case files were versioned keep their form data in `data`
+            file = upgradeCaseFile(record.file || record.data);
+        } catch (error) {
+            console.warn(`Could not read case ${record.id}:`, error);
+            window.marrowApp.showNotification(`Could not open ${this.getLabel(record)}: ${error.message}`, 'error');
+            return false;
+        }
+        record.file = file;
+        delete record.data;
+        window.marrowApp.loadCaseFile(record.file);
+        this.setCurrent(record);
+        return true;
+    }
+
+    // Open the first case that can be read, or start a new one
+    async showFirstReadable(records) {
+        if (!records.some(record => this.showCase(record))) {
+            await this.createCase();
+        }
+    }
+
+    setCurrent(record) {
+        this.currentId = record.id;
+        this.pendingData = null;
+        this.lastSavedJson = JSON.stringify(record.file.data);
+        this.duplicateAccession = null;
+        localStorage.setItem(CURRENT_CASE_STORAGE_KEY, record.id);
+        window.tabSync.hideConflict();
+        this.render();
+    }
+
+    async setStatus(id, status) {
+        const record = this.cases.find(item => item.id === id);
+        if (!record || !CASE_STATUSES[status]) return;
+        if (id === this.currentId) await this.flush();
+
+        record.status = status;
+        record.updatedAt = Date.now();
+        await this.putCase(record);
+        this.render();
+        window.tabSync.announceCaseList();
+    }
+
+    async deleteUnreadable() {
+        const count = this.unreadableIds.length;
+        if (count === 0) return;
+        if (!confirm(`Delete ${count} saved ${count === 1 ? 'draft' : 'drafts'} that cannot be decrypted? This cannot be undone.`)) return;
+
+        for (const id of this.unreadableIds) {
+            await promisifyRequest(this.store('readwrite').delete(id));
+        }
+        this.unreadableIds = [];
+        this.render();
+        window.tabSync.announceCaseList();
+        window.marrowApp.showNotification(`Deleted ${count} unreadable ${count === 1 ? 'draft' : 'drafts'}`, 'info');
+    }
+
+    async deleteCase(id) {
+        const record = this.cases.find(item => item.id === id);
+        if (!record) return;
+        const unfinished = record.status === 'finalized' ? '' : ' It is not marked finalized.';
+        if (!confirm(`Delete ${this.getLabel(record)}?${unfinished} This cannot be undone.`)) return;
+
+        if (id === this.currentId) {
+            clearTimeout(this.saveTimer);
+            this.pendingData = null;
+            this.currentId = null;
+        }
+        await promisifyRequest(this.store('readwrite').delete(id));
+        this.cases = this.cases.filter(item => item.id !== id);
+
+        if (this.currentId === null) {
+            await this.showFirstReadable(this.cases);
+        } else {
+            this.render();
+        }
+        window.tabSync.announceCaseList();
+        window.marrowApp.showNotification(`Deleted ${this.getLabel(record)}`, 'info');
+    }
+
+    // Called from updateFormData; writes are batched per CASE_SAVE_DELAY_MS
+    scheduleSave(data) {
+        this.pendingData = data;
+        clearTimeout(this.saveTimer);
+        this.saveTimer = setTimeout(() => this.flush(), CASE_SAVE_DELAY_MS);
+    }
+
+    // Edits stay pending while another tab's change to this case is unresolved
+    async flush() {
+        clearTimeout(this.saveTimer);
+        if (!this.isReady() || !this.pendingData || window.tabSync.hasConflict()) return;
+
+        const data = this.pendingData;
+        this.pendingData = null;
+        const record = this.cases.find(item => item.id === this.currentId);
+        const json = JSON.stringify(data);
+        if (!record || json === this.lastSavedJson) return;
+
+        record.file = createCaseFile(data, { status: record.status });
+        record.accession = record.file.case.accession;
+        record.updatedAt = Date.now();
+        this.lastSavedJson = json;
+        this.warnDuplicateAccession(record);
+        try {
+            await this.putCase(record);
+            window.tabSync.announceSave(record.id, data);
+        } catch (error) {
+            console.warn('Error saving case:', error);
+        }
+        this.render();
+    }
+
+    // Write the form even when unchanged (Keep Mine after another tab's change)
+    async saveNow() {
+        this.pendingData = window.marrowApp.getFormData();
+        this.lastSavedJson = null;
+        await this.flush();
+    }
+
+    // Refresh the list after another tab saved, created or deleted cases
+    async reloadCases() {
+        const current = this.cases.find(record => record.id === this.currentId);
+        this.cases = await this.getAllCases();
+        if (current && !this.cases.some(record => record.id === current.id)) {
+            // Keep the open case listed so Keep Mine can store it again
+            this.cases.unshift(current);
+            window.tabSync.showConflict({ caseId: current.id, deleted: true });
+        }
+        this.render();
+    }
+
+    // Add an opened case file to the list, replacing the draft for the same accession
+    async importCase(file) {
+        if (!this.isReady()) return false;
+        await this.flush();
+
+        const accession = (file.data['case-accession'] || '').trim().toUpperCase();
+        const existing = accession ? this.cases.find(item => item.accession === accession) : null;
+        if (existing && !confirm(`${accession} already has a draft in the case list. Replace it with the opened file?`)) {
+            return false;
+        }
+
+        const record = existing || this.newRecord(file.data);
+        record.file = file;
+        record.accession = accession;
+        if (file.case && CASE_STATUSES[file.case.status]) record.status = file.case.status;
+        record.updatedAt = Date.now();
+        delete record.data;
+        await this.putCase(record);
+        if (!existing) this.cases.unshift(record);
+        this.showCase(record);
+        window.tabSync.announceSave(record.id, file.data);
+        return true;
+    }
+
+    getCurrentStatus() {
+        const record = this.cases.find(item => item.id === this.currentId);
+        return record ? record.status : 'in-progress';
+    }
+
+    // One draft per accession: point to the existing case instead of keeping two
+    warnDuplicateAccession(record) {
+        const duplicate = record.accession && this.cases.find(item => item.id !== record.id && item.accession === record.accession);
+        if (duplicate && this.duplicateAccession !== record.accession) {
+            window.marrowApp.showNotification(`${record.accession} already has a draft in the case list. Open that case instead of keeping two.`, 'error');
+        }
+        this.duplicateAccession = duplicate ? record.accession : null;
+    }
+
+    render() {
+        const container = document.getElementById('case-list');
+        if (!container) return;
+
+        if (!this.available) {
+            document.getElementById('case-new').disabled = true;
+            container.innerHTML = '<div class="case-list-empty">This browser cannot keep a case list; the current draft is saved locally.</div>';
+            return;
+        }
+        if (window.draftVault.isLocked()) {
+            container.innerHTML = '<div class="case-list-empty">Drafts are locked.</div>';
+            return;
+        }
+
+        container.innerHTML = this.cases.map(record => `
+            <div class="case-item status-${record.status}${record.id === this.currentId ? ' active' : ''}" data-id="${escapeHtml(record.id)}">
+                <div class="case-item-title">${escapeHtml(this.getLabel(record))}</div>
+                <div class="case-item-meta">Updated ${escapeHtml(formatCaseTime(record.updatedAt))}</div>
+                <div class="case-item-controls">
+                    <select class="case-status" title="Case status">
+                        ${Object.keys(CASE_STATUSES).map(status => `
+                            <option value="${status}"${status === record.status ? ' selected' : ''}>${CASE_STATUSES[status]}</option>
+                        `).join('')}
+                    </select>
+                    <button type="button" class="btn btn-secondary case-delete" title="Delete case">×</button>
+                </div>
+            </div>
+        `).join('');
+        if (this.unreadableIds.length > 0) {
+            const count = this.unreadableIds.length;
+            container.insertAdjacentHTML('beforeend', `
+                <div class="case-unreadable">
+                    ${count} saved ${count === 1 ? 'draft' : 'drafts'} could not be decrypted.
+                    <button type="button" class="btn btn-secondary case-delete-unreadable">Delete</button>
+                </div>
+            `);
+            container.querySelector('.case-delete-unreadable').addEventListener('click', () => this.deleteUnreadable());
+        }
+
+        container.querySelectorAll('.case-item').forEach(item => {
+            const id = item.getAttribute('data-id');
+            item.addEventListener('click', event => {
+                if (!event.target.closest('.case-item-controls')) this.switchTo(id);
+            });
+            item.querySelector('.case-status').addEventListener('change', event => this.setStatus(id, event.target.value));
+            item.querySelector('.case-delete').addEventListener('click', () => this.deleteCase(id));
         });
-        
-        document.body.appendChild(modal);
     }
+}
 
-    populateExpansionsTable(tbody) {
-        tbody.innerHTML = '';
-        
-        // Sort codes alphabetically
-        const sortedCodes = Object.keys(this.quickTexts).sort();
-        
-        sortedCodes.forEach((code, index) => {
-            const row = document.createElement('tr');
-            row.style.cssText = `
-                ${index % 2 === 0 ? 'background: #fff;' : 'background: #f8f9fa;'}
-                transition: background-color 0.2s ease;
-            `;
-            row.onmouseover = () => row.style.background = '#e3f2fd';
-            row.onmouseout = () => row.style.background = index % 2 === 0 ? '#fff' : '#f8f9fa';
-            
-            const comment = this.quickTexts[code];
-            row.innerHTML = `
-                <td style="padding: 10px; border-bottom: 1px solid #e1e8ed; font-family: 'Courier New', monospace; font-weight: 600; color: #2c3e50; vertical-align: top;">${code.toUpperCase()}</td>
-                <td style="padding: 10px; border-bottom: 1px solid #e1e8ed; line-height: 1.4; color: #495057;">${comment}</td>
-            `;
-            
-            tbody.appendChild(row);
+// Several open tabs (e.g. scope and report on two monitors): each save is
+// announced so other tabs with the same case can warn about it or mirror it
+const TAB_SYNC_CHANNEL = 'marrow-report-sync';
+// Fallback for browsers without BroadcastChannel; these messages carry no form data
+const TAB_SYNC_STORAGE_KEY = 'marrowTabSyncMessage';
+const TAB_MIRROR_STORAGE_KEY = 'marrowTabMirror';
+// Case id used for the single local draft when IndexedDB is unavailable
+const LOCAL_DRAFT_ID = 'local-draft';
+
+class TabSync {
+    constructor() {
+        this.tabId = `tab-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+        this.channel = typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel(TAB_SYNC_CHANNEL) : null;
+        this.mirror = localStorage.getItem(TAB_MIRROR_STORAGE_KEY) === 'true';
+        // { caseId, deleted } while another tab's change to the open case is unresolved
+        this.conflict = null;
+
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        if (this.channel) {
+            this.channel.onmessage = (event) => this.handleMessage(event.data);
+        } else {
+            window.addEventListener('storage', (event) => {
+                if (event.key !== TAB_SYNC_STORAGE_KEY || !event.newValue) return;
+                try {
+                    this.handleMessage(JSON.parse(event.newValue));
+                } catch (error) {
+                    console.warn('Error reading message from another tab:', error);
+                }
+            });
+        }
+
+        const mirror = document.getElementById('tab-mirror');
+        mirror.checked = this.mirror;
+        mirror.addEventListener('change', () => {
+            this.mirror = mirror.checked;
+            localStorage.setItem(TAB_MIRROR_STORAGE_KEY, String(this.mirror));
         });
+        document.getElementById('tab-conflict-reload').addEventListener('click', () => this.reload());
+        document.getElementById('tab-conflict-keep').addEventListener('click', () => this.keepLocal());
     }
 
-    filterExpansions(searchTerm, tbody) {
-        const rows = tbody.querySelectorAll('tr');
-        
-        rows.forEach(row => {
-            const code = row.querySelector('td:first-child').textContent.toLowerCase();
-            const comment = row.querySelector('td:last-child').textContent.toLowerCase();
-            
-            if (code.includes(searchTerm) || comment.includes(searchTerm)) {
-                row.style.display = '';
+    post(message) {
+        const stamped = { ...message, tabId: this.tabId, time: Date.now() };
+        try {
+            if (this.channel) {
+                this.channel.postMessage(stamped);
             } else {
-                row.style.display = 'none';
+                // Form data must not sit in localStorage, where drafts may be encrypted
+                const { data, ...rest } = stamped;
+                localStorage.setItem(TAB_SYNC_STORAGE_KEY, JSON.stringify(rest));
             }
-        });
+        } catch (error) {
+            console.warn('Error notifying other tabs:', error);
+        }
     }
 
-    createFloatingHelpButton() {
-        const button = document.createElement('button');
-        button.id = 'floating-help-button';
-        button.innerHTML = '❓';
-        button.title = 'Show Text Expansion Help (F8 to expand codes)';
-        button.style.cssText = `
-            position: fixed;
-            bottom: 30px;
-            right: 30px;
-            width: 56px;
-            height: 56px;
-            border-radius: 50%;
-            background: linear-gradient(135deg, #FF6B6B 0%, #ee5a52 100%);
-            border: none;
-            font-size: 1.5rem;
-            color: white;
-            cursor: pointer;
-            box-shadow: 0 4px 16px rgba(255, 107, 107, 0.4);
-            z-index: 1000;
-            transition: all 0.3s ease;
-            display: flex;
-            align-items: center;
-            justify-content: center;
-        `;
-        
-        button.onmouseover = () => {
-            button.style.transform = 'scale(1.1)';
-            button.style.boxShadow = '0 6px 20px rgba(255, 107, 107, 0.6)';
-        };
-        
-        button.onmouseout = () => {
-            button.style.transform = 'scale(1)';
-            button.style.boxShadow = '0 4px 16px rgba(255, 107, 107, 0.4)';
-        };
-        
-        button.onclick = () => this.showHelpModal();
-        
-        document.body.appendChild(button);
+    // This tab wrote a case (or the local draft)
+    announceSave(caseId, data) {
+        this.post({ type: 'case-saved', caseId, data });
     }
 
-    showHelpModal() {
-        const modal = document.getElementById('text-expansion-help-modal');
-        if (modal) {
-            modal.style.display = 'block';
-            // Focus the search input
-            const searchInput = modal.querySelector('input[type="text"]');
-            if (searchInput) {
-                setTimeout(() => searchInput.focus(), 100);
+    // Cases were created, deleted or changed status
+    announceCaseList() {
+        this.post({ type: 'cases-changed' });
+    }
+
+    getCurrentCaseId() {
+        const workspace = window.caseWorkspace;
+        return workspace && workspace.available ? workspace.currentId : LOCAL_DRAFT_ID;
+    }
+
+    hasConflict() {
+        return this.conflict !== null;
+    }
+
+    handleMessage(message) {
+        if (!message || message.tabId === this.tabId || window.draftVault.isLocked()) return;
+        const workspace = window.caseWorkspace;
+
+        if (message.type === 'cases-changed' || (message.type === 'case-saved' && message.caseId !== this.getCurrentCaseId())) {
+            if (workspace && workspace.isReady()) workspace.reloadCases();
+            return;
+        }
+        if (message.type !== 'case-saved') return;
+
+        if (this.mirror && message.data && !this.hasConflict() && this.canMirror(message.data)) {
+            this.applyMirrored(message.data);
+        } else {
+            this.showConflict({ caseId: message.caseId, deleted: false });
+        }
+    }
+
+    // Mirroring would drop this tab's unsaved edits or replace the field being typed in
+    canMirror(data) {
+        const app = window.marrowApp;
+        const workspace = window.caseWorkspace;
+        const current = app.getFormData();
+        const savedJson = workspace && workspace.available ? workspace.lastSavedJson : app.lastDraftJson;
+        // Generate Report writes the output without saving, so it is not an edit here
+        const fieldsJson = ({ 'report-output': report, ...fields }) => JSON.stringify(fields);
+        // Covers edits waiting for the save delay and typing not yet sent as an input event
+        if (!savedJson || fieldsJson(current) !== fieldsJson(JSON.parse(savedJson))) return false;
+
+        const focused = document.activeElement;
+        const key = focused && (focused.name || focused.id);
+        return !key || JSON.stringify(data[key]) === JSON.stringify(current[key]);
+    }
+
+    // Take the other tab's form as this tab's saved state, so it is not written back
+    applyMirrored(data) {
+        const workspace = window.caseWorkspace;
+        if (workspace && workspace.available) {
+            clearTimeout(workspace.saveTimer);
+            workspace.pendingData = null;
+            workspace.lastSavedJson = JSON.stringify(data);
+        } else {
+            window.marrowApp.lastDraftJson = JSON.stringify(data);
+        }
+        window.marrowApp.formHistory.apply(data);
+        if (workspace && workspace.isReady()) workspace.reloadCases();
+    }
+
+    showConflict(conflict) {
+        this.conflict = conflict;
+        const workspace = window.caseWorkspace;
+        const record = workspace ? workspace.cases.find(item => item.id === conflict.caseId) : null;
+        const label = record ? workspace.getLabel(record) : 'This draft';
+
+        document.getElementById('tab-conflict-message').textContent = conflict.deleted
+            ? `${label} was deleted in another tab. Saving here is paused until you choose.`
+            : `${label} was changed in another tab. Saving here is paused until you choose.`;
+        document.getElementById('tab-conflict-reload').textContent = conflict.deleted ? 'Close It' : 'Load Their Changes';
+        document.getElementById('tab-conflict').style.display = '';
+    }
+
+    hideConflict() {
+        this.conflict = null;
+        document.getElementById('tab-conflict').style.display = 'none';
+    }
+
+    // Drop this tab's edits and show what the other tab saved
+    async reload() {
+        const conflict = this.conflict;
+        if (!conflict) return;
+        this.hideConflict();
+
+        const workspace = window.caseWorkspace;
+        if (workspace && workspace.isReady()) {
+            clearTimeout(workspace.saveTimer);
+            workspace.pendingData = null;
+            const record = conflict.deleted ? null : await workspace.getCase(conflict.caseId);
+            if (!record) {
+                await workspace.open();
+            } else if (!workspace.showCase(record)) {
+                // Unreadable here: keep autosave paused rather than save over it
+                this.showConflict(conflict);
             }
+        } else {
+            await window.marrowApp.restoreLocalDraft();
         }
     }
 
-    hideHelpModal() {
-        const modal = document.getElementById('text-expansion-help-modal');
-        if (modal) {
-            modal.style.display = 'none';
+    // Save this tab's form over the other tab's change
+    async keepLocal() {
+        if (!this.conflict) return;
+        this.hideConflict();
+
+        const workspace = window.caseWorkspace;
+        if (workspace && workspace.isReady()) {
+            await workspace.saveNow();
+        } else {
+            window.marrowApp.lastDraftJson = null;
+            window.marrowApp.updateFormData();
         }
+        window.marrowApp.showNotification('Your version was saved', 'success');
     }
 }
 
 // Initialize the application when the DOM is loaded
 document.addEventListener('DOMContentLoaded', () => {
+    // The counter must exist before autosave restores its counts
+    window.cellCounter = new CellCounter();
+    window.diagnosisBuilder = new DiagnosisBuilder();
+    window.specimenManager = new SpecimenManager();
+    window.specialStains = new SpecialStains();
+    window.ihcPanel = new IHCPanel();
+    window.draftVault = new DraftVault();
     window.marrowApp = new MarrowReportApp();
+    window.caseWorkspace = new CaseWorkspace();
+    window.tabSync = new TabSync();
     window.marrowApp.setupAutoSave();
     
     // Initialize text expansion system
     window.textExpansion = new TextExpansionSystem();
+
+    window.cellTypeAliasManager = new CellTypeAliasManager(window.epicParser.cellTypeAliases);
 });
 
 
@@ -1640,6 +7495,53 @@ window.exportReport = function(format = 'txt') {
     window.marrowApp.showNotification('Report exported successfully!', 'success');
 };
 
+// Save the open case as a versioned JSON case file (see CASE_FILE_FORMAT)
+window.saveCaseFile = function() {
+    const status = window.caseWorkspace ? window.caseWorkspace.getCurrentStatus() : 'in-progress';
+    const file = createCaseFile(window.marrowApp.getFormData(), { status });
+    const blob = new Blob([JSON.stringify(file, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `marrow_case_${(file.case.accession || 'untitled').replace(/[^\w-]/g, '_')}_${new Date().toISOString().split('T')[0]}.json`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+
+    window.marrowApp.showNotification('Case saved to file', 'success');
+};
+
+// Open a case file, upgrading older versions; it joins the case list when available
+window.openCaseFile = function(input) {
+    const file = input.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = async () => {
+        try {
+            const caseFile = upgradeCaseFile(JSON.parse(reader.result));
+            const workspace = window.caseWorkspace;
+            if (workspace && workspace.isReady()) {
+                if (!await workspace.importCase(caseFile)) return;
+            } else {
+                if (!confirm('Opening a case file replaces the current form. Continue?')) return;
+                window.marrowApp.loadCaseFile(caseFile);
+                window.marrowApp.updateFormData();
+            }
+            window.marrowApp.showNotification(`Opened ${caseFile.data['case-accession'] || file.name}`, 'success');
+        } catch (err) {
+            console.warn('Could not open case file:', err);
+            window.marrowApp.showNotification(`Could not open ${file.name}: ${err.message}`, 'error');
+        }
+    };
+    reader.onerror = () => {
+        window.marrowApp.showNotification(`Could not read ${file.name}`, 'error');
+    };
+    reader.readAsText(file);
+    input.value = '';
+};
+
 // Print functionality
 window.printReport = function() {
     const report = document.getElementById('report-output').value;